@@ -1,5 +1,8 @@
 const Donation = require('../models/Donation');
 const Campaign = require('../models/Campaign');
+const RecommendationService = require('../services/recommendationService');
+const FollowService = require('../services/followService');
+const { toPlatformAmount, getPlatformCurrency } = require('../services/currency');
 
 exports.getUserDashboard = async (req, res) => {
   try {
@@ -27,7 +30,9 @@ exports.getUserDashboard = async (req, res) => {
       pendingCampaigns: pendingCampaigns.length,
       completedCampaigns: completedCampaigns.length,
       rejectedCampaigns: rejectedCampaigns.length,
-      totalRaised: userCampaigns.reduce((sum, campaign) => sum + (campaign.raisedAmount || 0), 0)
+      // Campaigns can raise in different currencies, so the total is in the platform currency
+      totalRaised: userCampaigns.reduce((sum, campaign) => sum + toPlatformAmount(campaign.raisedAmount || 0, campaign.currency), 0),
+      currency: getPlatformCurrency()
     };
 
     return res.status(200).json({
@@ -50,4 +55,129 @@ exports.getUserDashboard = async (req, res) => {
       message: 'Server error while fetching dashboard data'
     });
   }
-};
\ No newline at end of file
+};
+// Campaigns recommended from the user's donation history
+exports.getRecommendations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const { profile, recommendations } = await RecommendationService.getRecommendations(req.user.id, {
+      limit,
+      category: req.query.category,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: recommendations.length,
+      profile,
+      data: recommendations,
+    });
+
+  } catch (error) {
+    console.error("Recommendations error:", error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recommendations'
+    });
+  }
+};
+
+exports.getFollowing = async (req, res) => {
+  try {
+    const { campaigns, creators } = await FollowService.getFollowing(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { campaigns, creators },
+    });
+
+  } catch (error) {
+    console.error("Following error:", error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching followed campaigns and creators'
+    });
+  }
+};
+
+exports.getFollowingFeed = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const { total, items } = await FollowService.getFollowingFeed(req.user.id, { page, limit });
+
+    return res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+      },
+      data: items,
+    });
+
+  } catch (error) {
+    console.error("Following feed error:", error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching following feed'
+    });
+  }
+};
+
+exports.getBookmarks = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const { total, bookmarks } = await FollowService.getBookmarks(req.user.id, { page, limit });
+
+    return res.status(200).json({
+      success: true,
+      count: bookmarks.length,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+      },
+      data: bookmarks,
+    });
+
+  } catch (error) {
+    console.error("Bookmarks error:", error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bookmarks'
+    });
+  }
+};
+
+// Follow or unfollow a creator
+const setCreatorFollow = (follow) => async (req, res) => {
+  try {
+    const data = follow
+      ? await FollowService.followCreator(req.user.id, req.params.id)
+      : await FollowService.unfollowCreator(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data,
+    });
+
+  } catch (error) {
+    // Not found and self-follow errors carry their own status
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Follow creator error:", error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating follow'
+    });
+  }
+};
+
+exports.followCreator = setCreatorFollow(true);
+exports.unfollowCreator = setCreatorFollow(false);
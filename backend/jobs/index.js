@@ -0,0 +1,37 @@
+const { registerJob, startScheduler } = require('./scheduler');
+const RecurringDonationService = require('../services/recurringDonationService');
+const CampaignLifecycleService = require('../services/campaignLifecycleService');
+const CampaignDraftService = require('../services/campaignDraftService');
+const CampaignFeedService = require('../services/campaignFeedService');
+
+const minutes = (value) => value * 60 * 1000;
+
+// Charge recurring donations that are due
+registerJob(
+  'recurring-donations',
+  minutes(parseInt(process.env.RECURRING_DONATION_JOB_MINUTES, 10) || 15),
+  () => RecurringDonationService.processDueDonations()
+);
+
+// Close expired and goal-reached campaigns and send "ending soon" reminders
+registerJob(
+  'campaign-lifecycle',
+  minutes(parseInt(process.env.CAMPAIGN_LIFECYCLE_JOB_MINUTES, 10) || 15),
+  () => CampaignLifecycleService.processLifecycle()
+);
+
+// Delete drafts abandoned for longer than the retention period, with their uploads
+registerJob(
+  'draft-cleanup',
+  minutes(parseInt(process.env.DRAFT_CLEANUP_JOB_MINUTES, 10) || 360),
+  () => CampaignDraftService.cleanupAbandonedDrafts()
+);
+
+// Recompute the home page ranking feeds
+registerJob(
+  'campaign-feeds',
+  minutes(parseInt(process.env.FEED_CACHE_MINUTES, 10) || 10),
+  () => CampaignFeedService.refreshAll()
+);
+
+module.exports = { startScheduler };
@@ -0,0 +1,52 @@
+// Minimal in-process job scheduler. Each job runs on a fixed interval and
+// never overlaps with its own previous run.
+const jobs = [];
+
+/**
+ * Register a job to run every intervalMs once the scheduler starts
+ * @param {String} name - Job name used in logs
+ * @param {Number} intervalMs - Time between runs
+ * @param {Function} task - Async function to run
+ */
+const registerJob = (name, intervalMs, task) => {
+  jobs.push({ name, intervalMs, task, running: false, timer: null });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    const result = await job.task();
+    if (result !== undefined) {
+      console.log(`⏱️  Job ${job.name} finished:`, result);
+    }
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start every registered job, running each once immediately
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    runJob(job);
+  });
+  console.log(`⏱️  Scheduler started with ${jobs.length} job(s)`);
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+};
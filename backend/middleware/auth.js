@@ -63,3 +63,23 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Identify the user when a valid token is sent, without requiring one
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization;
+
+    if (header && header.startsWith('Bearer')) {
+      try {
+        const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET || 'mysecretkey');
+        req.user = await User.findById(decoded.id);
+      } catch (err) {
+        // Invalid tokens are treated as anonymous
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
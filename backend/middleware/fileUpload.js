@@ -142,20 +142,37 @@ const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
   }
 };
 
+// Best-effort removal of uploaded files that will not be used, e.g. after a failed request
+const deleteUploads = async (files) => {
+  await Promise.all(files.filter(file => file && file.publicId).map(file =>
+    deleteFromCloudinary(file.publicId, file.resourceType || 'image').catch(() => null)));
+};
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 100 * 1024 * 1024,
+  },
+  fileFilter,
+});
+
 // ✅ Export everything properly
 module.exports = {
-  uploadMultiple: multer({
-    storage,
-    limits: {
-      fileSize: 100 * 1024 * 1024,
-    },
-    fileFilter,
-  }).fields([
+  uploadMultiple: upload.fields([
     { name: 'images', maxCount: 5 },
     { name: 'videos', maxCount: 2 },
     { name: 'verificationDocument', maxCount: 3 },
   ]),
+  // Proof documents for escrow milestones
+  uploadProofDocuments: upload.fields([
+    { name: 'proofDocuments', maxCount: 5 },
+  ]),
+  // Images attached to campaign updates
+  uploadUpdateImages: upload.fields([
+    { name: 'images', maxCount: 5 },
+  ]),
   uploadToCloudinary,
   processUploads,
-  deleteFromCloudinary
+  deleteFromCloudinary,
+  deleteUploads
 };
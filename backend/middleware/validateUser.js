@@ -31,6 +31,13 @@ exports.validateRegistration = (req, res, next) => {
     });
   }
 
+  if (req.body.pan && !/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(String(req.body.pan).toUpperCase())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid PAN format',
+    });
+  }
+
   next();
 };
 
@@ -53,3 +60,31 @@ exports.validateLogin = (req, res, next) => {
 
   next();
 };
+
+// Guest donors give a name, an email for the receipt and optionally a PAN for tax receipts
+exports.validateGuestDonation = (req, res, next) => {
+  const { name, email, pan } = req.body;
+
+  if (!name || !email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name and email are required for guest donations',
+    });
+  }
+
+  if (!validator.isEmail(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid email format',
+    });
+  }
+
+  if (pan && !/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(String(pan).toUpperCase())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid PAN format',
+    });
+  }
+
+  next();
+};
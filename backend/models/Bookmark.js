@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A campaign a user has saved to come back to
+const BookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+BookmarkSchema.index({ user: 1, campaign: 1 }, { unique: true });
+BookmarkSchema.index({ user: 1, createdAt: -1 });
+BookmarkSchema.index({ campaign: 1 });
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
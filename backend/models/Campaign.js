@@ -1,24 +1,167 @@
 const mongoose = require('mongoose');
+const { isSupportedCurrency, getPlatformCurrency } = require('../services/currency');
+
+// Categories whose campaigns can hold funds in escrow against milestones
+const ESCROW_CATEGORIES = ['Medical', 'Disaster Relief'];
+
+// A stage of an escrow campaign. Its amount is released to the creator once
+// they upload the required proof and an admin approves it.
+const MilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a milestone title'],
+    trim: true,
+    maxlength: [100, 'Milestone title cannot be more than 100 characters'],
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the milestone'],
+    maxlength: [500, 'Milestone description cannot be more than 500 characters'],
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please specify a milestone amount'],
+    min: [1, 'Milestone amount must be at least 1'],
+  },
+  requiredProof: {
+    type: String,
+    required: [true, 'Please describe the proof required for this milestone'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  proofDocuments: [
+    {
+      url: String,
+      publicId: String,
+      resourceType: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }
+  ],
+  proofNote: {
+    type: String,
+  },
+  submittedAt: {
+    type: Date,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewNote: {
+    type: String,
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  releasedAt: {
+    type: Date,
+  },
+});
+
+// A target beyond the goal, with what the extra money will pay for
+const StretchGoalSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a stretch goal title'],
+    trim: true,
+    maxlength: [100, 'Stretch goal title cannot be more than 100 characters'],
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe what the stretch goal will fund'],
+    maxlength: [500, 'Stretch goal description cannot be more than 500 characters'],
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please specify a stretch goal amount'],
+    min: [1, 'Stretch goal amount must be at least 1'],
+  },
+  reachedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A creator's request to raise the goal of an active campaign, decided by an admin.
+// The new amount is scored against the category's limits when requested and again when reviewed.
+const GoalRequestSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+  },
+  previousAmount: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please explain why the goal needs to increase'],
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  amountRiskScore: {
+    type: Number,
+  },
+  riskLevel: {
+    type: String,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewNote: {
+    type: String,
+  },
+  reviewedAt: {
+    type: Date,
+  },
+});
+
+// Drafts can be saved with required fields still missing
+function isSubmitted() {
+  return this.status !== 'draft';
+}
 
 const CampaignSchema = new mongoose.Schema({
   title: {
     type: String,
-    required: [true, 'Please provide a title'],
+    required: [isSubmitted, 'Please provide a title'],
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters'],
   },
   description: {
     type: String,
-    required: [true, 'Please provide a description'],
+    required: [isSubmitted, 'Please provide a description'],
     maxlength: [500, 'Description cannot be more than 500 characters'],
   },
   story: {
     type: String,
-    required: [true, 'Please provide a detailed campaign story'],
+    required: [isSubmitted, 'Please provide a detailed campaign story'],
   },
   category: {
     type: String,
-    required: [true, 'Please select a category'],
+    required: [isSubmitted, 'Please select a category'],
     enum: [
       'Education',
       'Medical',
@@ -32,8 +175,18 @@ const CampaignSchema = new mongoose.Schema({
   },
   goalAmount: {
     type: Number,
-    required: [true, 'Please specify a goal amount'],
-    min: [1, 'Goal amount must be at least $1'],
+    required: [isSubmitted, 'Please specify a goal amount'],
+    min: [1, 'Goal amount must be at least 1'],
+  },
+  // Currency the goal, raised amount and payouts are kept in
+  currency: {
+    type: String,
+    uppercase: true,
+    default: getPlatformCurrency,
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`,
+    },
   },
   raisedAmount: {
     type: Number,
@@ -41,12 +194,12 @@ const CampaignSchema = new mongoose.Schema({
   },
   duration: {
     type: Number,
-    required: [true, 'Please specify campaign duration in days'],
+    required: [isSubmitted, 'Please specify campaign duration in days'],
     min: [1, 'Duration must be at least 1 day'],
   },
   imageUrl: {
     type: String,
-    required: [true, 'Please upload a campaign image'],
+    required: [isSubmitted, 'Please upload a campaign image'],
   },
   additionalImages: [
     {
@@ -68,7 +221,16 @@ const CampaignSchema = new mongoose.Schema({
     coverImageId: String,
     additionalImageIds: [String],
     videoIds: [String],
-    verificationDocumentIds: [String]
+    verificationDocumentIds: [String],
+    // Every file uploaded for the campaign, so each can be found by URL and deleted
+    assets: [
+      {
+        _id: false,
+        url: String,
+        publicId: String,
+        resourceType: String,
+      },
+    ],
   },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
@@ -81,7 +243,7 @@ const CampaignSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'active', 'completed', 'rejected'],
+    enum: ['draft', 'pending', 'active', 'completed', 'rejected', 'suspended'],
     default: 'pending',
   },
   isEmergency: {
@@ -91,10 +253,106 @@ const CampaignSchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
   },
+  suspensionReason: {
+    type: String,
+  },
+  // Set while an edited campaign waits for admin re-approval
+  pendingReview: {
+    reasons: [String],
+    version: Number,
+    requestedAt: Date,
+  },
+  // Every status change, with when and why it happened
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      reason: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Set when the campaign is submitted; drafts have none
   endDate: {
     type: Date,
-    required: true,
+    required: isSubmitted,
+  },
+  goalReachedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Last time a draft was saved, used to clean up abandoned drafts
+  draftSavedAt: {
+    type: Date,
+  },
+  // Set once the "ending soon" reminder has gone out
+  endingSoonNotifiedAt: {
+    type: Date,
+  },
+  // Last time the creator requested a withdrawal. Written first in each request's transaction,
+  // so concurrent requests for the same campaign run one after the other (see PayoutService)
+  payoutRequestedAt: {
+    type: Date,
+  },
+  // Registered organisation running the campaign, printed on donation receipts.
+  // Falls back to the platform's ORG_* settings when not provided.
+  organization: {
+    name: String,
+    address: String,
+    pan: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Please provide a valid organisation PAN'],
+    },
+    registration80G: String,
+    registration80GValidUntil: Date,
+  },
+  // Where the campaign is helping. point is a GeoJSON Point ([longitude, latitude]) and is
+  // only set when coordinates were given, so campaigns without one stay out of the geo index.
+  location: {
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City cannot be more than 100 characters'],
+    },
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'State cannot be more than 100 characters'],
+    },
+    country: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Country cannot be more than 100 characters'],
+    },
+    point: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
   },
+  // Funds are held until each milestone is approved
+  escrowEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  milestones: [MilestoneSchema],
+  // Kept in ascending order of amount, all above the goal
+  stretchGoals: [StretchGoalSchema],
+  goalRequests: [GoalRequestSchema],
   // NEW: Fraud Analysis Data Storage
   fraudAnalysisData: {
     analyzedAt: {
@@ -107,7 +365,7 @@ const CampaignSchema = new mongoose.Schema({
     },
     riskLevel: {
       type: String,
-      enum: ['Very Low', 'Low', 'Medium', 'High', 'Very High', 'Unknown'],
+      enum: ['Very Low', 'Low', 'Medium', 'High', 'Very High', 'Critical', 'Unknown'],
     },
     indicators: [
       {
@@ -145,26 +403,29 @@ const CampaignSchema = new mongoose.Schema({
       default: false,
     },
   },
+  // Progress updates posted by the creator
   updates: [
     {
-      title: String,
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [150, 'Update title cannot be more than 150 characters'],
+      },
       content: String,
+      images: [
+        {
+          _id: false,
+          url: String,
+          publicId: String,
+          resourceType: String,
+        },
+      ],
       date: {
         type: Date,
         default: Date.now,
       },
-    },
-  ],
-  comments: [
-    {
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-      },
-      content: String,
-      date: {
+      editedAt: {
         type: Date,
-        default: Date.now,
       },
     },
   ],
@@ -191,6 +452,80 @@ CampaignSchema.virtual('fraudRisk').get(function () {
   return 'Not Analyzed';
 });
 
+// The stretch goal the campaign is working towards, if any
+CampaignSchema.virtual('nextStretchGoal').get(function () {
+  return (this.stretchGoals || []).find(goal => !goal.reachedAt) || null;
+});
+
+// Milestone progress and the part of the raised amount still held in escrow
+CampaignSchema.virtual('escrow').get(function () {
+  if (!this.escrowEnabled) {
+    return { enabled: false };
+  }
+
+  const milestones = this.milestones || [];
+  const approved = milestones.filter(milestone => milestone.status === 'approved');
+  const allReleased = milestones.length > 0 && approved.length === milestones.length;
+  const releasedAmount = allReleased
+    ? this.raisedAmount
+    : Math.min(this.raisedAmount, approved.reduce((sum, milestone) => sum + milestone.amount, 0));
+
+  return {
+    enabled: true,
+    totalMilestones: milestones.length,
+    approvedMilestones: approved.length,
+    releasedAmount,
+    heldAmount: Math.max(0, this.raisedAmount - releasedAmount),
+    percentReleased: milestones.length ? Math.round((approved.length / milestones.length) * 100) : 0,
+  };
+});
+
+// Escrow campaigns need milestones that fit within the goal
+CampaignSchema.methods.getEscrowErrors = function () {
+  const errors = [];
+  if (!this.escrowEnabled) return errors;
+
+  if (!ESCROW_CATEGORIES.includes(this.category)) {
+    errors.push({ path: 'escrowEnabled', message: `Milestone escrow is only available for ${ESCROW_CATEGORIES.join(' and ')} campaigns` });
+  }
+
+  if (!this.milestones || this.milestones.length === 0) {
+    errors.push({ path: 'milestones', message: 'Please add at least one milestone' });
+  } else {
+    const total = this.milestones.reduce((sum, milestone) => sum + (milestone.amount || 0), 0);
+    if (total > this.goalAmount) {
+      errors.push({ path: 'milestones', message: 'Milestone amounts cannot add up to more than the goal amount' });
+    }
+  }
+
+  return errors;
+};
+
+// Drafts are checked step by step instead (see CampaignDraftService)
+CampaignSchema.pre('validate', function (next) {
+  if (this.status !== 'draft') {
+    this.getEscrowErrors().forEach(({ path, message }) => this.invalidate(path, message));
+  }
+  next();
+});
+
+// New campaigns start their history as a draft or as submitted for review
+CampaignSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    const reason = this.status === 'draft' ? 'Draft created' : 'Campaign submitted';
+    this.statusHistory.push({ to: this.status, reason, by: this.creator });
+  }
+  next();
+});
+
+// Change status and record the transition
+CampaignSchema.methods.setStatus = function (status, reason, by) {
+  this.statusHistory.push({ from: this.status, to: status, reason, by });
+  this.status = status;
+};
+
+CampaignSchema.statics.ESCROW_CATEGORIES = ESCROW_CATEGORIES;
+
 // Enable virtuals in JSON and object output
 CampaignSchema.set('toJSON', { virtuals: true });
 CampaignSchema.set('toObject', { virtuals: true });
@@ -199,5 +534,14 @@ CampaignSchema.set('toObject', { virtuals: true });
 CampaignSchema.index({ 'fraudAnalysisData.fraudScore': 1 });
 CampaignSchema.index({ 'fraudAnalysisData.riskLevel': 1 });
 CampaignSchema.index({ status: 1, 'fraudAnalysisData.fraudScore': 1 });
+CampaignSchema.index({ status: 1, endDate: 1 });
+CampaignSchema.index({ status: 1, draftSavedAt: 1 });
+CampaignSchema.index({ 'location.point': '2dsphere' });
+CampaignSchema.index({ 'location.state': 1, 'location.city': 1 });
+// Full-text search (see CampaignSearchService); matches in the title count most
+CampaignSchema.index(
+  { title: 'text', description: 'text', story: 'text' },
+  { name: 'campaign_text_search', weights: { title: 10, description: 5, story: 1 } }
+);
 
 module.exports = mongoose.model('Campaign', CampaignSchema);
\ No newline at end of file
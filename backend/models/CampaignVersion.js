@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A saved state of a campaign's editable content. Version 1 is the campaign as first submitted.
+const CampaignVersionSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  // Editable fields as they were after this version was saved
+  snapshot: {
+    title: String,
+    description: String,
+    story: String,
+    goalAmount: Number,
+    imageUrl: String,
+    additionalImages: [String],
+    videos: [String],
+  },
+  // Fields changed from the previous version
+  changes: [
+    {
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  // Why this edit sent an active campaign back for review, if it did
+  reviewReasons: [String],
+  note: {
+    type: String,
+    maxlength: [500, 'Edit note cannot be more than 500 characters'],
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CampaignVersionSchema.index({ campaign: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('CampaignVersion', CampaignVersionSchema);
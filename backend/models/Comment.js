@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A comment on a campaign, or a reply to another comment
+const CommentSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Unset for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+  },
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  content: {
+    type: String,
+    required: [true, 'Please provide comment content'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters'],
+  },
+  // Set when the campaign creator wrote the comment, so clients can highlight it
+  isCreator: {
+    type: Boolean,
+    default: false,
+  },
+  // Held comments are only shown to their author until a moderator approves them.
+  // Deleted comments keep their place in the thread when they have replies.
+  status: {
+    type: String,
+    enum: ['visible', 'held', 'removed', 'deleted'],
+    default: 'visible',
+  },
+  heldReason: {
+    type: String,
+  },
+  reports: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [280, 'Reason cannot be more than 280 characters'],
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  moderatedAt: {
+    type: Date,
+  },
+  moderationNote: {
+    type: String,
+  },
+  editedAt: {
+    type: Date,
+  },
+  deletedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CommentSchema.index({ campaign: 1, createdAt: 1 });
+CommentSchema.index({ parent: 1 });
+CommentSchema.index({ status: 1, reportCount: -1, createdAt: -1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
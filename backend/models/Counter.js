@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. one receipt counter per financial year
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Atomically increment a counter (creating it at 1) and return the new value
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -1,5 +1,7 @@
 
 const mongoose = require('mongoose');
+const LedgerService = require('../services/ledgerService');
+const FeeService = require('../services/feeService');
 
 const DonationSchema = new mongoose.Schema({
   campaign: {
@@ -7,57 +9,258 @@ const DonationSchema = new mongoose.Schema({
     ref: 'Campaign',
     required: true,
   },
+  // Unset for guest donations until the guest claims them into an account
   donor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function () {
+      return !(this.guest && this.guest.email);
+    },
+  },
+  guest: {
+    name: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.+-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,})+$/,
+        'Please provide a valid email',
+      ],
+    },
+    pan: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Please provide a valid PAN'],
+    },
+  },
+  claimedAt: {
+    type: Date,
   },
   amount: {
     type: Number,
     required: [true, 'Please provide donation amount'],
-    min: [1, 'Donation amount must be at least ₹1'],
+    min: [1, 'Donation amount must be at least 1'],
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'],
     default: 'pending',
   },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Optional tip for the platform, charged on top of the donation amount
+  tipAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tip cannot be negative'],
+  },
+  // Fees taken out of the donation before it reaches the campaign, in the paid currency.
+  // The gateway fee is an estimate until the provider reports the actual fee.
+  platformFee: {
+    type: Number,
+    default: 0,
+  },
+  platformFeeRefunded: {
+    type: Number,
+    default: 0,
+  },
+  gatewayFee: {
+    type: Number,
+    default: 0,
+  },
+  // Anonymous donations are shown without the donor's name on the public donor wall
+  anonymous: {
+    type: Boolean,
+    default: false,
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [280, 'Message cannot be more than 280 characters'],
+  },
+  // Whether the donation is currently counted in the campaign totals.
+  // Unset on donations recorded before this flag existed, which were all credited.
+  campaignCredited: {
+    type: Boolean,
+  },
+  provider: {
+    type: String,
+    enum: ['fake', 'razorpay', 'stripe'],
+    default: 'fake',
+  },
+  paymentIntentId: {
+    type: String,
+  },
   paymentId: {
     type: String,
   },
+  // Currency the donor paid in. Rates are snapshotted at donation time so totals never
+  // move when the rate table changes.
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  campaignCurrency: {
+    type: String,
+  },
+  // Campaign currency units per unit paid, and the amount credited to the campaign
+  exchangeRate: {
+    type: Number,
+  },
+  campaignAmount: {
+    type: Number,
+  },
+  // Platform currency units per unit paid, used for platform-wide totals
+  platformRate: {
+    type: Number,
+  },
+  platformAmount: {
+    type: Number,
+  },
+  failureReason: {
+    type: String,
+  },
+  // Set on donations charged by a recurring donation, one per cycle
+  recurringDonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringDonation',
+  },
+  cycle: {
+    type: Number,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Sequential per financial year, e.g. FS/2025-26/000123. Older donations keep REC-xxxxx numbers.
   receipt: {
     type: String,
   },
+  receiptEmailedAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
-// Generate receipt number
+DonationSchema.index({ provider: 1, paymentIntentId: 1 });
+DonationSchema.index({ provider: 1, paymentId: 1 });
+DonationSchema.index({ campaign: 1, status: 1, createdAt: -1 });
+DonationSchema.index({ 'guest.email': 1 });
+// A recurring donation cycle is only ever charged once
+DonationSchema.index(
+  { recurringDonation: 1, cycle: 1 },
+  { unique: true, partialFilterExpression: { recurringDonation: { $exists: true } } }
+);
+
+// Allowed donation status transitions
+DonationSchema.statics.STATUS_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  failed: ['completed'],
+  completed: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['refunded', 'disputed'],
+  disputed: ['completed', 'partially_refunded', 'refunded'],
+  refunded: [],
+};
+
+DonationSchema.statics.canTransition = function (from, to) {
+  return (this.STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Statuses in which a donation counts towards the campaign and can be refunded
+DonationSchema.statics.CREDITED_STATUSES = ['completed', 'partially_refunded'];
+
+// Convert an amount in the paid currency using the snapshotted rates.
+// Donations from before multi-currency support were all in the campaign and platform currency.
+DonationSchema.methods.toCampaignAmount = function (amount) {
+  return Math.round(amount * (this.exchangeRate || 1) * 100) / 100;
+};
+
+DonationSchema.methods.toPlatformAmount = function (amount) {
+  return Math.round(amount * (this.platformRate || 1) * 100) / 100;
+};
+
+// Total charged to the donor
+DonationSchema.virtual('chargedAmount').get(function () {
+  return this.amount + (this.tipAmount || 0);
+});
+
+// Amount still held for the campaign after refunds
+DonationSchema.virtual('netAmount').get(function () {
+  return this.amount - (this.refundedAmount || 0);
+});
+
+DonationSchema.set('toJSON', { virtuals: true });
+DonationSchema.set('toObject', { virtuals: true });
+
+// Donations stored before campaignCredited existed have no flag. Pending and failed ones were never
+// credited, so they get the flag as they load and are credited like new ones when they complete.
+// `npm run reconcile -- --backfill` sets it on every stored donation.
+DonationSchema.post('init', function () {
+  if (this.campaignCredited === undefined && ['pending', 'failed'].includes(this.status)) {
+    this.campaignCredited = false;
+  }
+});
+
+// Receipt numbers are assigned sequentially when a donation completes (see ReceiptService)
 DonationSchema.pre('save', function (next) {
-  if (!this.receipt) {
-    const randomNum = Math.floor(10000 + Math.random() * 90000);
-    this.receipt = `REC-${randomNum}`;
+  if (this.isNew && this.campaignCredited === undefined) {
+    this.campaignCredited = false;
   }
   next();
 });
 
-// Update campaign raised amount and backers count
+// Update campaign raised amount and backers count. The credit flag, ledger entries and campaign
+// totals are written in one database transaction, so a failure leaves the donation uncredited and
+// the next save credits it again. Errors are passed on to whoever saved the donation.
 DonationSchema.post('save', async function () {
-  if (this.status === 'completed') {
-    try {
-      const Campaign = mongoose.model('Campaign');
-      await Campaign.findByIdAndUpdate(this.campaign, {
-        $inc: {
-          raisedAmount: this.amount,
-          backers: 1,
-        },
-      });
-    } catch (error) {
-      console.error('Error updating campaign after donation:', error);
+  if (!this.constructor.CREDITED_STATUSES.includes(this.status) || this.campaignCredited !== false) return;
+
+  const claimed = await mongoose.connection.transaction(async (session) => {
+    // Claim the credit atomically so replays and concurrent saves only count once
+    const claim = await this.constructor.updateOne(
+      { _id: this._id, status: this.status, campaignCredited: false },
+      { $set: { campaignCredited: true } },
+      { session }
+    );
+    if (claim.modifiedCount === 0) return false;
+
+    // A donation credited again after a won dispute is posted as a dispute reversal
+    const LedgerEntry = mongoose.model('LedgerEntry');
+    const previousCredits = await LedgerEntry.countDocuments({
+      donation: this._id,
+      account: 'campaign_funds',
+      direction: 'credit',
+    }).session(session);
+
+    await LedgerService.recordCampaignMovement({
+      direction: 'credit',
+      transactionId: previousCredits === 0 ? `donation:${this._id}` : `dispute-won:${this._id}:${previousCredits}`,
+      type: previousCredits === 0 ? 'donation' : 'dispute_reversal',
+      amount: this.toCampaignAmount(this.amount - (this.refundedAmount || 0)),
+      campaign: this.campaign,
+      donation: this._id,
+      session,
+    });
+
+    // Fees are only taken on the first credit, not when a won dispute restores it
+    if (previousCredits === 0) {
+      await FeeService.recordDonationFees(this, { session });
     }
-  }
+
+    const Campaign = mongoose.model('Campaign');
+    await Campaign.findByIdAndUpdate(this.campaign, { $inc: { backers: 1 } }, { session });
+    return true;
+  });
+
+  if (claimed) this.campaignCredited = true;
 });
 
 module.exports = mongoose.model('Donation', DonationSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user following a campaign or a creator. Followers hear about updates and deadlines.
+const FollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Exactly one of campaign or creator is set
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+FollowSchema.pre('validate', function (next) {
+  if (Boolean(this.campaign) === Boolean(this.creator)) {
+    this.invalidate('campaign', 'A follow must be for either a campaign or a creator');
+  }
+  next();
+});
+
+FollowSchema.index(
+  { user: 1, campaign: 1 },
+  { unique: true, partialFilterExpression: { campaign: { $exists: true } } }
+);
+FollowSchema.index(
+  { user: 1, creator: 1 },
+  { unique: true, partialFilterExpression: { creator: { $exists: true } } }
+);
+FollowSchema.index({ campaign: 1 });
+FollowSchema.index({ creator: 1 });
+FollowSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Accounts money moves between. campaign_funds is scoped per campaign.
+const ACCOUNTS = [
+  'gateway_clearing',  // Money held by the payment provider
+  'campaign_funds',    // Money owed to a campaign
+  'platform_revenue',  // Fees earned by the platform
+  'sponsor_pledges',   // Matching gifts owed by corporate sponsors
+  'payouts',           // Money paid out to campaign creators
+  'adjustments',       // Manual corrections by admins
+];
+
+const TRANSACTION_TYPES = [
+  'donation',
+  'platform_fee',
+  'gateway_fee',
+  'tip',
+  'refund',
+  'chargeback',
+  'dispute_reversal',
+  'matching_gift',
+  'payout',
+  'adjustment',
+];
+
+// One side of a double-entry transaction. Every transaction is a debit and a credit
+// of the same amount sharing a transactionId. Entries are never updated or deleted.
+const LedgerEntrySchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true,
+  },
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Ledger amounts cannot be negative'],
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+  },
+  memo: {
+    type: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+// Posting the same transaction twice is rejected, which makes posting idempotent
+LedgerEntrySchema.index({ transactionId: 1, direction: 1 }, { unique: true });
+LedgerEntrySchema.index({ campaign: 1, account: 1, type: 1 });
+LedgerEntrySchema.index({ donation: 1 });
+
+// Ledger entries are immutable: corrections are posted as new adjustment transactions
+const rejectMutation = function (next) {
+  next(new Error('Ledger entries are immutable'));
+};
+
+LedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach(operation => {
+  LedgerEntrySchema.pre(operation, rejectMutation);
+});
+
+LedgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+LedgerEntrySchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A sponsor's match of one donation, credited to the donation's campaign
+const MatchedContributionSchema = new mongoose.Schema({
+  pledge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SponsorPledge',
+    required: true,
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true,
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  // In the pledge currency
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+  },
+  // Campaign currency units per pledge currency unit, and the amount credited to the campaign
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
+  campaignAmount: {
+    type: Number,
+    required: true,
+  },
+  // Part of the match given back to the sponsor because the donation was refunded
+  reversedAmount: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A donation is matched at most once by each pledge
+MatchedContributionSchema.index({ pledge: 1, donation: 1 }, { unique: true });
+MatchedContributionSchema.index({ campaign: 1, createdAt: -1 });
+MatchedContributionSchema.index({ donation: 1 });
+
+module.exports = mongoose.model('MatchedContribution', MatchedContributionSchema);
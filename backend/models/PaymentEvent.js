@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Webhook events received from payment providers, kept for deduplication and auditing
+const PaymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received',
+  },
+  error: {
+    type: String,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: {
+    type: Date,
+  },
+});
+
+// A provider event is only ever processed once
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
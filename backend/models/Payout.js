@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Withdrawal of campaign funds to the creator's payout account
+const PayoutSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutAccount',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide payout amount'],
+    min: [1, 'Payout amount must be at least 1'],
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'on_hold', 'approved', 'processing', 'paid', 'failed', 'rejected', 'cancelled'],
+    default: 'requested',
+  },
+  holdReason: {
+    type: String,
+  },
+  rejectionReason: {
+    type: String,
+  },
+  failureReason: {
+    type: String,
+  },
+  provider: {
+    type: String,
+  },
+  providerPayoutId: {
+    type: String,
+  },
+  reference: {
+    type: String,
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  history: [
+    {
+      status: String,
+      note: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  paidAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Payouts that still count against the campaign's available balance
+PayoutSchema.statics.OUTSTANDING_STATUSES = ['requested', 'on_hold', 'approved', 'processing'];
+
+// Record a status change in the payout history
+PayoutSchema.methods.setStatus = function (status, note, by) {
+  this.status = status;
+  this.history.push({ status, note, by });
+};
+
+PayoutSchema.index({ campaign: 1, status: 1 });
+PayoutSchema.index({ creator: 1, createdAt: -1 });
+PayoutSchema.index({ provider: 1, providerPayoutId: 1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Bank account or UPI handle a campaign creator receives payouts on
+const PayoutAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['bank', 'upi'],
+    required: [true, 'Please specify the account type'],
+  },
+  accountHolderName: {
+    type: String,
+    required: [true, 'Please provide the account holder name'],
+    trim: true,
+  },
+  accountNumber: {
+    type: String,
+    match: [/^\d{9,18}$/, 'Please provide a valid bank account number'],
+    required: function () {
+      return this.type === 'bank';
+    },
+    select: false,
+  },
+  accountNumberLast4: {
+    type: String,
+  },
+  ifsc: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Please provide a valid IFSC code'],
+    required: function () {
+      return this.type === 'bank';
+    },
+  },
+  upiId: {
+    type: String,
+    lowercase: true,
+    match: [/^[\w.-]{2,256}@[a-z]{2,64}$/, 'Please provide a valid UPI ID'],
+    required: function () {
+      return this.type === 'upi';
+    },
+  },
+  verificationStatus: {
+    type: String,
+    enum: ['pending', 'verified', 'failed'],
+    default: 'pending',
+  },
+  verificationMethod: {
+    type: String,
+    enum: ['provider', 'manual'],
+  },
+  verificationNote: {
+    type: String,
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  verifiedAt: {
+    type: Date,
+  },
+  provider: {
+    type: String,
+  },
+  providerAccountId: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+PayoutAccountSchema.pre('save', function (next) {
+  if (this.accountNumber) {
+    this.accountNumberLast4 = this.accountNumber.slice(-4);
+  }
+  next();
+});
+
+PayoutAccountSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PayoutAccount', PayoutAccountSchema);
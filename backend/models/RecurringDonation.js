@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// A donor's standing instruction to give to a campaign every week or month
+const RecurringDonationSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide donation amount'],
+    min: [1, 'Donation amount must be at least 1'],
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  // Copied to every donation the recurring donation creates
+  anonymous: {
+    type: Boolean,
+    default: false,
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [280, 'Message cannot be more than 280 characters'],
+  },
+  interval: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: [true, 'Please choose a weekly or monthly interval'],
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'completed'],
+    default: 'active',
+  },
+  // Payment method saved with the provider for off-session charges
+  provider: {
+    type: String,
+    enum: ['fake', 'razorpay', 'stripe'],
+    default: 'fake',
+  },
+  customerId: {
+    type: String,
+  },
+  paymentMethodId: {
+    type: String,
+    required: [true, 'Please provide a saved payment method'],
+    select: false,
+  },
+  // First charge; every later cycle falls a whole number of weeks or months after it.
+  // Older recurring donations use createdAt, which is when their first charge was made.
+  scheduleStart: {
+    type: Date,
+  },
+  nextChargeAt: {
+    type: Date,
+    required: true,
+  },
+  lastChargedAt: {
+    type: Date,
+  },
+  // Number of charges attempted, used to key each cycle's donation
+  cycleCount: {
+    type: Number,
+    default: 0,
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureReason: {
+    type: String,
+  },
+  stopReason: {
+    type: String,
+  },
+  pausedAt: {
+    type: Date,
+  },
+  endedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RecurringDonationSchema.index({ status: 1, nextChargeAt: 1 });
+RecurringDonationSchema.index({ donor: 1, createdAt: -1 });
+RecurringDonationSchema.index({ campaign: 1, status: 1 });
+
+// Date of the given cycle, counted from the schedule start (cycle 0)
+RecurringDonationSchema.methods.getCycleDate = function (cycle) {
+  const start = this.scheduleStart || this.createdAt;
+  const date = new Date(start);
+
+  if (this.interval === 'weekly') {
+    date.setDate(date.getDate() + 7 * cycle);
+  } else {
+    // Clamp to the end of shorter months (31 Jan -> 28/29 Feb) without losing the start day
+    date.setDate(1);
+    date.setMonth(date.getMonth() + cycle);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(start.getDate(), lastDay));
+  }
+
+  return date;
+};
+
+// First scheduled cycle after the given time. Retries and skipped cycles never move the schedule.
+RecurringDonationSchema.methods.getNextChargeDate = function (after = new Date()) {
+  const start = this.scheduleStart || this.createdAt;
+
+  // Start from an estimate of the cycles elapsed, then step to the first one after the time
+  let cycle = this.interval === 'weekly'
+    ? Math.floor((after - start) / (7 * 24 * 60 * 60 * 1000))
+    : (after.getFullYear() - start.getFullYear()) * 12 + after.getMonth() - start.getMonth() - 1;
+  cycle = Math.max(cycle, 1);
+  while (this.getCycleDate(cycle) <= after) cycle++;
+
+  return this.getCycleDate(cycle);
+};
+
+module.exports = mongoose.model('RecurringDonation', RecurringDonationSchema);
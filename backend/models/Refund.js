@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Refund ledger: one entry per refund or chargeback against a donation
+const RefundSchema = new mongoose.Schema({
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true,
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide refund amount'],
+    min: [0.01, 'Refund amount must be positive'],
+  },
+  type: {
+    type: String,
+    enum: ['refund', 'chargeback'],
+    default: 'refund',
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  initiatorRole: {
+    type: String,
+    enum: ['donor', 'admin', 'system'],
+    required: true,
+  },
+  provider: {
+    type: String,
+  },
+  providerRefundId: {
+    type: String,
+  },
+  failureReason: {
+    type: String,
+  },
+  // Part of the refund, in the campaign currency, that the campaign no longer held because
+  // it had already been paid out. The platform covers it and recovers it from the creator.
+  shortfall: {
+    type: Number,
+  },
+  processedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RefundSchema.index({ donation: 1 });
+RefundSchema.index({ campaign: 1, createdAt: -1 });
+RefundSchema.index({ provider: 1, providerRefundId: 1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
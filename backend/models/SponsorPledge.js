@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { isSupportedCurrency, getPlatformCurrency } = require('../services/currency');
+
+// A corporate sponsor's promise to match donations to some campaigns, up to a cap
+const SponsorPledgeSchema = new mongoose.Schema({
+  sponsor: {
+    name: {
+      type: String,
+      required: [true, 'Please provide the sponsor name'],
+      trim: true,
+      maxlength: [100, 'Sponsor name cannot be more than 100 characters'],
+    },
+    logoUrl: {
+      type: String,
+    },
+    website: {
+      type: String,
+    },
+  },
+  // Amount matched per unit donated: 1 matches 1:1, so a gift is doubled ("matched 2x")
+  matchRatio: {
+    type: Number,
+    required: [true, 'Please provide a match ratio'],
+    min: [0.1, 'Match ratio must be at least 0.1'],
+    max: [10, 'Match ratio cannot be more than 10'],
+  },
+  // Most the sponsor will give in total, in the pledge currency
+  cap: {
+    type: Number,
+    required: [true, 'Please provide a pledge cap'],
+    min: [1, 'Pledge cap must be at least 1'],
+  },
+  // Optional limit on the match for any single donation
+  maxMatchPerDonation: {
+    type: Number,
+    min: [1, 'Per-donation limit must be at least 1'],
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: getPlatformCurrency,
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`,
+    },
+  },
+  matchedAmount: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now,
+  },
+  endsAt: {
+    type: Date,
+  },
+  // Campaigns and categories the pledge applies to. Leaving both empty matches every campaign.
+  campaigns: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+    },
+  ],
+  categories: [
+    {
+      type: String,
+    },
+  ],
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'exhausted', 'ended'],
+    default: 'active',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SponsorPledgeSchema.index({ status: 1, startsAt: 1 });
+SponsorPledgeSchema.index({ campaigns: 1 });
+
+SponsorPledgeSchema.pre('validate', function (next) {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Amount of the cap not yet matched
+SponsorPledgeSchema.virtual('remainingAmount').get(function () {
+  return Math.max(Math.round((this.cap - (this.matchedAmount || 0)) * 100) / 100, 0);
+});
+
+SponsorPledgeSchema.set('toJSON', { virtuals: true });
+SponsorPledgeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('SponsorPledge', SponsorPledgeSchema);
@@ -27,6 +27,28 @@ const UserSchema = new mongoose.Schema({
       'Please provide a valid phone number',
     ],
   },
+  // Printed on 80G donation receipts
+  pan: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Please provide a valid PAN'],
+  },
+  // Home region, compared with the regions of campaigns the user creates
+  location: {
+    city: {
+      type: String,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+    },
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
@@ -47,7 +69,7 @@ const UserSchema = new mongoose.Schema({
 // Hash password before saving
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -1,15 +1,31 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Campaign = require('../models/Campaign');
 const User = require('../models/User');
 const Donation = require('../models/Donation');
+const Refund = require('../models/Refund');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const PayoutAccount = require('../models/PayoutAccount');
+const SponsorPledge = require('../models/SponsorPledge');
+const MatchedContribution = require('../models/MatchedContribution');
 const { protect, authorize } = require('../middleware/auth');
 const FraudDetectionService = require('../services/fraudDetection');
+const DonationService = require('../services/donationService');
+const LedgerService = require('../services/ledgerService');
+const PayoutService = require('../services/payoutService');
+const MilestoneService = require('../services/milestoneService');
+const CampaignEditService = require('../services/campaignEditService');
+const RecurringDonationService = require('../services/recurringDonationService');
+const CommentService = require('../services/commentService');
+const CampaignGoalService = require('../services/campaignGoalService');
 const { 
   addFraudAnalysis, 
   checkUrgentReview, 
   preventHighRiskApproval, 
   logFraudActivity 
 } = require('../middleware/fraudDetection');
+const escapeRegex = require('../utils/escapeRegex');
 
 const router = express.Router();
 
@@ -59,10 +75,33 @@ router.get('/dashboard', async (req, res, next) => {
     // Get total donations
     const donations = await Donation.aggregate([
       { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } },
+      // Platform currency amounts; donations from before multi-currency support were all in it
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$platformAmount', '$amount'] } } } },
     ]);
     
     const totalDonations = donations.length > 0 ? donations[0].total : 0;
+
+    // Platform fee income (net of fees returned on refunds), tips and provider fees, in the platform currency
+    const toPlatform = (field) => ({ $multiply: [{ $ifNull: [field, 0] }, { $ifNull: ['$platformRate', 1] }] });
+    const [fees] = await Donation.aggregate([
+      { $match: { status: { $in: ['completed', 'partially_refunded', 'refunded', 'disputed'] } } },
+      {
+        $group: {
+          _id: null,
+          platformFees: { $sum: toPlatform({ $subtract: [{ $ifNull: ['$platformFee', 0] }, { $ifNull: ['$platformFeeRefunded', 0] }] }) },
+          tips: { $sum: toPlatform('$tipAmount') },
+          gatewayFees: { $sum: toPlatform('$gatewayFee') },
+        },
+      },
+    ]);
+
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const feeIncome = {
+      platformFees: fees ? round(fees.platformFees) : 0,
+      tips: fees ? round(fees.tips) : 0,
+      gatewayFees: fees ? round(fees.gatewayFees) : 0,
+    };
+    feeIncome.total = round(feeIncome.platformFees + feeIncome.tips);
     
     // Get monthly donation data for current year
     const currentYear = new Date().getFullYear();
@@ -79,7 +118,7 @@ router.get('/dashboard', async (req, res, next) => {
       {
         $group: {
           _id: { month: { $month: '$createdAt' } },
-          total: { $sum: '$amount' },
+          total: { $sum: { $ifNull: ['$platformAmount', '$amount'] } },
         },
       },
       {
@@ -109,6 +148,7 @@ router.get('/dashboard', async (req, res, next) => {
         campaignsByStatus: groupedCampaigns,
         totalUsers,
         totalDonations,
+        feeIncome,
         monthlyDonations: formattedMonthlyData,
         fraudAlert: highRiskPending > 0 ? `${highRiskPending} high-risk campaigns need attention` : null
       },
@@ -133,9 +173,10 @@ router.get('/campaigns', addFraudAnalysis, async (req, res, next) => {
     }
     
     if (search) {
+      const pattern = escapeRegex(String(search).slice(0, 100));
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
+        { title: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
       ];
     }
     
@@ -246,6 +287,42 @@ router.get('/campaigns/:id', checkUrgentReview, async (req, res, next) => {
   }
 });
 
+// Edit history of a campaign, latest first
+router.get('/campaigns/:id/versions', async (req, res, next) => {
+  try {
+    const versions = await CampaignEditService.getVersions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Differences between two versions of a campaign (defaults to the latest edit)
+router.get('/campaigns/:id/versions/diff', async (req, res, next) => {
+  try {
+    let to = parseInt(req.query.to, 10);
+    if (!to) {
+      const [latest] = await CampaignEditService.getVersions(req.params.id);
+      to = latest ? latest.version : 1;
+    }
+    const from = parseInt(req.query.from, 10) || to - 1;
+
+    const diff = await CampaignEditService.diffVersions(req.params.id, from, to);
+
+    res.status(200).json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Approve campaign - WITH COMPREHENSIVE FRAUD PROTECTION
 router.put('/campaigns/:id/approve', preventHighRiskApproval, async (req, res) => {
   try {
@@ -257,6 +334,14 @@ router.put('/campaigns/:id/approve', preventHighRiskApproval, async (req, res) =
         message: 'Campaign not found',
       });
     }
+
+    // Drafts have not been submitted, and suspended campaigns go through /reinstate
+    if (campaign.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending campaigns can be approved; this campaign is ${campaign.status}`,
+      });
+    }
     
     // Get fraud analysis (will be in req.fraudAnalysis from middleware)
     const fraudAnalysis = req.fraudAnalysis || await FraudDetectionService.analyzeCampaign(campaign.toObject());
@@ -274,15 +359,19 @@ router.put('/campaigns/:id/approve', preventHighRiskApproval, async (req, res) =
     // Log the approval decision
     console.log(`CAMPAIGN APPROVAL - ID: ${campaign._id}, Fraud Score: ${fraudAnalysis.fraudScore}, Admin: ${req.user.email}`);
     
-    // Calculate new end date
+    // Calculate new end date. Campaigns re-approved after an edit keep their original one.
+    const isReReview = Boolean(campaign.pendingReview && campaign.pendingReview.requestedAt);
     const newEndDate = new Date();
     newEndDate.setDate(newEndDate.getDate() + campaign.duration);
     
     // Prepare updates with comprehensive fraud data
     const updates = {
       status: 'active',
-      isEmergency: req.body.isEmergency || false,
-      endDate: newEndDate,
+      // Re-approved campaigns keep their emergency flag unless the admin sends one
+      isEmergency: req.body.isEmergency !== undefined
+        ? req.body.isEmergency
+        : (isReReview && campaign.isEmergency) || false,
+      endDate: isReReview ? campaign.endDate : newEndDate,
       fraudAnalysisData: {
         analyzedAt: new Date(),
         fraudScore: fraudAnalysis.fraudScore,
@@ -296,12 +385,30 @@ router.put('/campaigns/:id/approve', preventHighRiskApproval, async (req, res) =
       }
     };
 
-    const approvedCampaign = await Campaign.findByIdAndUpdate(
-      req.params.id,
+    updates.$unset = { pendingReview: 1 };
+    updates.$push = {
+      statusHistory: {
+        from: campaign.status,
+        to: 'active',
+        reason: req.body.adminNote || req.body.approvalNote || 'Approved by admin',
+        by: req.user.id,
+      },
+    };
+
+    // Claimed on the status so a campaign changed while being reviewed is not approved
+    const approvedCampaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
       updates,
       { new: true, runValidators: true }
     );
 
+    if (!approvedCampaign) {
+      return res.status(409).json({
+        success: false,
+        message: 'Campaign is no longer pending approval',
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: approvedCampaign,
@@ -339,10 +446,10 @@ router.put('/campaigns/:id/reject', async (req, res, next) => {
       });
     }
     
-    if (campaign.status !== 'pending') {
+    if (!['pending', 'active', 'suspended'].includes(campaign.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Campaign is not pending approval',
+        message: `A ${campaign.status} campaign cannot be rejected`,
       });
     }
     
@@ -352,7 +459,7 @@ router.put('/campaigns/:id/reject', async (req, res, next) => {
     // Log the rejection decision
     console.log(`CAMPAIGN REJECTION - ID: ${campaign._id}, Fraud Score: ${fraudAnalysis.fraudScore}, Admin: ${req.user.email}, Reason: ${reason}`);
     
-    campaign.status = 'rejected';
+    campaign.setStatus('rejected', reason, req.user.id);
     campaign.rejectionReason = reason;
     campaign.fraudAnalysisData = {
       analyzedAt: new Date(),
@@ -365,6 +472,11 @@ router.put('/campaigns/:id/reject', async (req, res, next) => {
     };
     
     await campaign.save();
+
+    // Stop future recurring charges to a rejected campaign
+    await RecurringDonationService.stopForCampaign(campaign._id, 'Campaign is rejected');
+
+    const refundSummary = await handleDonorRefunds(campaign, req, reason);
     
     res.status(200).json({
       success: true,
@@ -374,144 +486,992 @@ router.put('/campaigns/:id/reject', async (req, res, next) => {
         riskLevel: fraudAnalysis.riskLevel,
         adminDecision: 'Rejected',
         timestamp: new Date()
-      }
+      },
+      ...refundSummary
     });
   } catch (error) {
     next(error);
   }
 });
 
-// NEW: Bulk fraud analysis for multiple campaigns
-router.post('/campaigns/bulk-fraud-analysis', async (req, res, next) => {
+// Refund all donors when requested, otherwise offer the bulk action if the campaign has donations
+const handleDonorRefunds = async (campaign, req, reason) => {
+  if (req.body.refundDonors) {
+    const refunds = await DonationService.refundAllDonations(campaign._id, {
+      reason,
+      initiatedBy: req.user.id,
+    });
+    return { refunds };
+  }
+
+  const refundableDonations = await Donation.countDocuments({
+    campaign: campaign._id,
+    status: { $in: Donation.CREDITED_STATUSES },
+  });
+
+  if (refundableDonations === 0) {
+    return {};
+  }
+
+  return {
+    refundAction: {
+      refundableDonations,
+      message: `This campaign has ${refundableDonations} donations that can be refunded`,
+      endpoint: `/api/admin/campaigns/${campaign._id}/refund-all`,
+    },
+  };
+};
+
+// Suspend an active campaign, optionally refunding all donors
+router.put('/campaigns/:id/suspend', async (req, res, next) => {
   try {
-    const { campaignIds } = req.body;
-    
-    if (!campaignIds || !Array.isArray(campaignIds)) {
+    const { reason } = req.body;
+
+    if (!reason) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide an array of campaign IDs'
+        message: 'Suspension reason is required',
       });
     }
-    
-    const campaigns = await Campaign.find({ _id: { $in: campaignIds } });
-    
-    const results = await Promise.all(
-      campaigns.map(async (campaign) => {
-        try {
-          const fraudAnalysis = await FraudDetectionService.analyzeCampaign(campaign.toObject());
-          return {
-            campaignId: campaign._id,
-            title: campaign.title,
-            status: campaign.status,
-            fraudAnalysis: fraudAnalysis
-          };
-        } catch (error) {
-          return {
-            campaignId: campaign._id,
-            title: campaign.title,
-            status: campaign.status,
-            fraudAnalysis: {
-              fraudScore: 0,
-              riskLevel: 'Unknown',
-              indicators: [],
-              recommendation: 'Analysis failed'
-            }
-          };
-        }
-      })
-    );
-    
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (campaign.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active campaigns can be suspended',
+      });
+    }
+
+    console.log(`CAMPAIGN SUSPENSION - ID: ${campaign._id}, Admin: ${req.user.email}, Reason: ${reason}`);
+
+    campaign.setStatus('suspended', reason, req.user.id);
+    campaign.suspensionReason = reason;
+    await campaign.save();
+
+    const refundSummary = await handleDonorRefunds(campaign, req, reason);
+
     res.status(200).json({
       success: true,
-      data: results,
-      summary: {
-        total: results.length,
-        highRisk: results.filter(r => r.fraudAnalysis.fraudScore >= 50).length,
-        mediumRisk: results.filter(r => r.fraudAnalysis.fraudScore >= 30 && r.fraudAnalysis.fraudScore < 50).length,
-        lowRisk: results.filter(r => r.fraudAnalysis.fraudScore < 30).length
-      }
+      data: campaign,
+      ...refundSummary
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get all users (for admin)
-router.get('/users', async (req, res, next) => {
+// Reinstate a suspended campaign
+router.put('/campaigns/:id/reinstate', async (req, res, next) => {
   try {
-    const users = await User.find().sort({ createdAt: -1 });
-    
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (campaign.status !== 'suspended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaign is not suspended',
+      });
+    }
+
+    campaign.setStatus('active', req.body.note || 'Reinstated by admin', req.user.id);
+    campaign.suspensionReason = undefined;
+    await campaign.save();
+
     res.status(200).json({
       success: true,
-      count: users.length,
-      data: users,
+      data: campaign,
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Enhanced fraud statistics
-router.get('/fraud-stats', async (req, res, next) => {
+// Refund every donor of a campaign
+router.post('/campaigns/:id/refund-all', async (req, res, next) => {
   try {
-    const campaigns = await Campaign.find({ status: { $in: ['pending', 'active', 'rejected', 'completed'] } });
-    
-    let stats = {
-      total: 0,
-      veryHigh: 0,
-      high: 0,
-      medium: 0,
-      low: 0,
-      veryLow: 0,
-      byCategory: {},
-      recentTrends: [],
-      riskDistribution: {}
-    };
-    
-    for (const campaign of campaigns) {
-      try {
-        const analysis = await FraudDetectionService.analyzeCampaign(campaign.toObject());
-        stats.total++;
-        
-        // Count by risk level
-        if (analysis.fraudScore >= 80) stats.veryHigh++;
-        else if (analysis.fraudScore >= 60) stats.high++;
-        else if (analysis.fraudScore >= 40) stats.medium++;
-        else if (analysis.fraudScore >= 20) stats.low++;
-        else stats.veryLow++;
-        
-        // Count by category
-        if (!stats.byCategory[campaign.category]) {
-          stats.byCategory[campaign.category] = { total: 0, highRisk: 0 };
-        }
-        stats.byCategory[campaign.category].total++;
-        if (analysis.fraudScore >= 50) {
-          stats.byCategory[campaign.category].highRisk++;
-        }
-        
-      } catch (error) {
-        console.error('Error in fraud stats:', error);
-      }
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund reason is required',
+      });
     }
-    
-    // Calculate percentages
-    if (stats.total > 0) {
-      stats.riskDistribution = {
-        veryHigh: Math.round((stats.veryHigh / stats.total) * 100),
-        high: Math.round((stats.high / stats.total) * 100),
-        medium: Math.round((stats.medium / stats.total) * 100),
-        low: Math.round((stats.low / stats.total) * 100),
-        veryLow: Math.round((stats.veryLow / stats.total) * 100)
-      };
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
     }
-    
+
+    if (campaign.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspend or reject the campaign before refunding all donors',
+      });
+    }
+
+    console.log(`BULK REFUND - Campaign: ${campaign._id}, Admin: ${req.user.email}, Reason: ${reason}`);
+
+    const summary = await DonationService.refundAllDonations(campaign._id, {
+      reason,
+      initiatedBy: req.user.id,
+    });
+
     res.status(200).json({
       success: true,
-      data: stats
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Refund a single donation (full or partial)
+router.post('/donations/:id/refund', async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund reason is required',
+      });
+    }
+
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found',
+      });
+    }
+
+    const refund = await DonationService.refundDonation(donation, {
+      amount,
+      reason,
+      initiatedBy: req.user.id,
+      initiatorRole: 'admin',
+    });
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Refund ledger
+router.get('/refunds', async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.campaign) query.campaign = req.query.campaign;
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.type) query.type = req.query.type;
+
+    const refunds = await Refund.find(query)
+      .populate('campaign', 'title')
+      .populate('donor', 'name email')
+      .populate('initiatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    const totalRefunded = refunds
+      .filter(refund => refund.status === 'succeeded')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      totalRefunded,
+      data: refunds,
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Ledger entries, optionally for one campaign
+router.get('/ledger', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const query = {};
+
+    if (req.query.campaign) query.campaign = req.query.campaign;
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.account) query.account = req.query.account;
+
+    const entries = await LedgerEntry.find(query)
+      .populate('campaign', 'title')
+      .sort({ createdAt: -1, transactionId: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await LedgerEntry.countDocuments(query);
+
+    const balances = req.query.campaign ? {
+      raised: await LedgerService.getCampaignRaised(req.query.campaign),
+      available: await LedgerService.getCampaignBalance(req.query.campaign),
+    } : undefined;
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+      },
+      balances,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare stored campaign totals with the ledger (?fix=true resets them from the ledger)
+router.get('/ledger/reconciliation', async (req, res, next) => {
+  try {
+    const report = await LedgerService.reconcile({ fix: req.query.fix === 'true' });
+
+    res.status(200).json({
+      success: true,
+      reconciled: report.mismatches.length === 0 && report.unbalancedTransactions.length === 0,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Post a manual adjustment to a campaign (positive adds funds, negative removes them)
+router.post('/ledger/adjustments', async (req, res, next) => {
+  try {
+    const { campaignId, memo } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!amount || !memo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a non-zero amount and a memo',
+      });
+    }
+
+    const campaign = await Campaign.findById(campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const transactionId = `adjustment:${new mongoose.Types.ObjectId()}`;
+
+    await LedgerService.recordCampaignMovement({
+      direction: amount > 0 ? 'credit' : 'debit',
+      counterAccount: 'adjustments',
+      transactionId,
+      type: 'adjustment',
+      amount: Math.abs(amount),
+      campaign: campaign._id,
+      memo,
+      createdBy: req.user.id,
+    });
+
+    console.log(`LEDGER ADJUSTMENT - Campaign: ${campaign._id}, Amount: ${amount}, Admin: ${req.user.email}, Memo: ${memo}`);
+
+    const entries = await LedgerEntry.find({ transactionId });
+
+    res.status(201).json({
+      success: true,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Escrow milestones whose proof is awaiting review
+router.get('/milestones', async (req, res, next) => {
+  try {
+    const submissions = await MilestoneService.getSubmittedMilestones();
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      data: submissions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject the proof for an escrow milestone
+const reviewMilestone = (approve) => async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const milestone = await MilestoneService.reviewMilestone(campaign, req.params.milestoneId, {
+      approve,
+      note: approve ? req.body.note : req.body.reason,
+      adminId: req.user.id,
+    });
+
+    console.log(`MILESTONE ${approve ? 'APPROVED' : 'REJECTED'} - Campaign: ${campaign._id}, Milestone: ${milestone._id}, Admin: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: approve
+        ? `Milestone approved and ${milestone.amount} released from escrow`
+        : 'Milestone proof rejected',
+      data: {
+        milestone,
+        escrow: campaign.escrow,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.put('/campaigns/:id/milestones/:milestoneId/approve', reviewMilestone(true));
+router.put('/campaigns/:id/milestones/:milestoneId/reject', reviewMilestone(false));
+
+// Payout requests, held ones first
+router.get('/payouts', async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+    if (req.query.campaign) query.campaign = req.query.campaign;
+
+    const payouts = await Payout.find(query)
+      .populate('campaign', 'title status fraudAnalysisData.riskLevel fraudAnalysisData.fraudScore')
+      .populate('creator', 'name email')
+      .populate('account', 'type accountHolderName accountNumberLast4 ifsc upiId verificationStatus')
+      .sort({ createdAt: -1 });
+
+    const statusOrder = ['on_hold', 'requested', 'approved', 'processing'];
+    const rank = (payout) => {
+      const index = statusOrder.indexOf(payout.status);
+      return index === -1 ? statusOrder.length : index;
+    };
+    payouts.sort((a, b) => rank(a) - rank(b));
+
+    res.status(200).json({
+      success: true,
+      count: payouts.length,
+      data: payouts,
+      summary: {
+        onHold: payouts.filter(p => p.status === 'on_hold').length,
+        awaitingApproval: payouts.filter(p => p.status === 'requested').length,
+        processing: payouts.filter(p => ['approved', 'processing'].includes(p.status)).length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a payout for the admin payout routes
+const findPayout = async (req, res) => {
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    res.status(404).json({
+      success: false,
+      message: 'Payout not found',
+    });
+  }
+
+  return payout;
+};
+
+// Approve a payout (held payouts require overrideHold and a note)
+router.put('/payouts/:id/approve', async (req, res, next) => {
+  try {
+    const payout = await findPayout(req, res);
+    if (!payout) return;
+
+    console.log(`PAYOUT APPROVAL - ID: ${payout._id}, Amount: ${payout.amount}, Admin: ${req.user.email}`);
+
+    const updated = await PayoutService.approvePayout(payout, {
+      adminId: req.user.id,
+      note: req.body.note,
+      overrideHold: req.body.overrideHold,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reject a payout request
+router.put('/payouts/:id/reject', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required',
+      });
+    }
+
+    const payout = await findPayout(req, res);
+    if (!payout) return;
+
+    if (!['requested', 'on_hold'].includes(payout.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${payout.status} payout cannot be rejected`,
+      });
+    }
+
+    payout.rejectionReason = reason;
+    payout.setStatus('rejected', reason, req.user.id);
+    await payout.save();
+
+    res.status(200).json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a payout paid after a manual bank transfer
+router.put('/payouts/:id/mark-paid', async (req, res, next) => {
+  try {
+    const { reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer reference is required',
+      });
+    }
+
+    const payout = await findPayout(req, res);
+    if (!payout) return;
+
+    const updated = await PayoutService.markPaid(payout, { reference, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a payout failed
+router.put('/payouts/:id/mark-failed', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failure reason is required',
+      });
+    }
+
+    const payout = await findPayout(req, res);
+    if (!payout) return;
+
+    const updated = await PayoutService.markFailed(payout, reason, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Payout accounts, e.g. ?status=pending for the manual verification queue
+router.get('/payout-accounts', async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.status) query.verificationStatus = req.query.status;
+
+    const accounts = await PayoutAccount.find(query)
+      .populate('user', 'name email phone')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: accounts.length,
+      data: accounts,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Manually verify or fail a payout account
+router.put('/payout-accounts/:id/verify', async (req, res, next) => {
+  try {
+    const { verified, note } = req.body;
+    if (typeof verified !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please set verified to true or false',
+      });
+    }
+
+    const account = await PayoutAccount.findById(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout account not found',
+      });
+    }
+
+    account.verificationStatus = verified ? 'verified' : 'failed';
+    account.verificationMethod = 'manual';
+    account.verificationNote = note;
+    account.verifiedBy = req.user.id;
+    account.verifiedAt = verified ? new Date() : undefined;
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sponsor pledge fields admins can set
+const pickPledgeFields = (body) => {
+  const fields = {};
+
+  if (body.sponsorName !== undefined || body.sponsorLogoUrl !== undefined || body.sponsorWebsite !== undefined) {
+    fields.sponsor = {
+      name: body.sponsorName,
+      logoUrl: body.sponsorLogoUrl,
+      website: body.sponsorWebsite,
+    };
+  }
+  ['matchRatio', 'cap', 'maxMatchPerDonation', 'currency', 'startsAt', 'endsAt', 'campaigns', 'categories']
+    .forEach(key => {
+      if (body[key] !== undefined) fields[key] = body[key];
+    });
+
+  return fields;
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map(item => item.message).join(', '),
+});
+
+// Get sponsor pledges
+router.get('/sponsor-pledges', async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const pledges = await SponsorPledge.find(query)
+      .populate('campaigns', 'title')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: pledges.length,
+      data: pledges,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a sponsor pledge that matches donations to some campaigns or categories
+router.post('/sponsor-pledges', async (req, res, next) => {
+  try {
+    const pledge = await SponsorPledge.create({
+      ...pickPledgeFields(req.body),
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: pledge,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+const findPledge = async (req, res) => {
+  const pledge = await SponsorPledge.findById(req.params.id);
+
+  if (!pledge) {
+    res.status(404).json({
+      success: false,
+      message: 'Sponsor pledge not found',
+    });
+  }
+
+  return pledge;
+};
+
+// Update a sponsor pledge. The cap cannot go below what has already been matched.
+router.put('/sponsor-pledges/:id', async (req, res, next) => {
+  try {
+    const pledge = await findPledge(req, res);
+    if (!pledge) return;
+
+    const fields = pickPledgeFields(req.body);
+    if (fields.currency && fields.currency.toUpperCase() !== pledge.currency && pledge.matchedAmount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The currency of a pledge cannot change once it has matched donations',
+      });
+    }
+    if (fields.cap !== undefined && Number(fields.cap) < pledge.matchedAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Cap cannot be less than the ${pledge.matchedAmount} already matched`,
+      });
+    }
+
+    pledge.set(fields);
+
+    // A raised cap reopens an exhausted pledge
+    if (pledge.status === 'exhausted' && pledge.matchedAmount < pledge.cap) {
+      pledge.status = 'active';
+    }
+    await pledge.save();
+
+    res.status(200).json({
+      success: true,
+      data: pledge,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Pause, resume or end a sponsor pledge
+const setPledgeStatus = (status, allowedFrom) => async (req, res, next) => {
+  try {
+    const pledge = await findPledge(req, res);
+    if (!pledge) return;
+
+    if (!allowedFrom.includes(pledge.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${pledge.status} pledge cannot be changed to ${status}`,
+      });
+    }
+
+    pledge.status = status;
+    await pledge.save();
+
+    res.status(200).json({
+      success: true,
+      data: pledge,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.put('/sponsor-pledges/:id/pause', setPledgeStatus('paused', ['active']));
+router.put('/sponsor-pledges/:id/resume', setPledgeStatus('active', ['paused']));
+router.put('/sponsor-pledges/:id/end', setPledgeStatus('ended', ['active', 'paused', 'exhausted']));
+
+// Donations a pledge has matched
+router.get('/sponsor-pledges/:id/contributions', async (req, res, next) => {
+  try {
+    const contributions = await MatchedContribution.find({ pledge: req.params.id })
+      .populate('campaign', 'title')
+      .populate('donation', 'amount currency status completedAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: contributions.length,
+      data: contributions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// NEW: Bulk fraud analysis for multiple campaigns
+router.post('/campaigns/bulk-fraud-analysis', async (req, res, next) => {
+  try {
+    const { campaignIds } = req.body;
+    
+    if (!campaignIds || !Array.isArray(campaignIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an array of campaign IDs'
+      });
+    }
+    
+    const campaigns = await Campaign.find({ _id: { $in: campaignIds } });
+    
+    const results = await Promise.all(
+      campaigns.map(async (campaign) => {
+        try {
+          const fraudAnalysis = await FraudDetectionService.analyzeCampaign(campaign.toObject());
+          return {
+            campaignId: campaign._id,
+            title: campaign.title,
+            status: campaign.status,
+            fraudAnalysis: fraudAnalysis
+          };
+        } catch (error) {
+          return {
+            campaignId: campaign._id,
+            title: campaign.title,
+            status: campaign.status,
+            fraudAnalysis: {
+              fraudScore: 0,
+              riskLevel: 'Unknown',
+              indicators: [],
+              recommendation: 'Analysis failed'
+            }
+          };
+        }
+      })
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: results,
+      summary: {
+        total: results.length,
+        highRisk: results.filter(r => r.fraudAnalysis.fraudScore >= 50).length,
+        mediumRisk: results.filter(r => r.fraudAnalysis.fraudScore >= 30 && r.fraudAnalysis.fraudScore < 50).length,
+        lowRisk: results.filter(r => r.fraudAnalysis.fraudScore < 30).length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all users (for admin)
+router.get('/users', async (req, res, next) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enhanced fraud statistics
+router.get('/fraud-stats', async (req, res, next) => {
+  try {
+    const campaigns = await Campaign.find({ status: { $in: ['pending', 'active', 'rejected', 'completed'] } });
+    
+    let stats = {
+      total: 0,
+      veryHigh: 0,
+      high: 0,
+      medium: 0,
+      low: 0,
+      veryLow: 0,
+      byCategory: {},
+      recentTrends: [],
+      riskDistribution: {}
+    };
+    
+    for (const campaign of campaigns) {
+      try {
+        const analysis = await FraudDetectionService.analyzeCampaign(campaign.toObject());
+        stats.total++;
+        
+        // Count by risk level
+        if (analysis.fraudScore >= 80) stats.veryHigh++;
+        else if (analysis.fraudScore >= 60) stats.high++;
+        else if (analysis.fraudScore >= 40) stats.medium++;
+        else if (analysis.fraudScore >= 20) stats.low++;
+        else stats.veryLow++;
+        
+        // Count by category
+        if (!stats.byCategory[campaign.category]) {
+          stats.byCategory[campaign.category] = { total: 0, highRisk: 0 };
+        }
+        stats.byCategory[campaign.category].total++;
+        if (analysis.fraudScore >= 50) {
+          stats.byCategory[campaign.category].highRisk++;
+        }
+        
+      } catch (error) {
+        console.error('Error in fraud stats:', error);
+      }
+    }
+    
+    // Calculate percentages
+    if (stats.total > 0) {
+      stats.riskDistribution = {
+        veryHigh: Math.round((stats.veryHigh / stats.total) * 100),
+        high: Math.round((stats.high / stats.total) * 100),
+        medium: Math.round((stats.medium / stats.total) * 100),
+        low: Math.round((stats.low / stats.total) * 100),
+        veryLow: Math.round((stats.veryLow / stats.total) * 100)
+      };
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Goal increase requests awaiting review, with the requested amount scored against category limits
+router.get('/goal-requests', async (req, res, next) => {
+  try {
+    const pending = await CampaignGoalService.getPendingRequests();
+
+    res.status(200).json({
+      success: true,
+      count: pending.length,
+      data: pending.map(({ campaign, request }) => ({
+        campaign,
+        request,
+        assessment: CampaignGoalService.assessGoalAmount(campaign, request.amount),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const reviewGoalRequest = (approve) => async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const { request, assessment } = await CampaignGoalService.reviewGoalRequest(campaign, req.params.requestId, {
+      approve,
+      note: req.body.note || req.body.reason,
+      adminId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: approve ? `Goal raised to ${campaign.currency} ${request.amount}` : 'Goal increase rejected',
+      data: request,
+      assessment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.put('/campaigns/:id/goal-requests/:requestId/approve', reviewGoalRequest(true));
+router.put('/campaigns/:id/goal-requests/:requestId/reject', reviewGoalRequest(false));
+
+// Comment moderation queue: held comments and reported ones still visible
+router.get('/comments', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const { total, comments } = await CommentService.getModerationQueue({
+      status: req.query.status,
+      campaign: req.query.campaign,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+      },
+      data: comments,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const moderateComment = (action) => async (req, res, next) => {
+  try {
+    const comment = await CommentService.moderate(req.params.id, req.user.id, {
+      action,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'approve' ? 'Comment approved' : 'Comment removed',
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.put('/comments/:id/approve', moderateComment('approve'));
+router.put('/comments/:id/remove', moderateComment('remove'));
+
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,7 @@ const router = express.Router();
 // Register user
 router.post('/register', validateRegistration, async (req, res, next) => {
   try {
-    const { name, email, password, role, phone } = req.body;
+    const { name, email, password, role, phone, pan } = req.body;
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -24,6 +24,7 @@ router.post('/register', validateRegistration, async (req, res, next) => {
       password,
       role: role || 'user',
       phone,
+      pan,
     });
 
     sendTokenResponse(user, 201, res);
@@ -72,6 +73,37 @@ router.get('/me', protect, async (req, res, next) => {
   }
 });
 
+// Update the current user's name, PAN or home region
+router.put('/me', protect, async (req, res, next) => {
+  try {
+    const { name, pan, city, state, country } = req.body;
+
+    if (pan && !/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(String(pan).toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid PAN format',
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (name !== undefined) user.name = name;
+    if (pan !== undefined) user.pan = pan || undefined;
+    if (city !== undefined) user.set('location.city', city || undefined);
+    if (state !== undefined) user.set('location.state', state || undefined);
+    if (country !== undefined) user.set('location.country', country || undefined);
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Helper function to send token response
 const sendTokenResponse = (user, statusCode, res) => {
   const token = user.getSignedJwtToken();
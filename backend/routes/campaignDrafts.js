@@ -0,0 +1,206 @@
+const express = require('express');
+const Campaign = require('../models/Campaign');
+const { protect } = require('../middleware/auth');
+const { uploadMultiple } = require('../middleware/fileUpload');
+const CampaignDraftService = require('../services/campaignDraftService');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Find one of the user's drafts, responding 404 if there is none
+const findDraft = async (req, res) => {
+  const draft = await Campaign.findOne({ _id: req.params.id, creator: req.user.id, status: 'draft' });
+
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      message: 'Draft not found',
+    });
+  }
+
+  return draft;
+};
+
+// Get the user's drafts, most recently saved first
+router.get('/', async (req, res, next) => {
+  try {
+    const drafts = await Campaign.find({ creator: req.user.id, status: 'draft' }).sort({ draftSavedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: drafts.length,
+      data: drafts.map(draft => ({
+        ...draft.toJSON(),
+        progress: CampaignDraftService.getProgress(draft),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start a draft with whatever fields are ready
+router.post('/', async (req, res, next) => {
+  try {
+    const draft = await CampaignDraftService.createDraft(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: draft,
+      progress: CampaignDraftService.getProgress(draft),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    res.status(200).json({
+      success: true,
+      data: draft,
+      progress: CampaignDraftService.getProgress(draft),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save fields from any step
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    await CampaignDraftService.updateDraft(draft, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: draft,
+      progress: CampaignDraftService.getProgress(draft),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check one step, e.g. before moving on to the next one
+router.get('/:id/steps/:step', async (req, res, next) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    const errors = CampaignDraftService.validateStep(draft, req.params.step);
+
+    res.status(200).json({
+      success: true,
+      data: { step: req.params.step, complete: errors.length === 0, errors },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload images, videos or verification documents
+router.post('/:id/media', (req, res, next) => {
+  uploadMultiple(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload failed'
+      });
+    }
+
+    try {
+      const draft = await findDraft(req, res);
+      if (!draft) return;
+
+      const uploaded = await CampaignDraftService.addMedia(draft, req.files);
+
+      res.status(200).json({
+        success: true,
+        data: draft,
+        uploaded,
+        progress: CampaignDraftService.getProgress(draft),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// Remove an uploaded file by its URL
+router.delete('/:id/media', async (req, res, next) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    const url = req.body.url || req.query.url;
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the URL of the file to remove',
+      });
+    }
+
+    await CampaignDraftService.removeMedia(draft, url);
+
+    res.status(200).json({
+      success: true,
+      data: draft,
+      progress: CampaignDraftService.getProgress(draft),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit a complete draft for review
+router.post('/:id/submit', async (req, res, next) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    const progress = CampaignDraftService.getProgress(draft);
+    if (!progress.complete) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete every step before submitting',
+        progress,
+      });
+    }
+
+    const campaign = await CampaignDraftService.submitDraft(draft, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Campaign submitted for review',
+      data: campaign,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Discard a draft and its uploads
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    await CampaignDraftService.deleteDraft(draft);
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
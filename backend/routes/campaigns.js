@@ -1,47 +1,94 @@
 
 const express = require('express');
 const Campaign = require('../models/Campaign');
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 const { uploadMultiple, getFilePaths } = require('../middleware/fileUpload');
 const { uploadToCloudinary } = require('../middleware/fileUpload'); 
+const { uploadProofDocuments, uploadUpdateImages, deleteUploads } = require('../middleware/fileUpload');
+const MilestoneService = require('../services/milestoneService');
+const CampaignEditService = require('../services/campaignEditService');
+const CampaignUpdateService = require('../services/campaignUpdateService');
+const CommentService = require('../services/commentService');
+const CampaignGoalService = require('../services/campaignGoalService');
+const CampaignSearchService = require('../services/campaignSearchService');
+const CampaignFeedService = require('../services/campaignFeedService');
+const FollowService = require('../services/followService');
+const DonationService = require('../services/donationService');
+const LedgerService = require('../services/ledgerService');
+const MatchingService = require('../services/matchingService');
+const { getPlatformCurrency, isSupportedCurrency } = require('../services/currency');
+const { parseLocation, mergeLocation } = require('../utils/geo');
 
 const router = express.Router();
 
-// Get all active campaigns
+// Upload files to Cloudinary one at a time, adding each to `uploaded` as soon as it is stored,
+// so the ones that made it can be removed if a later upload or step fails
+const uploadFiles = async (files, uploaded) => {
+  const results = [];
+  for (const file of files || []) {
+    const result = await uploadToCloudinary(file);
+    uploaded.push(result);
+    results.push(result);
+  }
+  return results;
+};
+
+// Search active campaigns.
+// Query: q (or search), category, goalMin/goalMax (platform currency), emergency,
+// lat/lng/radius (km) for nearby campaigns, state, city,
+// sort (relevance|newest|trending|ending_soon|nearly_funded|most_backers|nearest), page, limit
 router.get('/', async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const category = req.query.category || null;
-    const search = req.query.search || null;
+    const params = CampaignSearchService.parseParams(req.query);
+    const { total, campaigns, facets, sort, matchedBy } = await CampaignSearchService.search(params);
 
-    // Build query
-    let query = { status: 'active' };
-    
-    if (category && category !== 'All') {
-      query.category = category;
-    }
-    
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-      ];
-    }
+    res.status(200).json({
+      success: true,
+      count: campaigns.length,
+      total,
+      pagination: {
+        current: params.page,
+        pages: Math.ceil(total / params.limit),
+      },
+      sort,
+      matchedBy,
+      facets,
+      data: campaigns,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Execute query with pagination
-    const campaigns = await Campaign.find(query)
-      .populate('creator', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(startIndex)
-      .limit(limit);
+// Home page ranking feeds: the first few campaigns of each
+router.get('/feeds', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 6, 24);
+    const feeds = await Promise.all(
+      Object.keys(CampaignFeedService.FEEDS).map(feed => CampaignFeedService.getFeed(feed, { limit }))
+    );
 
-    // Get total count for pagination
-    const total = await Campaign.countDocuments(query);
+    res.status(200).json({
+      success: true,
+      data: feeds,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One ranking feed: trending, nearly-funded, ending-soon or emergency
+router.get('/feeds/:feed', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 12, 50);
+    const { feed, description, computedAt, total, campaigns } = await CampaignFeedService.getFeed(req.params.feed, { page, limit });
 
     res.status(200).json({
       success: true,
+      feed,
+      description,
+      computedAt,
       count: campaigns.length,
       total,
       pagination: {
@@ -55,14 +102,14 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// Get single campaign
-router.get('/:id', async (req, res, next) => {
+// Get single campaign. Signed-in users also see whether they follow or bookmarked it.
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
     const campaign = await Campaign.findById(req.params.id)
-      .populate('creator', 'name email')
-      .populate('comments.user', 'name');
+      .populate('creator', 'name email');
 
-    if (!campaign) {
+    // Drafts are only visible to their creator, through /api/campaigns/drafts
+    if (!campaign || campaign.status === 'draft') {
       return res.status(404).json({
         success: false,
         message: 'Campaign not found',
@@ -72,6 +119,45 @@ router.get('/:id', async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: campaign,
+      // Gross raised vs. what is left after fees and payouts, in the campaign currency
+      funds: await LedgerService.getCampaignSummary(campaign._id),
+      matching: await MatchingService.getCampaignMatching(campaign),
+      social: await FollowService.getCampaignCounts(campaign, req.user && req.user._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Public donor wall: top and recent supporters, with anonymous donors masked
+router.get('/:id/donors', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const campaign = await Campaign.findById(req.params.id, 'status');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    const { top, recent, total } = await DonationService.getDonorWall(campaign._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: recent.length,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+      },
+      data: {
+        top,
+        recent,
+      },
     });
   } catch (error) {
     next(error);
@@ -89,8 +175,25 @@ router.post('/', protect, (req, res, next) => {
       });
     }
     
+    // Everything uploaded to Cloudinary, removed again if the campaign is not created
+    const uploaded = [];
+
     try {
       const { title, description, story, category, goalAmount, duration } = req.body;
+
+      // Milestones put the campaign's funds in escrow
+      const milestones = MilestoneService.parseMilestones(req.body.milestones);
+      const escrowEnabled = milestones.length > 0 || req.body.escrowEnabled === 'true';
+
+      // Check the currency before anything is uploaded
+      const currency = (req.body.currency || getPlatformCurrency()).toUpperCase();
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          success: false,
+          message: `Campaigns in ${currency} are not supported`,
+        });
+      }
+      const location = parseLocation(req.body);
       
       // Process the files through Cloudinary
       const filesObj = req.files;
@@ -98,27 +201,22 @@ router.post('/', protect, (req, res, next) => {
       
       // Upload images to Cloudinary
       if (filesObj.images && filesObj.images.length > 0) {
-        cloudinaryFiles.images = await Promise.all(
-          filesObj.images.map(file => uploadToCloudinary(file))
-        );
+        cloudinaryFiles.images = await uploadFiles(filesObj.images, uploaded);
       }
       
       // Upload videos to Cloudinary
       if (filesObj.videos && filesObj.videos.length > 0) {
-        cloudinaryFiles.videos = await Promise.all(
-          filesObj.videos.map(file => uploadToCloudinary(file))
-        );
+        cloudinaryFiles.videos = await uploadFiles(filesObj.videos, uploaded);
       }
       
       // Upload verification documents to Cloudinary
       if (filesObj.verificationDocument && filesObj.verificationDocument.length > 0) {
-        cloudinaryFiles.verificationDocument = await Promise.all(
-          filesObj.verificationDocument.map(file => uploadToCloudinary(file))
-        );
+        cloudinaryFiles.verificationDocument = await uploadFiles(filesObj.verificationDocument, uploaded);
       }
-      
+
       // Ensure at least one image and one verification document is uploaded
       if (!cloudinaryFiles.images || cloudinaryFiles.images.length === 0) {
+        await deleteUploads(uploaded);
         return res.status(400).json({
           success: false,
           message: 'Please upload at least one campaign image',
@@ -126,6 +224,7 @@ router.post('/', protect, (req, res, next) => {
       }
 
       if (!cloudinaryFiles.verificationDocument || cloudinaryFiles.verificationDocument.length === 0) {
+        await deleteUploads(uploaded);
         return res.status(400).json({
           success: false,
           message: 'Please upload a verification document',
@@ -143,6 +242,7 @@ router.post('/', protect, (req, res, next) => {
         story,
         category,
         goalAmount,
+        currency,
         duration,
         imageUrl: cloudinaryFiles.images[0].url, // Use the Cloudinary URL for the cover image
         creator: req.user.id,
@@ -150,12 +250,23 @@ router.post('/', protect, (req, res, next) => {
         additionalImages: cloudinaryFiles.images.slice(1).map(img => img.url), // Extract URLs for additional images
         videos: cloudinaryFiles.videos ? cloudinaryFiles.videos.map(video => video.url) : [],
         verificationDocuments: cloudinaryFiles.verificationDocument.map(doc => doc.url),
+        escrowEnabled,
+        milestones,
+        location,
+        organization: req.body.organizationName ? {
+          name: req.body.organizationName,
+          address: req.body.organizationAddress,
+          pan: req.body.organizationPan,
+          registration80G: req.body.registration80G,
+          registration80GValidUntil: req.body.registration80GValidUntil,
+        } : undefined,
         // Optionally store public IDs for future reference (e.g., for deletion)
         cloudinaryData: {
           coverImageId: cloudinaryFiles.images[0].publicId,
           additionalImageIds: cloudinaryFiles.images.slice(1).map(img => img.publicId),
           videoIds: cloudinaryFiles.videos ? cloudinaryFiles.videos.map(video => video.publicId) : [],
-          verificationDocumentIds: cloudinaryFiles.verificationDocument.map(doc => doc.publicId)
+          verificationDocumentIds: cloudinaryFiles.verificationDocument.map(doc => doc.publicId),
+          assets: uploaded,
         }
       });
 
@@ -165,47 +276,593 @@ router.post('/', protect, (req, res, next) => {
       });
     } catch (error) {
       console.error('Campaign creation error:', error);
+      await deleteUploads(uploaded);
       next(error);
     }
   });
 });
 
-// Add comment to campaign
-router.post('/:id/comments', protect, async (req, res, next) => {
+// Upload proof for the next milestone of an escrow campaign
+router.post('/:id/milestones/:milestoneId/proof', protect, (req, res, next) => {
+  uploadProofDocuments(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload failed'
+      });
+    }
+
+    // Proof documents uploaded to Cloudinary, removed again if the proof is not submitted
+    const uploaded = [];
+
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Campaign not found',
+        });
+      }
+
+      if (campaign.creator.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this campaign',
+        });
+      }
+
+      const milestone = MilestoneService.getSubmittableMilestone(campaign, req.params.milestoneId);
+
+      const files = (req.files && req.files.proofDocuments) || [];
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload at least one proof document',
+        });
+      }
+
+      const documents = await uploadFiles(files, uploaded);
+
+      await MilestoneService.submitProof(campaign, milestone, {
+        documents,
+        note: req.body.note,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Proof submitted for review',
+        data: milestone,
+      });
+    } catch (error) {
+      await deleteUploads(uploaded);
+      next(error);
+    }
+  });
+});
+
+// Parse a list sent as a JSON array, a comma-separated string or repeated form fields
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
   try {
-    const { content } = req.body;
-    
-    if (!content) {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+};
+
+// Edit a campaign. Every edit is saved as a version; significant edits to an active
+// campaign send it back for admin approval.
+router.put('/:id', protect, (req, res, next) => {
+  uploadMultiple(req, res, async (err) => {
+    if (err) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide comment content',
+        message: err.message || 'File upload failed'
       });
     }
 
-    const campaign = await Campaign.findById(req.params.id);
-    
-    if (!campaign) {
+    // New files uploaded to Cloudinary, removed again if the edit is not saved
+    const uploaded = [];
+
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Campaign not found',
+        });
+      }
+
+      if (campaign.creator.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this campaign',
+        });
+      }
+
+      if (!CampaignEditService.EDITABLE_STATUSES.includes(campaign.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${campaign.status} campaign cannot be edited`,
+        });
+      }
+
+      const updates = {};
+      ['title', 'description', 'story', 'goalAmount'].forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      // Location is not versioned: the fields sent are merged into the current location
+      const locationFields = ['city', 'state', 'country', 'latitude', 'longitude'];
+      const locationSent = locationFields.some(field => req.body[field] !== undefined);
+      if (locationSent) {
+        campaign.location = mergeLocation(campaign.location, req.body);
+      }
+
+      // Images: remove listed ones, add uploaded ones, optionally using the first upload as the cover
+      const removeImages = parseList(req.body.removeImages);
+      const removeVideos = parseList(req.body.removeVideos);
+      const files = req.files || {};
+
+      const images = await uploadFiles(files.images, uploaded);
+      const videos = await uploadFiles(files.videos, uploaded);
+
+      // Files being removed, deleted from Cloudinary once the edit is saved
+      const removedUrls = [
+        ...campaign.additionalImages.filter(url => removeImages.includes(url)),
+        ...campaign.videos.filter(url => removeVideos.includes(url)),
+      ];
+      let removedAssets = [];
+
+      let additionalImages = campaign.additionalImages.filter(url => !removeImages.includes(url));
+      if (images.length > 0 && req.body.replaceCover === 'true') {
+        updates.imageUrl = images[0].url;
+        additionalImages = [...additionalImages, ...images.slice(1).map(img => img.url)];
+      } else {
+        additionalImages = [...additionalImages, ...images.map(img => img.url)];
+      }
+      if (removeImages.length > 0 || images.length > 0) {
+        updates.additionalImages = additionalImages;
+      }
+      if (removeVideos.length > 0 || videos.length > 0) {
+        updates.videos = [
+          ...campaign.videos.filter(url => !removeVideos.includes(url)),
+          ...videos.map(video => video.url),
+        ];
+      }
+
+      if (campaign.cloudinaryData) {
+        const newCover = updates.imageUrl ? images[0] : null;
+        if (newCover) campaign.cloudinaryData.coverImageId = newCover.publicId;
+        campaign.cloudinaryData.additionalImageIds = [
+          ...(campaign.cloudinaryData.additionalImageIds || []),
+          ...images.filter(img => img !== newCover).map(img => img.publicId),
+        ];
+        campaign.cloudinaryData.videoIds = [
+          ...(campaign.cloudinaryData.videoIds || []),
+          ...videos.map(video => video.publicId),
+        ];
+        campaign.cloudinaryData.assets.push(...images, ...videos);
+
+        removedAssets = campaign.cloudinaryData.assets.filter(asset => removedUrls.includes(asset.url));
+        const removedIds = removedAssets.map(asset => asset.publicId);
+        campaign.cloudinaryData.additionalImageIds = campaign.cloudinaryData.additionalImageIds.filter(id => !removedIds.includes(id));
+        campaign.cloudinaryData.videoIds = campaign.cloudinaryData.videoIds.filter(id => !removedIds.includes(id));
+        campaign.cloudinaryData.assets = campaign.cloudinaryData.assets.filter(asset => !removedUrls.includes(asset.url));
+      }
+
+      // Nothing versioned changed, so the location is saved on its own
+      if (locationSent && !CampaignEditService.hasChanges(campaign, updates)) {
+        await campaign.save();
+        return res.status(200).json({
+          success: true,
+          message: 'Campaign location updated',
+          data: campaign,
+        });
+      }
+
+      const { version, reviewReasons } = await CampaignEditService.editCampaign(campaign, updates, {
+        userId: req.user.id,
+        note: req.body.note,
+      });
+
+      await deleteUploads(removedAssets);
+
+      res.status(200).json({
+        success: true,
+        message: reviewReasons.length > 0
+          ? 'Campaign updated and sent for review'
+          : 'Campaign updated',
+        data: campaign,
+        version: version.version,
+        reviewReasons,
+      });
+    } catch (error) {
+      await deleteUploads(uploaded);
+      next(error);
+    }
+  });
+});
+
+// Find a campaign the user created, responding 404/403 otherwise
+const findOwnCampaign = async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id);
+
+  if (!campaign || campaign.status === 'draft') {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found',
+    });
+    return null;
+  }
+
+  if (campaign.creator.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this campaign',
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+// Get a campaign's updates, newest first
+router.get('/:id/updates', async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id, 'status updates');
+
+    if (!campaign || campaign.status === 'draft') {
       return res.status(404).json({
         success: false,
         message: 'Campaign not found',
       });
     }
 
-    // Add comment
-    campaign.comments.push({
-      user: req.user.id,
-      content,
+    const updates = [...campaign.updates].sort((a, b) => b.date - a.date);
+
+    res.status(200).json({
+      success: true,
+      count: updates.length,
+      data: updates,
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    await campaign.save();
+// Post an update, optionally with images. Donors and followers are notified.
+router.post('/:id/updates', protect, (req, res, next) => {
+  uploadUpdateImages(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload failed'
+      });
+    }
 
-    // Return the updated comments with populated user data
-    const updatedCampaign = await Campaign.findById(req.params.id)
-      .populate('comments.user', 'name');
+    try {
+      const campaign = await findOwnCampaign(req, res);
+      if (!campaign) return;
+
+      const update = await CampaignUpdateService.postUpdate(campaign, {
+        title: req.body.title,
+        content: req.body.content,
+        files: (req.files && req.files.images) || [],
+      });
+
+      res.status(201).json({
+        success: true,
+        data: update,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// Edit an update
+router.put('/:id/updates/:updateId', protect, (req, res, next) => {
+  uploadUpdateImages(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload failed'
+      });
+    }
+
+    try {
+      const campaign = await findOwnCampaign(req, res);
+      if (!campaign) return;
+
+      const update = await CampaignUpdateService.editUpdate(campaign, req.params.updateId, {
+        title: req.body.title,
+        content: req.body.content,
+        files: (req.files && req.files.images) || [],
+        removeImages: parseList(req.body.removeImages),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: update,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// Delete an update and its images
+router.delete('/:id/updates/:updateId', protect, async (req, res, next) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    await CampaignUpdateService.deleteUpdate(campaign, req.params.updateId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Update deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a stretch goal above the campaign goal
+router.post('/:id/stretch-goals', protect, async (req, res, next) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    const goal = await CampaignGoalService.addStretchGoal(campaign, {
+      title: req.body.title,
+      description: req.body.description,
+      amount: req.body.amount,
+    });
 
     res.status(201).json({
       success: true,
-      data: updatedCampaign.comments,
+      data: goal,
+      stretchGoals: campaign.stretchGoals,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a stretch goal that has not been reached
+router.put('/:id/stretch-goals/:goalId', protect, async (req, res, next) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    const goal = await CampaignGoalService.updateStretchGoal(campaign, req.params.goalId, {
+      title: req.body.title,
+      description: req.body.description,
+      amount: req.body.amount,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: goal,
+      stretchGoals: campaign.stretchGoals,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a stretch goal that has not been reached
+router.delete('/:id/stretch-goals/:goalId', protect, async (req, res, next) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    await CampaignGoalService.removeStretchGoal(campaign, req.params.goalId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stretch goal removed',
+      stretchGoals: campaign.stretchGoals,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Goal increase requests made for a campaign
+router.get('/:id/goal-requests', protect, async (req, res, next) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    res.status(200).json({
+      success: true,
+      count: campaign.goalRequests.length,
+      data: [...campaign.goalRequests].reverse(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ask an admin to raise the goal of an active campaign
+router.post('/:id/goal-requests', protect, async (req, res, next) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    const { request } = await CampaignGoalService.requestGoalIncrease(campaign, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Your goal increase has been sent for review',
+      data: request,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Campaign comments are stored in their own collection (see CommentService)
+const findCommentableCampaign = async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id, 'title status creator');
+
+  if (!campaign || campaign.status === 'draft') {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found',
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+// Get a campaign's comments as a thread. Signed-in users also see their own held comments.
+router.get('/:id/comments', optionalAuth, async (req, res, next) => {
+  try {
+    const campaign = await findCommentableCampaign(req, res);
+    if (!campaign) return;
+
+    const { count, comments } = await CommentService.getThread(campaign._id, req.user && req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count,
+      data: comments,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a comment, or a reply when parentId is given
+router.post('/:id/comments', protect, async (req, res, next) => {
+  try {
+    const campaign = await findCommentableCampaign(req, res);
+    if (!campaign) return;
+
+    const { comment, held } = await CommentService.addComment(campaign, req.user, {
+      content: req.body.content,
+      parentId: req.body.parentId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: held ? 'Your comment is awaiting moderation' : 'Comment posted',
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit your own comment
+router.put('/:id/comments/:commentId', protect, async (req, res, next) => {
+  try {
+    const comment = await CommentService.findComment(req.params.id, req.params.commentId);
+    const { comment: updated, held } = await CommentService.editComment(comment, req.user._id, req.body.content);
+
+    res.status(200).json({
+      success: true,
+      message: held ? 'Your comment is awaiting moderation' : 'Comment updated',
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete your own comment
+router.delete('/:id/comments/:commentId', protect, async (req, res, next) => {
+  try {
+    const comment = await CommentService.findComment(req.params.id, req.params.commentId);
+    await CommentService.deleteComment(comment, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report a comment for moderation
+router.post('/:id/comments/:commentId/report', protect, async (req, res, next) => {
+  try {
+    const comment = await CommentService.findComment(req.params.id, req.params.commentId);
+    await CommentService.reportComment(comment, req.user._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you, the comment has been reported',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Follow a campaign to be notified of its updates and when it is about to close
+router.post('/:id/follow', protect, async (req, res, next) => {
+  try {
+    const data = await FollowService.followCampaign(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop following a campaign
+router.delete('/:id/follow', protect, async (req, res, next) => {
+  try {
+    const data = await FollowService.unfollowCampaign(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a campaign to your bookmarks
+router.post('/:id/bookmark', protect, async (req, res, next) => {
+  try {
+    const data = await FollowService.bookmarkCampaign(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a campaign from your bookmarks
+router.delete('/:id/bookmark', protect, async (req, res, next) => {
+  try {
+    const data = await FollowService.removeBookmark(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data,
     });
   } catch (error) {
     next(error);
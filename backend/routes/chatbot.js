@@ -6,19 +6,12 @@ const Campaign = require("../models/Campaign");
 const Donation = require("../models/Donation");
 const User = require("../models/User");
 const { protect } = require("../middleware/auth"); 
+const RecommendationService = require("../services/recommendationService");
 
 const genAI = new GoogleGenerativeAI(process.env.Gemini_API_KEY);
 
-// Function to get top donation category based on user history
-const getTopDonationCategory = (userDonations) => {
-  const categoryCount = {};
-  userDonations.forEach(don => {
-    const category = don.campaign?.category || "General";
-    categoryCount[category] = (categoryCount[category] || 0) + 1;
-  });
-  const topCategory = Object.keys(categoryCount).sort((a, b) => categoryCount[b] - categoryCount[a])[0];
-  return topCategory || null;
-};
+// Questions answered straight from the recommendation engine, without the language model
+const RECOMMENDATION_QUESTION = /\b(recommend|suggest)/i;
 
 router.post("/chatbot", protect, async (req, res) => {
     try {
@@ -46,11 +39,11 @@ router.post("/chatbot", protect, async (req, res) => {
   
       // Create summaries of campaigns and donations
       const campaignSummaries = campaigns.map(camp => (
-          `Campaign: ${camp.title}\nCategory: ${camp.category}\nDescription: ${camp.description}\nGoal: ₹${camp.goalAmount}\nRaised: ₹${camp.raisedAmount}`
+          `Campaign: ${camp.title}\nCategory: ${camp.category}\nDescription: ${camp.description}\nGoal: ${camp.currency || 'INR'} ${camp.goalAmount}\nRaised: ${camp.currency || 'INR'} ${camp.raisedAmount}`
         )).join("\n\n");
   
       const donationSummaries = donations.map(don => (
-          `Donor: ${don.donor?.name || "Anonymous"} donated ₹${don.amount} to "${don.campaign?.title || "Unknown Campaign"}"`
+          `Donor: ${don.donor?.name || "Anonymous"} donated ${don.currency || 'INR'} ${don.amount} to "${don.campaign?.title || "Unknown Campaign"}"`
         )).join("\n");
   
       // Smart Greeting: Change based on user or guest
@@ -59,13 +52,27 @@ router.post("/chatbot", protect, async (req, res) => {
         greeting = `Good day, ${userInfo.name}! How can I help you today?`;
       }
   
-      // Recommendation Context: Custom recommendations based on user donations
+      // Recommendation Context: campaigns picked for this user by the recommendation engine
+      const { recommendations } = await RecommendationService.getRecommendations(userId, { limit: 3 });
+      const recommendedCampaigns = recommendations.map(({ campaign, reasons }) => ({
+        _id: campaign._id,
+        title: campaign.title,
+        category: campaign.category,
+        reasons,
+      }));
+
+      if (RECOMMENDATION_QUESTION.test(message)) {
+        return res.json({
+          response: RecommendationService.formatRecommendations(recommendations),
+          recommendations: recommendedCampaigns,
+        });
+      }
+
       let recommendationContext = "Suggest trending campaigns.";
-      if (userInfo && donations.length > 0) {
-        const topCategory = getTopDonationCategory(donations);
-        if (topCategory) {
-          recommendationContext = `Suggest campaigns in the '${topCategory}' category based on user interests.`;
-        }
+      if (recommendations.length > 0) {
+        recommendationContext = `Suggest these campaigns, picked for this user:\n${
+          recommendations.map(({ campaign, reasons }) => `- ${campaign.title} (${reasons.join("; ")})`).join("\n")
+        }`;
       }
   
       // Create the prompt for chatbot based on user context and database info
@@ -99,13 +106,20 @@ router.post("/chatbot", protect, async (req, res) => {
       `;
   
       // Make the request to Gemini model for content generation
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = await response.text();
+      let text;
+      try {
+        const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        const result = await model.generateContent(prompt);
+        const response = await result.response;
+        text = await response.text();
+      } catch (error) {
+        // Still answer with recommendations when the language model is unavailable
+        console.error("Chatbot model error:", error.message);
+        text = RecommendationService.formatRecommendations(recommendations);
+      }
   
       // Send the generated response back to the user
-      return res.json({ response: text });
+      return res.json({ response: text, recommendations: recommendedCampaigns });
   
     } catch (error) {
       console.error("Full error:", error.stack);
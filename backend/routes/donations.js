@@ -1,88 +1,407 @@
 
 const express = require('express');
 const Donation = require('../models/Donation');
-const Campaign = require('../models/Campaign');
+const Refund = require('../models/Refund');
+const RecurringDonation = require('../models/RecurringDonation');
 const { protect } = require('../middleware/auth');
-const { processPayment, createPaymentIntent } = require('../middleware/payment');
+const { validateGuestDonation } = require('../middleware/validateUser');
+const { signGuestDonationToken, verifyGuestDonationToken, verifyClaimToken } = require('../utils/guestTokens');
+const DonationService = require('../services/donationService');
+const RecurringDonationService = require('../services/recurringDonationService');
+const ReceiptService = require('../services/receiptService');
+const StatementService = require('../services/statementService');
+const generateStatementPdf = require('../utils/statementPdf');
+const { toCsv } = require('../utils/csv');
+const { getPlatformCurrency, getRateTable, getSupportedCurrencies } = require('../services/currency');
 const router = express.Router();
 
 // Create donation
+// Starts a payment with the configured provider and confirms it in one step;
+// the donation stays pending until the provider reports success.
 router.post('/', protect, async (req, res, next) => {
   try {
-    const { campaignId, amount } = req.body;
+    const { campaignId, amount, currency, tip, anonymous, message } = req.body;
 
-    // Validate amount
-    if (!amount || amount <= 0) {
+    const { donation, intent } = await DonationService.startDonation({
+      campaignId,
+      amount,
+      currency,
+      tip,
+      donorId: req.user.id,
+      anonymous,
+      message,
+    });
+
+    await DonationService.confirmDonation(donation, req.body);
+
+    if (donation.status === 'failed') {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a valid donation amount',
+        message: donation.failureReason || 'Payment processing failed',
+        data: donation,
       });
     }
 
-    // Check if campaign exists and is active
-    const campaign = await Campaign.findById(campaignId);
-    if (!campaign) {
-      return res.status(404).json({
+    res.status(201).json({
+      success: true,
+      data: donation,
+      clientSecret: donation.status === 'pending' ? intent.clientSecret : undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's donations
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const donations = await Donation.find({ donor: req.user.id })
+      .populate({
+        path: 'campaign',
+        select: 'title imageUrl',
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: donations.length,
+      data: donations,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Donate without an account. The returned guestToken lets the guest confirm and check this donation.
+router.post('/guest', validateGuestDonation, async (req, res, next) => {
+  try {
+    const { campaignId, amount, currency, tip, name, email, pan, anonymous, message } = req.body;
+
+    const { donation, intent } = await DonationService.startDonation({
+      campaignId,
+      amount,
+      currency,
+      tip,
+      guest: { name, email, pan },
+      anonymous,
+      message,
+    });
+
+    await DonationService.confirmDonation(donation, req.body);
+
+    if (donation.status === 'failed') {
+      return res.status(400).json({
         success: false,
-        message: 'Campaign not found',
+        message: donation.failureReason || 'Payment processing failed',
+        data: donation,
       });
     }
 
-    if (campaign.status !== 'active') {
+    res.status(201).json({
+      success: true,
+      data: donation,
+      guestToken: signGuestDonationToken(donation._id),
+      clientSecret: donation.status === 'pending' ? intent.clientSecret : undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Attach guest donations to the logged in account using the link from a guest receipt
+router.post('/guest/claim', protect, async (req, res, next) => {
+  try {
+    const email = verifyClaimToken(req.body.token);
+
+    if (!email) {
       return res.status(400).json({
         success: false,
-        message: 'This campaign is not currently active',
+        message: 'Claim link is invalid or has expired',
       });
     }
 
-    // Process payment
-    const paymentResult = await processPayment(req.body);
-    
-    if (!paymentResult.success) {
+    const claimed = await DonationService.claimGuestDonations(req.user, email);
+
+    res.status(200).json({
+      success: true,
+      message: `${claimed} donation(s) added to your account`,
+      data: { claimed },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a guest donation for the holder of its guest token (x-guest-token header)
+const findGuestDonation = async (req, res) => {
+  const donation = await Donation.findById(req.params.id);
+
+  if (!donation || !donation.guest || !donation.guest.email) {
+    res.status(404).json({
+      success: false,
+      message: 'Donation not found',
+    });
+    return null;
+  }
+
+  if (!verifyGuestDonationToken(req.headers['x-guest-token'], donation._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this donation',
+    });
+    return null;
+  }
+
+  return donation;
+};
+
+// Get a guest donation
+router.get('/guest/:id', async (req, res, next) => {
+  try {
+    const donation = await findGuestDonation(req, res);
+    if (!donation) return;
+
+    await DonationService.syncDonationStatus(donation);
+
+    res.status(200).json({
+      success: true,
+      data: donation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm a pending guest donation once the client has completed payment
+router.post('/guest/:id/confirm', async (req, res, next) => {
+  try {
+    const donation = await findGuestDonation(req, res);
+    if (!donation) return;
+
+    await DonationService.confirmDonation(donation, req.body);
+
+    if (donation.status === 'failed') {
       return res.status(400).json({
         success: false,
-        message: paymentResult.message || 'Payment processing failed',
+        message: donation.failureReason || 'Payment processing failed',
+        data: donation,
       });
     }
 
-    // Create donation record
-    const donation = await Donation.create({
-      campaign: campaignId,
-      donor: req.user.id,
+    res.status(200).json({
+      success: true,
+      data: donation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a generated receipt PDF as a download
+const sendReceipt = (res, { filename, pdf }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+};
+
+// Download the receipt for a guest donation
+router.get('/guest/:id/receipt.pdf', async (req, res, next) => {
+  try {
+    const donation = await findGuestDonation(req, res);
+    if (!donation) return;
+
+    sendReceipt(res, await ReceiptService.generateReceipt(donation));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set up a weekly or monthly donation using a payment method saved with the provider
+router.post('/recurring', protect, async (req, res, next) => {
+  try {
+    const { campaignId, amount, currency, interval, paymentMethodId, customerId, anonymous, message } = req.body;
+
+    const { recurring, donation } = await RecurringDonationService.createRecurringDonation({
+      campaignId,
       amount,
-      status: 'completed',
-      paymentId: paymentResult.paymentId,
+      currency,
+      interval,
+      paymentMethodId,
+      customerId,
+      donorId: req.user.id,
+      anonymous,
+      message,
     });
 
+    if (donation && donation.status === 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: donation.failureReason || 'Payment processing failed',
+        data: recurring,
+      });
+    }
+
     res.status(201).json({
       success: true,
-      data: donation,
+      data: recurring,
+      donation,
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get user's donations
-router.get('/', protect, async (req, res, next) => {
+// Get user's recurring donations
+router.get('/recurring', protect, async (req, res, next) => {
   try {
-    const donations = await Donation.find({ donor: req.user.id })
+    const recurringDonations = await RecurringDonation.find({ donor: req.user.id })
       .populate({
         path: 'campaign',
-        select: 'title imageUrl',
+        select: 'title imageUrl status endDate',
       })
       .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
-      count: donations.length,
-      data: donations,
+      count: recurringDonations.length,
+      data: recurringDonations,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pause, resume or cancel one of the user's recurring donations
+const updateRecurring = (action) => async (req, res, next) => {
+  try {
+    const recurring = await RecurringDonation.findById(req.params.id);
+
+    if (!recurring) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring donation not found',
+      });
+    }
+
+    if (recurring.donor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this recurring donation',
+      });
+    }
+
+    await RecurringDonationService[action](recurring);
+
+    res.status(200).json({
+      success: true,
+      data: recurring,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.put('/recurring/:id/pause', protect, updateRecurring('pause'));
+router.put('/recurring/:id/resume', protect, updateRecurring('resume'));
+router.put('/recurring/:id/cancel', protect, updateRecurring('cancel'));
+
+// Currencies donations can be made in, with the rates used to convert them
+router.get('/currencies', (req, res) => {
+  const { base, updatedAt, rates } = getRateTable();
+
+  res.status(200).json({
+    success: true,
+    data: { base, updatedAt, currencies: getSupportedCurrencies(), rates },
+  });
+});
+
+// Financial years the user can download a statement for
+router.get('/statements', protect, async (req, res, next) => {
+  try {
+    const years = await StatementService.getStatementYears(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: years.length,
+      data: years,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Annual statement for a financial year, e.g. /statements/2025-26?format=pdf (json, csv or pdf)
+router.get('/statements/:year', protect, async (req, res, next) => {
+  try {
+    const financialYear = ReceiptService.parseFinancialYear(req.params.year);
+
+    if (!financialYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'Financial year must look like 2025-26',
+      });
+    }
+
+    const statement = await StatementService.buildAnnualStatement(req.user, financialYear);
+    const format = req.query.format || 'json';
+    const filename = `donation-statement-${statement.financialYear}`;
+
+    if (format === 'csv') {
+      const rows = statement.donations.map(row => ({ ...row, eligible80G: row.eligible80G ? 'Yes' : 'No' }));
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`,
+      });
+      return res.status(200).send(toCsv(StatementService.CSV_COLUMNS, rows));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await generateStatementPdf(statement);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+        'Content-Length': pdf.length,
+      });
+      return res.status(200).send(pdf);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement,
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Download the 80G receipt for one of the user's donations
+router.get('/:id/receipt.pdf', protect, async (req, res, next) => {
+  try {
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found',
+      });
+    }
+
+    if (!donation.donor || donation.donor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this donation',
+      });
+    }
+
+    sendReceipt(res, await ReceiptService.generateReceipt(donation));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get donation by ID
 router.get('/:id', protect, async (req, res, next) => {
   try {
@@ -100,16 +419,19 @@ router.get('/:id', protect, async (req, res, next) => {
     }
 
     // Check if user owns this donation
-    if (donation.donor.toString() !== req.user.id) {
+    if (!donation.donor || donation.donor.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this donation',
       });
     }
 
+    const refunds = await Refund.find({ donation: donation._id }).sort({ createdAt: -1 });
+
     res.status(200).json({
       success: true,
       data: donation,
+      refunds,
     });
   } catch (error) {
     next(error);
@@ -122,7 +444,7 @@ router.get('/stats/summary', protect, async (req, res, next) => {
     // Get total donated amount
     const totalDonated = await Donation.aggregate([
       { $match: { donor: req.user._id, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } },
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$platformAmount', '$amount'] } } } },
     ]);
 
     // Get count of campaigns supported
@@ -135,6 +457,7 @@ router.get('/stats/summary', protect, async (req, res, next) => {
       success: true,
       data: {
         totalDonated: totalDonated.length > 0 ? totalDonated[0].total : 0,
+        currency: getPlatformCurrency(),
         campaignsSupported: campaignsSupported.length,
       },
     });
@@ -142,51 +465,110 @@ router.get('/stats/summary', protect, async (req, res, next) => {
     next(error);
   }
 });
+// Create a payment intent and a pending donation for it
 router.post('/create-payment-intent', protect, async (req, res, next) => {
   try {
-    const { campaignId, amount } = req.body;
-    
-    // Validate amount
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
+    const { campaignId, amount, currency, tip, anonymous, message } = req.body;
+
+    const { donation, intent } = await DonationService.startDonation({
+      campaignId,
+      amount,
+      currency,
+      tip,
+      donorId: req.user.id,
+      anonymous,
+      message,
+    });
+
+    res.status(200).json({
+      success: true,
+      clientSecret: intent.clientSecret,
+      donationId: donation._id,
+      provider: donation.provider,
+      intentId: intent.intentId,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm a pending donation once the client has completed payment
+router.post('/:id/confirm', protect, async (req, res, next) => {
+  try {
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({
         success: false,
-        message: 'Please provide a valid donation amount',
+        message: 'Donation not found',
       });
     }
-    
-    // Check if campaign exists and is active
-    const campaign = await Campaign.findById(campaignId);
-    if (!campaign) {
-      return res.status(404).json({
+
+    if (!donation.donor || donation.donor.toString() !== req.user.id) {
+      return res.status(403).json({
         success: false,
-        message: 'Campaign not found',
+        message: 'Not authorized to access this donation',
       });
     }
 
-    if (campaign.status !== 'active') {
+    await DonationService.confirmDonation(donation, req.body);
+
+    if (donation.status === 'failed') {
       return res.status(400).json({
         success: false,
-        message: 'This campaign is not currently active',
+        message: donation.failureReason || 'Payment processing failed',
+        data: donation,
       });
     }
-    
-    // Create a fake payment intent
-    const paymentIntent = await createPaymentIntent(amount, {
-      campaignId: campaign._id.toString(),
-      campaignTitle: campaign.title,
-      userId: req.user.id
+
+    res.status(200).json({
+      success: true,
+      data: donation,
     });
-    
-    if (!paymentIntent.success) {
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a refund of your own donation within the refund window
+router.post('/:id/refund', protect, async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found',
+      });
+    }
+
+    if (!donation.donor || donation.donor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this donation',
+      });
+    }
+
+    const windowDays = parseInt(process.env.DONOR_REFUND_WINDOW_DAYS, 10) || 7;
+    const paidAt = donation.completedAt || donation.createdAt;
+    if (Date.now() - paidAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
       return res.status(400).json({
         success: false,
-        message: paymentIntent.message || 'Failed to create payment intent',
+        message: `Donations can only be refunded within ${windowDays} days`,
       });
     }
-    
-    res.status(200).json({
+
+    const refund = await DonationService.refundDonation(donation, {
+      amount,
+      reason,
+      initiatedBy: req.user.id,
+      initiatorRole: 'donor',
+    });
+
+    res.status(201).json({
       success: true,
-      clientSecret: paymentIntent.clientSecret,
+      data: refund,
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,81 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get the user's notifications, newest first
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = { user: req.user.id };
+    if (req.query.unread === 'true') query.readAt = { $exists: false };
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(query)
+        .populate('campaign', 'title imageUrl')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user.id, readAt: { $exists: false } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unread,
+      data: notifications,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark every notification as read
+router.put('/read-all', protect, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: { $exists: false } },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { updated: result.modifiedCount },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', protect, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const DonationService = require('../services/donationService');
+const { getWebhookGateway } = require('../services/payments');
+
+const router = express.Router();
+
+// Payment provider webhook
+// Defaults to the configured provider; /webhook/:provider supports several at once,
+// but only providers that are configured (see getWebhookGateway)
+router.post(['/webhook', '/webhook/:provider'], async (req, res, next) => {
+  try {
+    const gateway = getWebhookGateway(req.params.provider);
+
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook body is required',
+      });
+    }
+
+    // Throws a 400 if the signature does not match
+    const event = gateway.parseWebhook(req.rawBody, req.headers);
+
+    if (!event.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook event ID is missing',
+      });
+    }
+
+    const result = await DonationService.handlePaymentEvent(gateway.name, event, req.body);
+
+    res.status(200).json({
+      success: true,
+      received: true,
+      duplicate: result.duplicate,
+      status: result.status,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const Campaign = require('../models/Campaign');
+const Payout = require('../models/Payout');
+const PayoutAccount = require('../models/PayoutAccount');
+const { protect } = require('../middleware/auth');
+const PayoutService = require('../services/payoutService');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Register a bank account or UPI handle
+router.post('/accounts', async (req, res, next) => {
+  try {
+    const { type } = req.body;
+
+    if (!['bank', 'upi'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account type must be bank or upi',
+      });
+    }
+
+    const account = await PayoutService.registerAccount(req.user.id, req.body);
+    account.accountNumber = undefined;
+
+    res.status(201).json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's payout accounts
+router.get('/accounts', async (req, res, next) => {
+  try {
+    const accounts = await PayoutAccount.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: accounts.length,
+      data: accounts,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a payout account with no payouts in progress
+router.delete('/accounts/:id', async (req, res, next) => {
+  try {
+    const account = await PayoutAccount.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout account not found',
+      });
+    }
+
+    const outstanding = await Payout.countDocuments({
+      account: account._id,
+      status: { $in: Payout.OUTSTANDING_STATUSES },
+    });
+
+    if (outstanding > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has payouts in progress',
+      });
+    }
+
+    await account.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the withdrawable balance of one of the user's campaigns
+router.get('/campaigns/:campaignId/balance', async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (campaign.creator.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this campaign',
+      });
+    }
+
+    const balance = await PayoutService.getAvailableBalance(campaign._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...balance,
+        onHold: await PayoutService.isHighRisk(campaign),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a withdrawal
+router.post('/', async (req, res, next) => {
+  try {
+    const { campaignId, accountId, amount } = req.body;
+
+    const payout = await PayoutService.requestPayout({
+      campaignId,
+      accountId,
+      amount,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: payout,
+      message: payout.status === 'on_hold'
+        ? 'Withdrawal is on hold pending a fraud review'
+        : 'Withdrawal requested',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's payouts
+router.get('/', async (req, res, next) => {
+  try {
+    const query = { creator: req.user.id };
+    if (req.query.campaign) query.campaign = req.query.campaign;
+
+    const payouts = await Payout.find(query)
+      .populate('campaign', 'title')
+      .populate('account', 'type accountHolderName accountNumberLast4 ifsc upiId')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payouts.length,
+      data: payouts,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a withdrawal that has not been approved yet
+router.put('/:id/cancel', async (req, res, next) => {
+  try {
+    const payout = await Payout.findOne({ _id: req.params.id, creator: req.user.id });
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found',
+      });
+    }
+
+    if (!['requested', 'on_hold'].includes(payout.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${payout.status} payout cannot be cancelled`,
+      });
+    }
+
+    payout.setStatus('cancelled', 'Cancelled by creator', req.user.id);
+    await payout.save();
+
+    res.status(200).json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { getUserDashboard } = require('../controller/userController');
+const {
+  getUserDashboard,
+  getRecommendations,
+  getFollowing,
+  getFollowingFeed,
+  getBookmarks,
+  followCreator,
+  unfollowCreator,
+} = require('../controller/userController');
 const { protect } = require('../middleware/auth');
 
 router.get('/dashboard', protect, getUserDashboard);
+router.get('/me/recommendations', protect, getRecommendations);
+router.get('/me/following', protect, getFollowing);
+router.get('/me/following/feed', protect, getFollowingFeed);
+router.get('/me/bookmarks', protect, getBookmarks);
+router.post('/:id/follow', protect, followCreator);
+router.delete('/:id/follow', protect, unfollowCreator);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+// Move comments stored on campaign documents into the comments collection.
+//
+// Usage: npm run migrate:comments
+// Safe to run more than once; comments already moved are skipped.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const CommentService = require('../services/commentService');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fundtogether');
+
+  const migrated = await CommentService.migrateEmbeddedComments();
+  console.log(`Migrated ${migrated} comments`);
+
+  await mongoose.disconnect();
+};
+
+if (require.main === module) {
+  run().catch((error) => {
+    console.error('Comment migration error:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,60 @@
+// Report campaigns whose stored raisedAmount disagrees with their ledger sum.
+//
+// Usage: npm run reconcile [-- --fix] [-- --backfill]
+//   --backfill  flag and post ledger entries for donations recorded before the ledger existed
+//   --fix       reset mismatched raisedAmount values to the ledger sum
+// Exits with code 1 when mismatches or unbalanced transactions remain.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+require('../models/Donation');
+const LedgerService = require('../services/ledgerService');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fundtogether');
+
+  if (args.includes('--backfill')) {
+    const flagged = await LedgerService.backfillCreditFlags();
+    console.log(`Set campaignCredited on ${flagged} donations`);
+
+    const backfilled = await LedgerService.backfillDonations();
+    console.log(`Backfilled ledger entries for ${backfilled} donations`);
+  }
+
+  const report = await LedgerService.reconcile({ fix: args.includes('--fix') });
+
+  console.log(`Checked ${report.checked} campaigns`);
+
+  report.mismatches.forEach(mismatch => {
+    console.log(
+      `MISMATCH ${mismatch.campaignId} "${mismatch.title}": stored ${mismatch.storedRaisedAmount}, ` +
+      `ledger ${mismatch.ledgerRaisedAmount} (difference ${mismatch.difference})`
+    );
+  });
+
+  report.unbalancedTransactions.forEach(transaction => {
+    console.log(`UNBALANCED ${transaction._id}: debits ${transaction.debits}, credits ${transaction.credits}`);
+  });
+
+  if (report.fixed > 0) {
+    console.log(`Reset raisedAmount on ${report.fixed} campaigns from the ledger`);
+  }
+
+  const failed = (report.mismatches.length > 0 && report.fixed === 0) || report.unbalancedTransactions.length > 0;
+  console.log(failed ? '❌ Ledger reconciliation failed' : '✅ Ledger reconciled');
+
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+};
+
+if (require.main === module) {
+  run().catch((error) => {
+    console.error('Reconciliation error:', error.message);
+    process.exit(1);
+  });
+}
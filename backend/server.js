@@ -8,12 +8,17 @@ const path = require('path');
 // Route imports
 const authRoutes = require("./routes/auth");
 const campaignRoutes = require("./routes/campaigns");
+const campaignDraftRoutes = require("./routes/campaignDrafts");
 const donationRoutes = require("./routes/donations");
 const adminRoutes = require("./routes/admin");
 const seedAdminUser = require("./utils/seedAdmin");
 const userRoutes = require("./routes/user.js");
 const uploadRoutes = require("./routes/upload.js");
 const chatbotRoutes = require("./routes/chatbot.js");
+const paymentRoutes = require("./routes/payments.js");
+const payoutRoutes = require("./routes/payouts.js");
+const notificationRoutes = require("./routes/notifications.js");
+const { startScheduler } = require("./jobs");
 
 // Load environment variables from .env
 dotenv.config();
@@ -49,7 +54,12 @@ app.use(
 // ------------------------
 // Middleware
 // ------------------------
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true })); // For parsing form data
 
 // Create temp directory for file uploads if it doesn't exist
@@ -68,6 +78,10 @@ mongoose
     console.log("✅ Connected to MongoDB");
     // Seed admin user after DB connects
     seedAdminUser();
+    // Background jobs need the database; set DISABLE_SCHEDULER=true on extra instances
+    if (process.env.DISABLE_SCHEDULER !== 'true') {
+      startScheduler();
+    }
   })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err.message);
@@ -80,12 +94,17 @@ mongoose
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 app.use("/api/auth", authRoutes);
+// Drafts are mounted first so /drafts is not taken for a campaign ID
+app.use("/api/campaigns/drafts", campaignDraftRoutes);
 app.use("/api/campaigns", campaignRoutes);
 app.use("/api/donations", donationRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/users", userRoutes);
 app.use('/api/uploads', uploadRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
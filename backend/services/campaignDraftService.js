@@ -0,0 +1,298 @@
+const Campaign = require('../models/Campaign');
+const MilestoneService = require('./milestoneService');
+const ErrorResponse = require('../utils/errorResponse');
+const { uploadToCloudinary, deleteUploads } = require('../middleware/fileUpload');
+const { isSupportedCurrency } = require('./currency');
+const { mergeLocation } = require('../utils/geo');
+
+// Steps of the campaign form and the fields each one fills in
+const DRAFT_STEPS = {
+  basics: ['title', 'description', 'category', 'goalAmount', 'duration', 'currency', 'location'],
+  story: ['story'],
+  media: ['imageUrl', 'additionalImages', 'videos'],
+  verification: ['verificationDocuments', 'organization'],
+  milestones: ['escrowEnabled', 'milestones'],
+};
+
+// Drafts not saved for this many days are deleted with their uploads
+const getRetentionDays = () => parseInt(process.env.DRAFT_RETENTION_DAYS, 10) || 30;
+
+// Drafts deleted per cleanup run
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+class CampaignDraftService {
+
+  /**
+   * Check one step of a draft against the rules a submitted campaign must meet
+   * @param {Document} draft - Draft campaign
+   * @param {String} step - One of DRAFT_STEPS
+   * @returns {Array} [{ field, message }], empty if the step is complete
+   */
+  static validateStep(draft, step) {
+    const fields = DRAFT_STEPS[step];
+    if (!fields) {
+      throw new ErrorResponse(`Unknown step ${step}`, 400);
+    }
+
+    const errors = [];
+
+    // Required fields use the schema's own messages
+    fields.forEach(field => {
+      const required = Campaign.schema.path(field) && Campaign.schema.path(field).options.required;
+      if (required && isEmpty(draft[field])) {
+        errors.push({ field, message: Array.isArray(required) ? required[1] : `Please provide ${field}` });
+      }
+    });
+
+    if (step === 'verification' && isEmpty(draft.verificationDocuments)) {
+      errors.push({ field: 'verificationDocuments', message: 'Please upload a verification document' });
+    }
+
+    if (step === 'milestones') {
+      draft.getEscrowErrors().forEach(({ path, message }) => errors.push({ field: path, message }));
+    }
+
+    // Values that are present but invalid (too long, out of range, ...)
+    const invalid = draft.validateSync();
+    if (invalid) {
+      Object.values(invalid.errors).forEach(error => {
+        const field = error.path.split('.')[0];
+        if (fields.includes(field) && !errors.some(item => item.field === field)) {
+          errors.push({ field, message: error.message });
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Completion of every step
+  static getProgress(draft) {
+    const steps = {};
+    Object.keys(DRAFT_STEPS).forEach(step => {
+      const errors = this.validateStep(draft, step);
+      steps[step] = { complete: errors.length === 0, errors };
+    });
+
+    return {
+      steps,
+      complete: Object.values(steps).every(step => step.complete),
+    };
+  }
+
+  // Apply form fields from any step to a draft
+  static applyFields(draft, body) {
+    ['title', 'description', 'story', 'category', 'goalAmount', 'duration'].forEach(field => {
+      if (body[field] !== undefined) draft.set(field, body[field] === '' ? undefined : body[field]);
+    });
+
+    if (body.currency !== undefined) {
+      const currency = String(body.currency).toUpperCase();
+      if (!isSupportedCurrency(currency)) {
+        throw new ErrorResponse(`Campaigns in ${currency} are not supported`, 400);
+      }
+      draft.currency = currency;
+    }
+
+    if (['city', 'state', 'country', 'latitude', 'longitude'].some(field => body[field] !== undefined)) {
+      draft.location = mergeLocation(draft.location, body);
+    }
+
+    if (body.milestones !== undefined) {
+      draft.milestones = MilestoneService.parseMilestones(body.milestones);
+    }
+    if (body.escrowEnabled !== undefined || body.milestones !== undefined) {
+      draft.escrowEnabled = draft.milestones.length > 0 || [true, 'true'].includes(body.escrowEnabled);
+    }
+
+    if (body.organizationName !== undefined) {
+      draft.organization = body.organizationName ? {
+        name: body.organizationName,
+        address: body.organizationAddress,
+        pan: body.organizationPan,
+        registration80G: body.registration80G,
+        registration80GValidUntil: body.registration80GValidUntil,
+      } : undefined;
+    }
+  }
+
+  // Save a draft, turning validation errors on the fields it has into a 400
+  static async saveDraft(draft) {
+    draft.draftSavedAt = new Date();
+
+    try {
+      await draft.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new ErrorResponse(Object.values(error.errors).map(item => item.message).join(', '), 400);
+      }
+      throw error;
+    }
+    return draft;
+  }
+
+  static async createDraft(userId, body) {
+    const draft = new Campaign({ status: 'draft', creator: userId });
+    this.applyFields(draft, body);
+    return this.saveDraft(draft);
+  }
+
+  static async updateDraft(draft, body) {
+    this.applyFields(draft, body);
+    return this.saveDraft(draft);
+  }
+
+  /**
+   * Upload media to a draft. The first image becomes the cover unless the draft already has one.
+   * Uploads are removed again if the draft cannot be saved.
+   * @param {Document} draft - Draft campaign
+   * @param {Object} files - Multer files: { images, videos, verificationDocument }
+   * @returns {Array} Uploaded files
+   */
+  static async addMedia(draft, files = {}) {
+    const uploaded = [];
+
+    try {
+      // One file at a time, recording each upload as it finishes so a failure can clean them all up
+      const upload = async (list = []) => {
+        const results = [];
+        for (const file of list) {
+          const result = await uploadToCloudinary(file);
+          uploaded.push(result);
+          results.push(result);
+        }
+        return results;
+      };
+
+      const images = await upload(files.images);
+      const videos = await upload(files.videos);
+      const documents = await upload(files.verificationDocument);
+
+      if (uploaded.length === 0) {
+        throw new ErrorResponse('Please upload at least one file', 400);
+      }
+
+      const data = draft.cloudinaryData;
+      images.forEach(image => {
+        if (!draft.imageUrl) {
+          draft.imageUrl = image.url;
+          data.coverImageId = image.publicId;
+        } else {
+          draft.additionalImages.push(image.url);
+          data.additionalImageIds.push(image.publicId);
+        }
+      });
+      videos.forEach(video => {
+        draft.videos.push(video.url);
+        data.videoIds.push(video.publicId);
+      });
+      documents.forEach(doc => {
+        draft.verificationDocuments.push(doc.url);
+        data.verificationDocumentIds.push(doc.publicId);
+      });
+      data.assets.push(...uploaded);
+
+      await this.saveDraft(draft);
+      return uploaded;
+    } catch (error) {
+      await deleteUploads(uploaded);
+      throw error;
+    }
+  }
+
+  // Remove an uploaded file from a draft and from Cloudinary
+  static async removeMedia(draft, url) {
+    const data = draft.cloudinaryData;
+    const asset = data.assets.find(item => item.url === url);
+
+    const removeAt = (urls, ids) => {
+      const index = urls.indexOf(url);
+      if (index === -1) return false;
+      urls.splice(index, 1);
+      if (ids) ids.splice(index, 1);
+      return true;
+    };
+
+    let found = false;
+    if (draft.imageUrl === url) {
+      // The next image takes over as the cover
+      draft.imageUrl = draft.additionalImages.shift();
+      data.coverImageId = data.additionalImageIds.shift();
+      found = true;
+    } else {
+      found = removeAt(draft.additionalImages, data.additionalImageIds) ||
+        removeAt(draft.videos, data.videoIds) ||
+        removeAt(draft.verificationDocuments, data.verificationDocumentIds);
+    }
+
+    if (!found) {
+      throw new ErrorResponse('File not found on this draft', 404);
+    }
+
+    data.assets = data.assets.filter(item => item.url !== url);
+    await this.saveDraft(draft);
+    await deleteUploads([asset]);
+
+    return draft;
+  }
+
+  /**
+   * Submit a complete draft for admin review
+   * @param {Document} draft - Draft campaign
+   * @param {String} userId - Submitting user
+   * @returns {Document} The pending campaign
+   */
+  static async submitDraft(draft, userId) {
+    const progress = this.getProgress(draft);
+    if (!progress.complete) {
+      const incomplete = Object.keys(progress.steps).filter(step => !progress.steps[step].complete);
+      throw new ErrorResponse(`Please complete the ${incomplete.join(', ')} step(s) before submitting`, 400);
+    }
+
+    const endDate = new Date();
+    endDate.setDate(endDate.getDate() + draft.duration);
+
+    draft.endDate = endDate;
+    draft.draftSavedAt = undefined;
+    draft.setStatus('pending', 'Campaign submitted', userId);
+    await draft.save();
+
+    return draft;
+  }
+
+  // Delete a draft and everything uploaded for it
+  static async deleteDraft(draft) {
+    await deleteUploads(draft.cloudinaryData.assets);
+    await Campaign.deleteOne({ _id: draft._id, status: 'draft' });
+  }
+
+  /**
+   * Delete drafts that have not been saved within the retention period. Run by the scheduler.
+   * @returns {Object} { deleted }
+   */
+  static async cleanupAbandonedDrafts() {
+    const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+    const drafts = await Campaign.find({
+      status: 'draft',
+      $or: [
+        { draftSavedAt: { $lt: cutoff } },
+        { draftSavedAt: { $exists: false }, createdAt: { $lt: cutoff } },
+      ],
+    }).limit(BATCH_SIZE);
+
+    for (const draft of drafts) {
+      await this.deleteDraft(draft);
+    }
+
+    return { deleted: drafts.length };
+  }
+}
+
+CampaignDraftService.DRAFT_STEPS = DRAFT_STEPS;
+
+module.exports = CampaignDraftService;
@@ -0,0 +1,198 @@
+const CampaignVersion = require('../models/CampaignVersion');
+const FraudDetectionService = require('./fraudDetection');
+const ErrorResponse = require('../utils/errorResponse');
+const { diffLines, similarity } = require('../utils/textDiff');
+
+// Fields creators can edit, and that every version records
+const VERSIONED_FIELDS = ['title', 'description', 'story', 'goalAmount', 'imageUrl', 'additionalImages', 'videos'];
+
+// Long text fields shown as line diffs
+const TEXT_FIELDS = ['description', 'story'];
+
+// Campaign statuses that can be edited
+const EDITABLE_STATUSES = ['pending', 'active'];
+
+// A story keeping less than this share of its words counts as rewritten
+const STORY_REWRITE_SIMILARITY = 0.5;
+
+const isEqual = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+class CampaignEditService {
+
+  // Versioned fields of a campaign as plain values
+  static snapshot(campaign) {
+    const data = campaign.toObject ? campaign.toObject({ virtuals: false }) : campaign;
+    return VERSIONED_FIELDS.reduce((snapshot, field) => {
+      snapshot[field] = data[field];
+      return snapshot;
+    }, {});
+  }
+
+  // Versioned values after applying the updates that were sent
+  static applyUpdates(before, updates) {
+    const after = { ...before };
+    VERSIONED_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        after[field] = field === 'goalAmount' ? Number(updates[field]) : updates[field];
+      }
+    });
+    return after;
+  }
+
+  // Whether updates would change any versioned field
+  static hasChanges(campaign, updates) {
+    const before = this.snapshot(campaign);
+    return this.getChanges(before, this.applyUpdates(before, updates)).length > 0;
+  }
+
+  static getChanges(before, after) {
+    return VERSIONED_FIELDS
+      .filter(field => !isEqual(before[field], after[field]))
+      .map(field => ({ field, from: before[field], to: after[field] }));
+  }
+
+  // Edits to an active campaign that need fraud analysis and admin approval again
+  static getReviewReasons(before, after) {
+    const reasons = [];
+
+    if (after.goalAmount > before.goalAmount) {
+      reasons.push(`Goal increased from ${before.goalAmount} to ${after.goalAmount}`);
+    }
+    if (before.story !== after.story && similarity(before.story, after.story) < STORY_REWRITE_SIMILARITY) {
+      reasons.push('Story rewritten');
+    }
+
+    return reasons;
+  }
+
+  // Record the campaign as first submitted, for campaigns edited for the first time
+  static async ensureOriginalVersion(campaign) {
+    const latest = await CampaignVersion.findOne({ campaign: campaign._id }).sort({ version: -1 });
+    if (latest) return latest;
+
+    try {
+      return await CampaignVersion.create({
+        campaign: campaign._id,
+        version: 1,
+        snapshot: this.snapshot(campaign),
+        note: 'Original',
+        editedBy: campaign.creator,
+        createdAt: campaign.createdAt,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return CampaignVersion.findOne({ campaign: campaign._id }).sort({ version: -1 });
+    }
+  }
+
+  /**
+   * Apply a creator's edit and store it as a new version. Significant edits to an active
+   * campaign (a higher goal or a rewritten story) send it back to pending for fraud
+   * analysis and admin approval.
+   * @param {Document} campaign - Campaign to edit
+   * @param {Object} updates - New values for any of the versioned fields
+   * @param {Object} options - { userId, note }
+   * @returns {Object} { campaign, version, reviewReasons }
+   */
+  static async editCampaign(campaign, updates, { userId, note } = {}) {
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse(`A ${campaign.status} campaign cannot be edited`, 400);
+    }
+
+    if (updates.goalAmount !== undefined) {
+      updates.goalAmount = Number(updates.goalAmount);
+      if (!(updates.goalAmount >= 1)) {
+        throw new ErrorResponse('Please provide a valid goal amount', 400);
+      }
+      if (updates.goalAmount < campaign.raisedAmount) {
+        throw new ErrorResponse(`Goal cannot be lower than the ${campaign.raisedAmount} already raised`, 400);
+      }
+      const stretchGoal = (campaign.stretchGoals || []).find(goal => !goal.reachedAt);
+      if (stretchGoal && updates.goalAmount >= stretchGoal.amount) {
+        throw new ErrorResponse(`Goal must stay below the ${stretchGoal.amount} stretch goal`, 400);
+      }
+    }
+
+    const before = this.snapshot(campaign);
+    const after = this.applyUpdates(before, updates);
+
+    const changes = this.getChanges(before, after);
+    if (changes.length === 0) {
+      throw new ErrorResponse('No changes to save', 400);
+    }
+
+    const previous = await this.ensureOriginalVersion(campaign);
+    const reviewReasons = campaign.status === 'active' ? this.getReviewReasons(before, after) : [];
+
+    changes.forEach(({ field, to }) => campaign.set(field, to));
+
+    if (reviewReasons.length > 0) {
+      const fraudAnalysis = await FraudDetectionService.analyzeCampaign(campaign.toObject());
+
+      campaign.setStatus('pending', `Edited: ${reviewReasons.join('; ')}`, userId);
+      campaign.pendingReview = { reasons: reviewReasons, version: previous.version + 1, requestedAt: new Date() };
+      campaign.fraudAnalysisData = {
+        analyzedAt: new Date(),
+        fraudScore: fraudAnalysis.fraudScore,
+        riskLevel: fraudAnalysis.riskLevel,
+        indicators: fraudAnalysis.indicators,
+        recommendation: fraudAnalysis.recommendation,
+        manualReviewRequired: true,
+      };
+    }
+
+    await campaign.save();
+
+    const version = await CampaignVersion.create({
+      campaign: campaign._id,
+      version: previous.version + 1,
+      snapshot: this.snapshot(campaign),
+      changes,
+      reviewReasons,
+      note,
+      editedBy: userId,
+    });
+
+    return { campaign, version, reviewReasons };
+  }
+
+  static async getVersions(campaignId) {
+    return CampaignVersion.find({ campaign: campaignId })
+      .populate('editedBy', 'name email')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Differences between two versions of a campaign
+   * @param {String} campaignId - Campaign ID
+   * @param {Number} from - Earlier version number
+   * @param {Number} to - Later version number
+   * @returns {Object} { from, to, changes: [{ field, from, to, lines }] }
+   */
+  static async diffVersions(campaignId, from, to) {
+    const [older, newer] = await Promise.all([
+      CampaignVersion.findOne({ campaign: campaignId, version: from }),
+      CampaignVersion.findOne({ campaign: campaignId, version: to }),
+    ]);
+
+    if (!older || !newer) {
+      throw new ErrorResponse('Campaign version not found', 404);
+    }
+
+    const before = older.snapshot.toObject ? older.snapshot.toObject() : older.snapshot;
+    const after = newer.snapshot.toObject ? newer.snapshot.toObject() : newer.snapshot;
+
+    return {
+      from: { version: older.version, createdAt: older.createdAt, editedBy: older.editedBy },
+      to: { version: newer.version, createdAt: newer.createdAt, editedBy: newer.editedBy },
+      changes: this.getChanges(before, after).map(change => (TEXT_FIELDS.includes(change.field)
+        ? { ...change, lines: diffLines(change.from, change.to) }
+        : change)),
+    };
+  }
+}
+
+CampaignEditService.VERSIONED_FIELDS = VERSIONED_FIELDS;
+CampaignEditService.EDITABLE_STATUSES = EDITABLE_STATUSES;
+
+module.exports = CampaignEditService;
@@ -0,0 +1,213 @@
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const ErrorResponse = require('../utils/errorResponse');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a computed feed is served before it is recomputed
+const getCacheMs = () => (parseInt(process.env.FEED_CACHE_MINUTES, 10) || 10) * 60 * 1000;
+
+// Sliding window donation velocity is measured over for the trending feed
+const getTrendingHours = () => parseInt(process.env.FEED_TRENDING_HOURS, 10) || 48;
+
+// Campaigns kept per feed
+const getFeedSize = () => parseInt(process.env.FEED_SIZE, 10) || 50;
+
+const FEEDS = {
+  trending: 'Campaigns receiving the most donations right now',
+  'nearly-funded': 'Campaigns closest to their goal',
+  'ending-soon': 'Campaigns about to close',
+  emergency: 'Emergency campaigns that need help fast',
+};
+
+// Computed feeds by name: { entries: [{ campaign, ...metrics }], computedAt }
+const cache = new Map();
+// Computations in progress, so concurrent requests share one
+const computing = new Map();
+
+class CampaignFeedService {
+
+  /**
+   * Active campaigns ranked by donation velocity. Each donation in the window counts
+   * less the older it is, and larger donations count a little more, so a steady stream
+   * of donors outranks a single large gift.
+   */
+  static async computeTrending(now) {
+    const windowMs = getTrendingHours() * HOUR_MS;
+    const since = new Date(now.getTime() - windowMs);
+
+    const ranked = await Donation.aggregate([
+      {
+        $match: {
+          status: { $in: Donation.CREDITED_STATUSES },
+          $or: [
+            { completedAt: { $gte: since } },
+            { completedAt: { $exists: false }, createdAt: { $gte: since } },
+          ],
+        },
+      },
+      { $addFields: { donatedAt: { $ifNull: ['$completedAt', '$createdAt'] } } },
+      {
+        $addFields: {
+          weight: {
+            $multiply: [
+              { $subtract: [1, { $divide: [{ $subtract: [now, '$donatedAt'] }, windowMs] }] },
+              { $add: [1, { $log10: { $add: [1, { $ifNull: ['$platformAmount', '$amount'] }] } }] },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$campaign',
+          score: { $sum: '$weight' },
+          recentDonations: { $sum: 1 },
+          recentAmount: { $sum: { $ifNull: ['$platformAmount', '$amount'] } },
+          lastDonationAt: { $max: '$donatedAt' },
+        },
+      },
+      {
+        $lookup: {
+          from: Campaign.collection.name,
+          let: { campaignId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$campaignId'] }, status: 'active' } },
+            { $project: { _id: 1 } },
+          ],
+          as: 'activeCampaign',
+        },
+      },
+      { $match: { 'activeCampaign.0': { $exists: true } } },
+      { $sort: { score: -1, lastDonationAt: -1 } },
+      { $limit: getFeedSize() },
+    ]);
+
+    return ranked.map(({ _id, score, recentDonations, recentAmount, lastDonationAt }) => ({
+      campaign: _id,
+      score: Math.round(score * 100) / 100,
+      recentDonations,
+      recentAmount: Math.round(recentAmount * 100) / 100,
+      lastDonationAt,
+    }));
+  }
+
+  // Active campaigns below their goal, highest share raised first
+  static async computeNearlyFunded(now) {
+    const ranked = await Campaign.aggregate([
+      { $match: { status: 'active', endDate: { $gt: now }, goalAmount: { $gt: 0 } } },
+      { $addFields: { fundedRatio: { $divide: ['$raisedAmount', '$goalAmount'] } } },
+      { $match: { fundedRatio: { $gt: 0, $lt: 1 } } },
+      { $sort: { fundedRatio: -1, endDate: 1 } },
+      { $limit: getFeedSize() },
+      { $project: { fundedRatio: 1 } },
+    ]);
+
+    return ranked.map(({ _id, fundedRatio }) => ({
+      campaign: _id,
+      percentFunded: Math.floor(fundedRatio * 100),
+    }));
+  }
+
+  // Active campaigns closing soonest
+  static async computeEndingSoon(now) {
+    const campaigns = await Campaign.find({ status: 'active', endDate: { $gt: now } }, '_id endDate')
+      .sort({ endDate: 1 })
+      .limit(getFeedSize());
+
+    return campaigns.map(({ _id, endDate }) => ({ campaign: _id, endDate }));
+  }
+
+  // Active emergency campaigns, those closing soonest first
+  static async computeEmergency(now) {
+    const campaigns = await Campaign.find({ status: 'active', isEmergency: true, endDate: { $gt: now } }, '_id endDate')
+      .sort({ endDate: 1 })
+      .limit(getFeedSize());
+
+    return campaigns.map(({ _id, endDate }) => ({ campaign: _id, endDate }));
+  }
+
+  static async computeFeed(feed, now = new Date()) {
+    switch (feed) {
+      case 'trending':
+        return this.computeTrending(now);
+      case 'nearly-funded':
+        return this.computeNearlyFunded(now);
+      case 'ending-soon':
+        return this.computeEndingSoon(now);
+      case 'emergency':
+        return this.computeEmergency(now);
+      default:
+        throw new ErrorResponse(`Unknown feed "${feed}". Available feeds: ${Object.keys(FEEDS).join(', ')}`, 404);
+    }
+  }
+
+  /**
+   * Recompute a feed and cache it
+   * @param {String} feed - Feed name
+   * @returns {Object} { entries, computedAt }
+   */
+  static async refreshFeed(feed) {
+    if (computing.has(feed)) return computing.get(feed);
+
+    const promise = (async () => {
+      const computedAt = new Date();
+      const entries = await this.computeFeed(feed, computedAt);
+      const computed = { entries, computedAt };
+      cache.set(feed, computed);
+      return computed;
+    })();
+
+    computing.set(feed, promise);
+    try {
+      return await promise;
+    } finally {
+      computing.delete(feed);
+    }
+  }
+
+  // Recompute every feed. Run by the scheduler so requests are served from a warm cache.
+  static async refreshAll() {
+    const summary = {};
+    for (const feed of Object.keys(FEEDS)) {
+      summary[feed] = (await this.refreshFeed(feed)).entries.length;
+    }
+    return summary;
+  }
+
+  /**
+   * A page of a feed, from the cache when it is fresh enough. Campaigns that have closed
+   * since the feed was computed are left out.
+   * @param {String} feed - Feed name
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { feed, description, computedAt, total, campaigns }
+   */
+  static async getFeed(feed, { page = 1, limit = 12 } = {}) {
+    if (!FEEDS[feed]) {
+      throw new ErrorResponse(`Unknown feed "${feed}". Available feeds: ${Object.keys(FEEDS).join(', ')}`, 404);
+    }
+
+    let computed = cache.get(feed);
+    if (!computed || Date.now() - computed.computedAt.getTime() > getCacheMs()) {
+      computed = await this.refreshFeed(feed);
+    }
+
+    const pageEntries = computed.entries.slice((page - 1) * limit, page * limit);
+    const campaigns = await Campaign.find({ _id: { $in: pageEntries.map(entry => entry.campaign) }, status: 'active' })
+      .populate('creator', 'name');
+    const byId = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign]));
+
+    return {
+      feed,
+      description: FEEDS[feed],
+      computedAt: computed.computedAt,
+      total: computed.entries.length,
+      campaigns: pageEntries
+        .filter(entry => byId.has(entry.campaign.toString()))
+        .map(({ campaign, ...metrics }) => ({ ...byId.get(campaign.toString()).toJSON(), feedMetrics: metrics })),
+    };
+  }
+}
+
+CampaignFeedService.FEEDS = FEEDS;
+
+module.exports = CampaignFeedService;
@@ -0,0 +1,370 @@
+const Campaign = require('../models/Campaign');
+const CampaignVersion = require('../models/CampaignVersion');
+const CampaignEditService = require('./campaignEditService');
+const DonationService = require('./donationService');
+const FraudDetectionService = require('./fraudDetection');
+const NotificationService = require('./notificationService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const MAX_STRETCH_GOALS = 5;
+
+// Campaigns whose creators can manage stretch goals
+const STRETCH_GOAL_STATUSES = ['pending', 'active'];
+
+// Goal increases scored at or above this need an admin note to approve
+const HIGH_RISK_SCORE = 25;
+
+class CampaignGoalService {
+
+  static findStretchGoal(campaign, goalId) {
+    const goal = campaign.stretchGoals.id(goalId);
+    if (!goal) {
+      throw new ErrorResponse('Stretch goal not found', 404);
+    }
+    return goal;
+  }
+
+  static findGoalRequest(campaign, requestId) {
+    const request = campaign.goalRequests.id(requestId);
+    if (!request) {
+      throw new ErrorResponse('Goal request not found', 404);
+    }
+    return request;
+  }
+
+  static getPendingRequest(campaign) {
+    return (campaign.goalRequests || []).find(request => request.status === 'pending') || null;
+  }
+
+  // Lowest stretch goal not yet reached; the goal has to stay below it
+  static getLowestOpenStretchGoal(campaign) {
+    return (campaign.stretchGoals || [])
+      .filter(goal => !goal.reachedAt)
+      .reduce((lowest, goal) => (!lowest || goal.amount < lowest.amount ? goal : lowest), null);
+  }
+
+  /**
+   * Risk of a goal amount for the campaign's category, scored on the platform currency amount
+   * @param {Document} campaign - Campaign
+   * @param {Number} amount - Goal amount in the campaign currency
+   * @returns {Object} { score, riskLevel, issue }
+   */
+  static assessGoalAmount(campaign, amount) {
+    const platformAmount = FraudDetectionService.getPlatformGoal({ goalAmount: amount, currency: campaign.currency });
+    const score = FraudDetectionService.analyzeAmountFraud(platformAmount, campaign.category);
+
+    return {
+      score,
+      riskLevel: FraudDetectionService.getRiskLevel(score),
+      issue: score > 0 ? FraudDetectionService.getAmountIssueDescription(score, platformAmount, campaign.category) : null,
+    };
+  }
+
+  static validateStretchGoalAmount(campaign, amount, goalId) {
+    if (!(amount >= 1)) {
+      throw new ErrorResponse('Please provide a valid stretch goal amount', 400);
+    }
+    if (amount <= campaign.goalAmount) {
+      throw new ErrorResponse(`Stretch goals must be above the ${campaign.currency} ${campaign.goalAmount} goal`, 400);
+    }
+    const pending = this.getPendingRequest(campaign);
+    if (pending && amount <= pending.amount) {
+      throw new ErrorResponse(`Stretch goals must be above the requested goal of ${campaign.currency} ${pending.amount}`, 400);
+    }
+    const duplicate = campaign.stretchGoals.some(goal => goal.amount === amount && !goal._id.equals(goalId));
+    if (duplicate) {
+      throw new ErrorResponse('There is already a stretch goal for this amount', 400);
+    }
+  }
+
+  // Save, reporting invalid stretch goals or requests as bad requests
+  static async saveCampaign(campaign) {
+    try {
+      await campaign.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      throw new ErrorResponse(Object.values(error.errors).map(item => item.message).join(', '), 400);
+    }
+  }
+
+  static sortStretchGoals(campaign) {
+    campaign.stretchGoals.sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * Add a stretch goal to a campaign
+   * @param {Document} campaign - Campaign
+   * @param {Object} fields - { title, description, amount }
+   * @returns {Object} The new stretch goal
+   */
+  static async addStretchGoal(campaign, { title, description, amount }) {
+    if (!STRETCH_GOAL_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse(`Stretch goals cannot be added to a ${campaign.status} campaign`, 400);
+    }
+    if (campaign.stretchGoals.length >= MAX_STRETCH_GOALS) {
+      throw new ErrorResponse(`A campaign can have at most ${MAX_STRETCH_GOALS} stretch goals`, 400);
+    }
+
+    if (!title || !description) {
+      throw new ErrorResponse('Please provide a title and description for the stretch goal', 400);
+    }
+
+    amount = Number(amount);
+    this.validateStretchGoalAmount(campaign, amount);
+
+    campaign.stretchGoals.push({ title, description, amount });
+    const goal = campaign.stretchGoals[campaign.stretchGoals.length - 1];
+    this.sortStretchGoals(campaign);
+    await this.saveCampaign(campaign);
+
+    return goal;
+  }
+
+  /**
+   * Edit a stretch goal that has not been reached yet
+   * @param {Document} campaign - Campaign
+   * @param {String} goalId - Stretch goal ID
+   * @param {Object} fields - Any of { title, description, amount }
+   * @returns {Object} The updated stretch goal
+   */
+  static async updateStretchGoal(campaign, goalId, { title, description, amount }) {
+    if (!STRETCH_GOAL_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse(`Stretch goals cannot be changed on a ${campaign.status} campaign`, 400);
+    }
+
+    const goal = this.findStretchGoal(campaign, goalId);
+    if (goal.reachedAt) {
+      throw new ErrorResponse('A stretch goal that has been reached cannot be changed', 400);
+    }
+
+    if (amount !== undefined) {
+      amount = Number(amount);
+      this.validateStretchGoalAmount(campaign, amount, goal._id);
+      goal.amount = amount;
+    }
+    if (title !== undefined) goal.title = title;
+    if (description !== undefined) goal.description = description;
+
+    this.sortStretchGoals(campaign);
+    await this.saveCampaign(campaign);
+
+    return goal;
+  }
+
+  static async removeStretchGoal(campaign, goalId) {
+    const goal = this.findStretchGoal(campaign, goalId);
+    if (goal.reachedAt) {
+      throw new ErrorResponse('A stretch goal that has been reached cannot be removed', 400);
+    }
+
+    goal.deleteOne();
+    await this.saveCampaign(campaign);
+  }
+
+  /**
+   * Ask to raise an active campaign's goal. The campaign stays live while an admin reviews it.
+   * @param {Document} campaign - Active campaign
+   * @param {Object} params - { amount, reason, userId }
+   * @returns {Object} { request, assessment }
+   */
+  static async requestGoalIncrease(campaign, { amount, reason, userId }) {
+    if (campaign.status !== 'active') {
+      throw new ErrorResponse('Goal increases can only be requested for active campaigns', 400);
+    }
+    if (this.getPendingRequest(campaign)) {
+      throw new ErrorResponse('This campaign already has a goal increase awaiting review', 400);
+    }
+
+    amount = Number(amount);
+    if (!(amount > campaign.goalAmount)) {
+      throw new ErrorResponse(`The new goal must be above the current ${campaign.currency} ${campaign.goalAmount} goal`, 400);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new ErrorResponse('Please explain why the goal needs to increase', 400);
+    }
+    const stretchGoal = this.getLowestOpenStretchGoal(campaign);
+    if (stretchGoal && amount >= stretchGoal.amount) {
+      throw new ErrorResponse(`The new goal must stay below the "${stretchGoal.title}" stretch goal of ${campaign.currency} ${stretchGoal.amount}`, 400);
+    }
+
+    const assessment = this.assessGoalAmount(campaign, amount);
+
+    campaign.goalRequests.push({
+      amount,
+      previousAmount: campaign.goalAmount,
+      reason,
+      amountRiskScore: assessment.score,
+      riskLevel: assessment.riskLevel,
+      requestedBy: userId,
+    });
+    await this.saveCampaign(campaign);
+
+    return { request: campaign.goalRequests[campaign.goalRequests.length - 1], assessment };
+  }
+
+  /**
+   * Campaigns with a goal increase awaiting review, oldest request first
+   * @returns {Array} [{ campaign, request }]
+   */
+  static async getPendingRequests() {
+    const campaigns = await Campaign.find({ 'goalRequests.status': 'pending' })
+      .select('title category currency goalAmount raisedAmount status creator goalRequests stretchGoals')
+      .populate('creator', 'name email');
+
+    return campaigns
+      .map(campaign => ({ campaign, request: this.getPendingRequest(campaign) }))
+      .sort((a, b) => a.request.requestedAt - b.request.requestedAt);
+  }
+
+  /**
+   * Approve or reject a goal increase. The amount is scored again at review time, and
+   * high-risk amounts need a note to approve. Approved goals are recorded as a campaign version.
+   * @param {Document} campaign - Campaign
+   * @param {String} requestId - Goal request ID
+   * @param {Object} params - { approve, note, adminId }
+   * @returns {Object} { campaign, request, assessment }
+   */
+  static async reviewGoalRequest(campaign, requestId, { approve, note, adminId }) {
+    const request = this.findGoalRequest(campaign, requestId);
+    if (request.status !== 'pending') {
+      throw new ErrorResponse(`This goal request has already been ${request.status}`, 400);
+    }
+
+    const assessment = this.assessGoalAmount(campaign, request.amount);
+    request.amountRiskScore = assessment.score;
+    request.riskLevel = assessment.riskLevel;
+
+    if (approve) {
+      if (campaign.status !== 'active') {
+        throw new ErrorResponse(`The goal of a ${campaign.status} campaign cannot be changed`, 400);
+      }
+      if (assessment.score >= HIGH_RISK_SCORE && !note) {
+        throw new ErrorResponse(`High-risk goal amounts need a review note to approve: ${assessment.issue}`, 400);
+      }
+    } else if (!note) {
+      throw new ErrorResponse('Rejection reason is required', 400);
+    }
+
+    request.status = approve ? 'approved' : 'rejected';
+    request.reviewedBy = adminId;
+    request.reviewNote = note;
+    request.reviewedAt = new Date();
+
+    let previous;
+    if (approve) {
+      previous = await CampaignEditService.ensureOriginalVersion(campaign);
+      campaign.goalAmount = request.amount;
+      // The higher goal has to be reached again
+      if (campaign.goalReachedAt && campaign.raisedAmount < request.amount) {
+        campaign.goalReachedAt = undefined;
+      }
+    }
+
+    await this.saveCampaign(campaign);
+
+    if (approve) {
+      await CampaignVersion.create({
+        campaign: campaign._id,
+        version: previous.version + 1,
+        snapshot: CampaignEditService.snapshot(campaign),
+        changes: [{ field: 'goalAmount', from: request.previousAmount, to: request.amount }],
+        note: `Goal increase approved: ${request.reason}`,
+        editedBy: adminId,
+      });
+    }
+
+    await NotificationService.notify([campaign.creator], {
+      type: approve ? 'goal_request_approved' : 'goal_request_rejected',
+      title: approve ? 'Your goal increase was approved' : 'Your goal increase was not approved',
+      message: approve
+        ? `The goal of "${campaign.title}" is now ${campaign.currency} ${request.amount}.`
+        : `The goal of "${campaign.title}" stays at ${campaign.currency} ${campaign.goalAmount}. Reason: ${note}`,
+      campaign: campaign._id,
+      link: `/campaigns/${campaign._id}`,
+      email: true,
+    });
+
+    return { campaign, request, assessment };
+  }
+
+  /**
+   * Mark stretch goals that active campaigns have reached and tell the creator and donors.
+   * Run by the lifecycle job.
+   * @param {Date} now - Current time
+   * @param {Number} limit - Campaigns handled per run
+   * @returns {Object} { reached: stretch goals reached, finished: campaigns that reached their last one }
+   */
+  static async processStretchGoals(now = new Date(), limit = 100) {
+    const campaigns = await Campaign.find({
+      status: 'active',
+      $expr: {
+        $gt: [{
+          $size: {
+            $filter: {
+              input: { $ifNull: ['$stretchGoals', []] },
+              cond: {
+                $and: [
+                  { $lte: ['$$this.amount', '$raisedAmount'] },
+                  { $not: [{ $ifNull: ['$$this.reachedAt', false] }] },
+                ],
+              },
+            },
+          },
+        }, 0],
+      },
+    }).limit(limit);
+
+    const summary = { reached: 0, finished: [] };
+
+    for (const campaign of campaigns) {
+      const reached = campaign.stretchGoals.filter(goal => !goal.reachedAt && goal.amount <= campaign.raisedAmount);
+
+      // Claim each goal atomically so overlapping runs notify once
+      const claimed = [];
+      for (const goal of reached) {
+        const result = await Campaign.updateOne(
+          { _id: campaign._id, stretchGoals: { $elemMatch: { _id: goal._id, reachedAt: { $exists: false } } } },
+          { $set: { 'stretchGoals.$.reachedAt': now } }
+        );
+        if (result.modifiedCount > 0) {
+          goal.reachedAt = now;
+          claimed.push(goal);
+        }
+      }
+      if (claimed.length === 0) continue;
+      summary.reached += claimed.length;
+
+      const latest = claimed[claimed.length - 1];
+      const next = campaign.stretchGoals.find(goal => !goal.reachedAt);
+      const link = `/campaigns/${campaign._id}`;
+
+      await NotificationService.notify([campaign.creator], {
+        type: 'stretch_goal_reached',
+        title: `"${campaign.title}" reached the "${latest.title}" stretch goal`,
+        message: next
+          ? `Your campaign has raised ${campaign.currency} ${campaign.raisedAmount}. The next stretch goal is "${next.title}" at ${campaign.currency} ${next.amount}.`
+          : `Your campaign has raised ${campaign.currency} ${campaign.raisedAmount} and reached every stretch goal.`,
+        campaign: campaign._id,
+        link,
+        email: true,
+      });
+
+      const { userIds } = await DonationService.getCampaignDonors(campaign._id);
+      await NotificationService.notify(userIds.filter(donor => !donor.equals(campaign.creator)), {
+        type: 'stretch_goal_reached',
+        title: `"${campaign.title}" reached a stretch goal`,
+        message: `Thanks to supporters like you, the campaign can now fund: ${latest.title}.`,
+        campaign: campaign._id,
+        link,
+      });
+
+      if (!next) summary.finished.push(campaign);
+    }
+
+    return summary;
+  }
+}
+
+CampaignGoalService.MAX_STRETCH_GOALS = MAX_STRETCH_GOALS;
+
+module.exports = CampaignGoalService;
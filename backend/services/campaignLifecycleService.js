@@ -0,0 +1,207 @@
+const Campaign = require('../models/Campaign');
+const DonationService = require('./donationService');
+const NotificationService = require('./notificationService');
+const FollowService = require('./followService');
+const RecurringDonationService = require('./recurringDonationService');
+const CampaignGoalService = require('./campaignGoalService');
+
+// Campaigns handled per step of each scheduler run
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What happens when a campaign reaches its goal:
+// keep_open (default) records it and keeps taking donations until the end date; complete closes it
+const getGoalReachedPolicy = () => (process.env.CAMPAIGN_GOAL_POLICY === 'complete' ? 'complete' : 'keep_open');
+
+// Days before the end date that the "ending soon" reminder goes out
+const getReminderDays = () => parseInt(process.env.CAMPAIGN_REMINDER_DAYS, 10) || 3;
+
+class CampaignLifecycleService {
+
+  /**
+   * Complete an active campaign, recording why. Claimed atomically so a campaign an admin
+   * has just suspended is left alone.
+   * @param {Document} campaign - Active campaign
+   * @param {String} reason - Why the campaign is completing
+   * @returns {Document|null} The completed campaign, or null if it was no longer active
+   */
+  static async completeCampaign(campaign, reason) {
+    const now = new Date();
+    const completed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'active' },
+      {
+        $set: { status: 'completed', completedAt: now },
+        $push: { statusHistory: { from: 'active', to: 'completed', reason, at: now } },
+      },
+      { new: true }
+    );
+    if (!completed) return null;
+
+    await RecurringDonationService.stopForCampaign(completed._id, `Campaign is completed: ${reason.toLowerCase()}`);
+
+    await NotificationService.notify([completed.creator], {
+      type: 'campaign_completed',
+      title: `"${completed.title}" has closed`,
+      message: `Your campaign closed (${reason.toLowerCase()}) after raising ${completed.currency} ${completed.raisedAmount} of its ${completed.currency} ${completed.goalAmount} goal.`,
+      campaign: completed._id,
+      link: `/campaigns/${completed._id}`,
+      email: true,
+    });
+
+    return completed;
+  }
+
+  // Close active campaigns whose end date has passed
+  static async closeExpiredCampaigns(now = new Date()) {
+    const expired = await Campaign.find({ status: 'active', endDate: { $lte: now } })
+      .sort({ endDate: 1 })
+      .limit(BATCH_SIZE);
+
+    let closed = 0;
+    for (const campaign of expired) {
+      if (await this.completeCampaign(campaign, 'End date reached')) closed++;
+    }
+    return closed;
+  }
+
+  // Record campaigns that have reached their goal, closing them if the policy says so.
+  // Campaigns with stretch goals still ahead stay open until they reach the last one.
+  static async processGoalReached(now = new Date()) {
+    const reached = await Campaign.find({
+      status: 'active',
+      goalReachedAt: { $exists: false },
+      $expr: { $gte: ['$raisedAmount', '$goalAmount'] },
+    }).limit(BATCH_SIZE);
+
+    const policy = getGoalReachedPolicy();
+    const summary = { goalReached: 0, completed: 0 };
+
+    for (const campaign of reached) {
+      const claimed = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'active', goalReachedAt: { $exists: false } },
+        { $set: { goalReachedAt: now } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      summary.goalReached++;
+
+      const nextStretchGoal = claimed.nextStretchGoal;
+      if (policy === 'complete' && !nextStretchGoal) {
+        if (await this.completeCampaign(claimed, 'Goal reached')) summary.completed++;
+        continue;
+      }
+
+      await NotificationService.notify([claimed.creator], {
+        type: 'campaign_goal_reached',
+        title: `"${claimed.title}" reached its goal`,
+        message: `Your campaign has raised ${claimed.currency} ${claimed.raisedAmount} of its ${claimed.currency} ${claimed.goalAmount} goal. It stays open for donations until ${claimed.endDate.toDateString()}.` +
+          (nextStretchGoal ? ` Next up is the "${nextStretchGoal.title}" stretch goal at ${claimed.currency} ${nextStretchGoal.amount}.` : ''),
+        campaign: claimed._id,
+        link: `/campaigns/${claimed._id}`,
+        email: true,
+      });
+    }
+
+    return summary;
+  }
+
+  // Record stretch goals reached, closing campaigns that reached their last one if the policy says so
+  static async processStretchGoals(now = new Date()) {
+    const { reached, finished } = await CampaignGoalService.processStretchGoals(now, BATCH_SIZE);
+    const summary = { stretchGoalsReached: reached, completed: 0 };
+
+    if (getGoalReachedPolicy() === 'complete') {
+      for (const campaign of finished) {
+        if (await this.completeCampaign(campaign, 'Final stretch goal reached')) summary.completed++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Tell creators, donors, followers and those who bookmarked it when a campaign has only a few days left
+  static async sendEndingSoonReminders(now = new Date()) {
+    const days = getReminderDays();
+    const ending = await Campaign.find({
+      status: 'active',
+      endDate: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+      endingSoonNotifiedAt: { $exists: false },
+    }).limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const campaign of ending) {
+      const claimed = await Campaign.updateOne(
+        { _id: campaign._id, endingSoonNotifiedAt: { $exists: false } },
+        { $set: { endingSoonNotifiedAt: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const daysLeft = Math.max(1, Math.ceil((campaign.endDate - now) / DAY_MS));
+      const remaining = Math.max(0, campaign.goalAmount - campaign.raisedAmount);
+      const link = `/campaigns/${campaign._id}`;
+
+      await NotificationService.notify([campaign.creator], {
+        type: 'campaign_ending_soon',
+        title: `${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left for "${campaign.title}"`,
+        message: remaining > 0
+          ? `Your campaign ends on ${campaign.endDate.toDateString()} and needs ${campaign.currency} ${remaining} more to reach its goal. Now is a good time to share it.`
+          : `Your campaign ends on ${campaign.endDate.toDateString()}.`,
+        campaign: campaign._id,
+        link,
+        email: true,
+      });
+
+      const { userIds } = await DonationService.getCampaignDonors(campaign._id);
+      await NotificationService.notify(userIds.filter(donor => !donor.equals(campaign.creator)), {
+        type: 'campaign_ending_soon',
+        title: `${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left for "${campaign.title}"`,
+        message: 'A campaign you supported is ending soon. Sharing it can help it reach its goal.',
+        campaign: campaign._id,
+        link,
+      });
+
+      const donorIds = new Set(userIds.map(id => id.toString()));
+      const audience = await FollowService.getAudience(campaign, { bookmarks: true });
+      await NotificationService.notify(audience.filter(id => !donorIds.has(id.toString())), {
+        type: 'followed_campaign_ending_soon',
+        title: `${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left for "${campaign.title}"`,
+        message: remaining > 0
+          ? `A campaign you are following ends on ${campaign.endDate.toDateString()} and still needs ${campaign.currency} ${remaining} to reach its goal.`
+          : `A campaign you are following ends on ${campaign.endDate.toDateString()}.`,
+        campaign: campaign._id,
+        link,
+      });
+
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Run every lifecycle step. Run by the scheduler.
+   * @returns {Object} { expired, goalReached, stretchGoalsReached, completed, reminders }
+   */
+  static async processLifecycle() {
+    const now = new Date();
+
+    // Goal checks run before expiry so campaigns that got there on their last day are recorded
+    const { goalReached, completed } = await this.processGoalReached(now);
+    const stretch = await this.processStretchGoals(now);
+    const expired = await this.closeExpiredCampaigns(now);
+    const reminders = await this.sendEndingSoonReminders(now);
+
+    return {
+      expired,
+      goalReached,
+      stretchGoalsReached: stretch.stretchGoalsReached,
+      completed: completed + stretch.completed,
+      reminders,
+    };
+  }
+}
+
+CampaignLifecycleService.getGoalReachedPolicy = getGoalReachedPolicy;
+
+module.exports = CampaignLifecycleService;
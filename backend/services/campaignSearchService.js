@@ -0,0 +1,327 @@
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const escapeRegex = require('../utils/escapeRegex');
+const { EARTH_RADIUS_KM } = require('../utils/geo');
+const { getRateTable } = require('./currency');
+
+// Longest search query accepted; anything beyond is ignored
+const MAX_QUERY_LENGTH = 100;
+
+// Goal range facet boundaries, in the platform currency
+const GOAL_RANGES = [0, 10000, 50000, 100000, 500000];
+
+// Donations in this window count towards the trending sort
+const TRENDING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Radius filter bounds in kilometres
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 1000;
+
+const SORT_MODES = ['relevance', 'newest', 'trending', 'ending_soon', 'nearly_funded', 'most_backers', 'nearest'];
+
+// Goal converted to the platform currency, so ranges compare campaigns in different currencies
+const platformGoalExpression = () => {
+  const { base, rates } = getRateTable();
+
+  return {
+    $multiply: [
+      '$goalAmount',
+      {
+        $switch: {
+          branches: Object.entries(rates).map(([currency, rate]) => ({
+            case: { $eq: [{ $ifNull: ['$currency', base] }, currency] },
+            then: rate,
+          })),
+          default: 1,
+        },
+      },
+    ],
+  };
+};
+
+const parseNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Distance in kilometres from a point to the campaign's coordinates (spherical law of cosines)
+const distanceExpression = ([lng, lat]) => {
+  const campaignLng = { $degreesToRadians: { $arrayElemAt: ['$location.point.coordinates', 0] } };
+  const campaignLat = { $degreesToRadians: { $arrayElemAt: ['$location.point.coordinates', 1] } };
+  const originLat = (lat * Math.PI) / 180;
+  const originLng = (lng * Math.PI) / 180;
+
+  return {
+    $cond: [
+      { $isArray: '$location.point.coordinates' },
+      {
+        $multiply: [EARTH_RADIUS_KM, {
+          $acos: {
+            $min: [1, {
+              $add: [
+                { $multiply: [Math.sin(originLat), { $sin: campaignLat }] },
+                { $multiply: [Math.cos(originLat), { $cos: campaignLat }, { $cos: { $subtract: [campaignLng, originLng] } }] },
+              ],
+            }],
+          },
+        }],
+      },
+      null,
+    ],
+  };
+};
+
+// Anchored, case-insensitive match on a region name
+const regionMatch = (value) => ({ $regex: `^${escapeRegex(value)}$`, $options: 'i' });
+
+class CampaignSearchService {
+
+  /**
+   * Normalise search parameters from a query string
+   * @param {Object} query - Request query
+   * @returns {Object} { q, category, goalMin, goalMax, emergency, near, radius, state, city, sort, page, limit }
+   */
+  static parseParams(query = {}) {
+    const q = String(query.q || query.search || '').trim().slice(0, MAX_QUERY_LENGTH);
+
+    // Nearby campaigns: lat and lng, with a radius in kilometres
+    const lat = parseNumber(query.lat);
+    const lng = parseNumber(query.lng);
+    const near = lat !== undefined && lng !== undefined && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+      ? [lng, lat]
+      : null;
+
+    let sort = SORT_MODES.includes(query.sort) ? query.sort : (q ? 'relevance' : 'newest');
+    if (sort === 'nearest' && !near) sort = 'newest';
+
+    return {
+      q,
+      category: query.category && query.category !== 'All' ? String(query.category) : null,
+      goalMin: parseNumber(query.goalMin),
+      goalMax: parseNumber(query.goalMax),
+      emergency: query.emergency === undefined ? null : ['true', '1'].includes(String(query.emergency)),
+      near,
+      radius: near ? Math.min(Math.max(parseNumber(query.radius) || DEFAULT_RADIUS_KM, 1), MAX_RADIUS_KM) : null,
+      state: query.state ? String(query.state).trim().slice(0, 100) : null,
+      city: query.city ? String(query.city).trim().slice(0, 100) : null,
+      sort,
+      page: Math.max(parseInt(query.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 50),
+    };
+  }
+
+  // Match stage for the search text: the text index, or a literal substring match as a fallback
+  static getTextMatch(q, useText) {
+    if (!q) return {};
+    if (useText) return { $text: { $search: q } };
+
+    const pattern = escapeRegex(q);
+    return {
+      $or: [
+        { title: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
+      ],
+    };
+  }
+
+  // Each filter separately, so every facet can be counted without its own filter applied
+  static getFilters({ category, goalMin, goalMax, emergency, near, radius, state, city }) {
+    const filters = { category: {}, goal: {}, emergency: {}, region: {} };
+
+    if (category) {
+      filters.category = { category };
+    }
+    if (goalMin !== undefined || goalMax !== undefined) {
+      const bounds = [];
+      if (goalMin !== undefined) bounds.push({ $gte: ['$platformGoal', goalMin] });
+      if (goalMax !== undefined) bounds.push({ $lte: ['$platformGoal', goalMax] });
+      filters.goal = { $expr: { $and: bounds } };
+    }
+    if (emergency !== null) {
+      filters.emergency = emergency ? { isEmergency: true } : { isEmergency: { $ne: true } };
+    }
+    if (near || state || city) {
+      filters.region = {};
+      if (near) {
+        filters.region['location.point'] = { $geoWithin: { $centerSphere: [near, radius / EARTH_RADIUS_KM] } };
+      }
+      if (state) filters.region['location.state'] = regionMatch(state);
+      if (city) filters.region['location.city'] = regionMatch(city);
+    }
+
+    return filters;
+  }
+
+  // Sort stages for a sort mode. Trending looks up recent donations, so it only runs when asked for.
+  static getSortStages(sort, useText, now) {
+    switch (sort) {
+      case 'relevance':
+        return useText
+          ? [{ $sort: { relevance: -1, createdAt: -1 } }]
+          : [{ $sort: { createdAt: -1 } }];
+      case 'trending':
+        return [
+          {
+            $lookup: {
+              from: Donation.collection.name,
+              let: { campaignId: '$_id' },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: { $eq: ['$campaign', '$$campaignId'] },
+                    status: { $in: Donation.CREDITED_STATUSES },
+                    createdAt: { $gte: new Date(now.getTime() - TRENDING_DAYS * DAY_MS) },
+                  },
+                },
+                { $count: 'count' },
+              ],
+              as: 'recentDonations',
+            },
+          },
+          { $addFields: { recentDonations: { $ifNull: [{ $arrayElemAt: ['$recentDonations.count', 0] }, 0] } } },
+          { $sort: { recentDonations: -1, backers: -1, createdAt: -1 } },
+        ];
+      case 'ending_soon':
+        return [{ $sort: { endDate: 1, _id: 1 } }];
+      case 'nearly_funded':
+        return [{ $sort: { fundedRatio: -1, _id: 1 } }];
+      case 'most_backers':
+        return [{ $sort: { backers: -1, createdAt: -1 } }];
+      case 'nearest':
+        return [{ $sort: { distanceKm: 1, createdAt: -1 } }];
+      default:
+        return [{ $sort: { createdAt: -1 } }];
+    }
+  }
+
+  static async runSearch(params, useText) {
+    const now = new Date();
+    const filters = this.getFilters(params);
+    const baseMatch = { status: 'active', ...this.getTextMatch(params.q, useText) };
+
+    // Campaigns still open, below their goal or with coordinates, for the sorts that only make sense for them
+    const sortMatch = {};
+    if (params.sort === 'ending_soon') sortMatch.endDate = { $gt: now };
+    if (params.sort === 'nearly_funded') sortMatch.fundedRatio = { $lt: 1 };
+    if (params.sort === 'nearest') sortMatch.distanceKm = { $ne: null };
+
+    const all = [filters.category, filters.goal, filters.emergency, filters.region, sortMatch];
+
+    const [result] = await Campaign.aggregate([
+      { $match: baseMatch },
+      {
+        $addFields: {
+          platformGoal: platformGoalExpression(),
+          fundedRatio: {
+            $cond: [{ $gt: ['$goalAmount', 0] }, { $divide: ['$raisedAmount', '$goalAmount'] }, 0],
+          },
+          ...(useText && params.q ? { relevance: { $meta: 'textScore' } } : {}),
+          ...(params.near ? { distanceKm: distanceExpression(params.near) } : {}),
+        },
+      },
+      {
+        $facet: {
+          results: [
+            { $match: { $and: all } },
+            ...this.getSortStages(params.sort, useText && params.q, now),
+            { $skip: (params.page - 1) * params.limit },
+            { $limit: params.limit },
+            { $project: { _id: 1, relevance: 1, distanceKm: 1 } },
+          ],
+          total: [
+            { $match: { $and: all } },
+            { $count: 'count' },
+          ],
+          categories: [
+            { $match: { $and: [filters.goal, filters.emergency, filters.region] } },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          goalRanges: [
+            { $match: { $and: [filters.category, filters.emergency, filters.region] } },
+            {
+              $bucket: {
+                groupBy: '$platformGoal',
+                boundaries: GOAL_RANGES.concat(Number.MAX_SAFE_INTEGER),
+                default: 'other',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          emergency: [
+            { $match: { $and: [filters.category, filters.goal, filters.region] } },
+            { $group: { _id: { $eq: ['$isEmergency', true] }, count: { $sum: 1 } } },
+          ],
+          regions: [
+            { $match: { $and: [filters.category, filters.goal, filters.emergency], 'location.state': { $exists: true } } },
+            { $group: { _id: '$location.state', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 20 },
+          ],
+        },
+      },
+    ]);
+
+    return result;
+  }
+
+  /**
+   * Search active campaigns. Text queries use the text index and rank by relevance;
+   * when that finds nothing (e.g. a partial word), they fall back to a literal substring match.
+   * @param {Object} params - Parsed search parameters (see parseParams)
+   * @returns {Object} { total, campaigns, facets, sort, matchedBy }
+   */
+  static async search(params) {
+    let useText = Boolean(params.q);
+    let result = await this.runSearch(params, useText);
+
+    if (useText && result.total.length === 0) {
+      useText = false;
+      result = await this.runSearch(params, useText);
+    }
+
+    const ids = result.results.map(item => item._id);
+    const relevance = new Map(result.results.map(item => [item._id.toString(), item.relevance]));
+    const distances = new Map(result.results.map(item => [item._id.toString(), item.distanceKm]));
+    const campaigns = await Campaign.find({ _id: { $in: ids } }).populate('creator', 'name email');
+    const byId = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign]));
+
+    return {
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      campaigns: ids
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(campaign => {
+          const data = campaign.toJSON();
+          const score = relevance.get(campaign._id.toString());
+          if (score !== undefined) data.relevance = Math.round(score * 1000) / 1000;
+          const distance = distances.get(campaign._id.toString());
+          if (typeof distance === 'number') data.distanceKm = Math.round(distance * 10) / 10;
+          return data;
+        }),
+      facets: {
+        categories: result.categories.map(({ _id, count }) => ({ category: _id, count })),
+        goalRanges: result.goalRanges
+          .filter(({ _id }) => _id !== 'other')
+          .map(({ _id, count }) => {
+            const index = GOAL_RANGES.indexOf(_id);
+            return { min: _id, max: index < GOAL_RANGES.length - 1 ? GOAL_RANGES[index + 1] : null, count };
+          }),
+        emergency: {
+          true: (result.emergency.find(({ _id }) => _id === true) || { count: 0 }).count,
+          false: (result.emergency.find(({ _id }) => _id === false) || { count: 0 }).count,
+        },
+        regions: result.regions.map(({ _id, count }) => ({ state: _id, count })),
+      },
+      sort: params.sort,
+      matchedBy: params.q ? (useText ? 'text' : 'substring') : null,
+    };
+  }
+}
+
+CampaignSearchService.SORT_MODES = SORT_MODES;
+CampaignSearchService.GOAL_RANGES = GOAL_RANGES;
+
+module.exports = CampaignSearchService;
@@ -0,0 +1,150 @@
+const DonationService = require('./donationService');
+const NotificationService = require('./notificationService');
+const FollowService = require('./followService');
+const ErrorResponse = require('../utils/errorResponse');
+const { sendMail } = require('../utils/mailer');
+const { uploadToCloudinary, deleteUploads } = require('../middleware/fileUpload');
+
+// Campaigns their creators can post updates on
+const UPDATABLE_STATUSES = ['pending', 'active', 'completed', 'suspended'];
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:8080';
+
+class CampaignUpdateService {
+
+  static findUpdate(campaign, updateId) {
+    const update = campaign.updates.id(updateId);
+    if (!update) {
+      throw new ErrorResponse('Update not found', 404);
+    }
+    return update;
+  }
+
+  // Upload update images, removing them again if anything fails
+  static async uploadImages(files = []) {
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        uploaded.push(await uploadToCloudinary(file));
+      }
+      return uploaded;
+    } catch (error) {
+      await deleteUploads(uploaded);
+      throw error;
+    }
+  }
+
+  /**
+   * Post an update and notify the campaign's donors and followers
+   * @param {Document} campaign - Campaign
+   * @param {Object} params - { title, content, files }
+   * @returns {Object} The new update
+   */
+  static async postUpdate(campaign, { title, content, files }) {
+    if (!UPDATABLE_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse(`Updates cannot be posted on a ${campaign.status} campaign`, 400);
+    }
+    if (!title || !content) {
+      throw new ErrorResponse('Please provide a title and content for the update', 400);
+    }
+
+    const images = await this.uploadImages(files);
+
+    campaign.updates.push({ title, content, images });
+    try {
+      await campaign.save();
+    } catch (error) {
+      await deleteUploads(images);
+      throw error;
+    }
+
+    const update = campaign.updates[campaign.updates.length - 1];
+
+    // Supporters are notified in the background so large campaigns do not hold up the response
+    this.notifySupporters(campaign, update).catch(error => {
+      console.error('Error notifying supporters of campaign update:', error);
+    });
+
+    return update;
+  }
+
+  /**
+   * Edit an update's text and images. Donors are not notified again.
+   * @param {Document} campaign - Campaign
+   * @param {String} updateId - Update ID
+   * @param {Object} params - { title, content, files, removeImages }
+   * @returns {Object} The edited update
+   */
+  static async editUpdate(campaign, updateId, { title, content, files, removeImages = [] }) {
+    const update = this.findUpdate(campaign, updateId);
+
+    const removed = update.images.filter(image => removeImages.includes(image.url));
+    const added = await this.uploadImages(files);
+
+    if (title !== undefined) update.title = title;
+    if (content !== undefined) update.content = content;
+    update.images = [...update.images.filter(image => !removeImages.includes(image.url)), ...added];
+    update.editedAt = new Date();
+
+    try {
+      await campaign.save();
+    } catch (error) {
+      await deleteUploads(added);
+      throw error;
+    }
+
+    await deleteUploads(removed);
+    return update;
+  }
+
+  static async deleteUpdate(campaign, updateId) {
+    const update = this.findUpdate(campaign, updateId);
+    const images = update.images.map(image => image.toObject());
+
+    update.deleteOne();
+    await campaign.save();
+    await deleteUploads(images);
+  }
+
+  // Tell every donor about a new update: in the app and by email for account holders, by email for guests.
+  // Followers of the campaign or its creator who have not donated get an in-app notification.
+  static async notifySupporters(campaign, update) {
+    const { userIds, guestEmails } = await DonationService.getCampaignDonors(campaign._id);
+    const link = `/campaigns/${campaign._id}?update=${update._id}`;
+    const title = `New update on "${campaign.title}": ${update.title}`;
+    const excerpt = update.content.length > 300 ? `${update.content.slice(0, 300)}...` : update.content;
+
+    const notified = await NotificationService.notify(userIds.filter(id => !id.equals(campaign.creator)), {
+      type: 'campaign_update',
+      title,
+      message: excerpt,
+      campaign: campaign._id,
+      link,
+      email: true,
+    });
+
+    await Promise.all(guestEmails.map(email => sendMail({
+      to: email,
+      subject: title,
+      text: ['Hello,', '', 'A campaign you donated to has posted an update:', '', excerpt, '', `${clientUrl()}${link}`].join('\n'),
+    }).catch(error => {
+      console.error(`Error emailing campaign update to ${email}:`, error);
+    })));
+
+    const donorIds = new Set(userIds.map(id => id.toString()));
+    const followerIds = (await FollowService.getAudience(campaign)).filter(id => !donorIds.has(id.toString()));
+    const notifiedFollowers = await NotificationService.notify(followerIds, {
+      type: 'followed_campaign_update',
+      title,
+      message: excerpt,
+      campaign: campaign._id,
+      link,
+    });
+
+    return notified + guestEmails.length + notifiedFollowers;
+  }
+}
+
+CampaignUpdateService.UPDATABLE_STATUSES = UPDATABLE_STATUSES;
+
+module.exports = CampaignUpdateService;
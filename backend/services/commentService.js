@@ -0,0 +1,372 @@
+const Comment = require('../models/Comment');
+const Campaign = require('../models/Campaign');
+const FraudDetectionService = require('./fraudDetection');
+const NotificationService = require('./notificationService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Replies can be nested this many levels below a top-level comment
+const MAX_DEPTH = 4;
+const MAX_LENGTH = 1000;
+
+// Visible comments reported this many times are held for moderation
+const reportThreshold = () => parseInt(process.env.COMMENT_REPORT_THRESHOLD, 10) || 3;
+
+const USER_FIELDS = 'name';
+
+class CommentService {
+
+  // Hold comments containing known spam or scam phrases
+  static getHoldReason(content) {
+    const phrases = FraudDetectionService.findSuspiciousPhrases(content);
+    return phrases.length > 0 ? `Contains suspicious phrases: ${phrases.join(', ')}` : null;
+  }
+
+  static validateContent(content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new ErrorResponse('Please provide comment content', 400);
+    }
+    if (content.trim().length > MAX_LENGTH) {
+      throw new ErrorResponse(`Comment cannot be more than ${MAX_LENGTH} characters`, 400);
+    }
+  }
+
+  static async findComment(campaignId, commentId) {
+    const comment = await Comment.findOne({ _id: commentId, campaign: campaignId });
+    if (!comment) {
+      throw new ErrorResponse('Comment not found', 404);
+    }
+    return comment;
+  }
+
+  // Public shape of a comment. Deleted and removed comments keep their place but not their content.
+  static serialize(comment) {
+    const hidden = ['deleted', 'removed'].includes(comment.status);
+
+    return {
+      _id: comment._id,
+      parent: comment.parent,
+      user: hidden ? null : comment.user,
+      content: hidden ? null : comment.content,
+      isCreator: comment.isCreator,
+      status: comment.status,
+      editedAt: comment.editedAt,
+      createdAt: comment.createdAt,
+      replies: [],
+    };
+  }
+
+  /**
+   * A campaign's comments as a thread, oldest first at every level.
+   * Held comments are only included for their author.
+   * @param {String} campaignId - Campaign ID
+   * @param {String} viewerId - Signed-in user, if any
+   * @returns {Object} { count, comments }
+   */
+  static async getThread(campaignId, viewerId) {
+    const visibility = [{ status: { $in: ['visible', 'deleted', 'removed'] } }];
+    if (viewerId) {
+      visibility.push({ status: 'held', user: viewerId });
+    }
+
+    const comments = await Comment.find({ campaign: campaignId, $or: visibility })
+      .populate('user', USER_FIELDS)
+      .sort({ createdAt: 1 });
+
+    const nodes = new Map(comments.map(comment => [comment._id.toString(), this.serialize(comment)]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      if (parent) {
+        parent.replies.push(node);
+      } else if (!node.parent) {
+        roots.push(node);
+      }
+    });
+
+    // Drop deleted and removed comments that have nothing left below them
+    const prune = (list) => list.filter(node => {
+      node.replies = prune(node.replies);
+      return node.content !== null || node.replies.length > 0;
+    });
+
+    return {
+      count: comments.filter(comment => ['visible', 'held'].includes(comment.status)).length,
+      comments: prune(roots),
+    };
+  }
+
+  /**
+   * Comment on a campaign or reply to a comment
+   * @param {Document} campaign - Campaign
+   * @param {Document} user - Author
+   * @param {Object} params - { content, parentId }
+   * @returns {Object} { comment, held }
+   */
+  static async addComment(campaign, user, { content, parentId }) {
+    this.validateContent(content);
+
+    let parent = null;
+    if (parentId) {
+      parent = await this.findComment(campaign._id, parentId);
+      if (parent.status !== 'visible') {
+        throw new ErrorResponse('You cannot reply to this comment', 400);
+      }
+      if (parent.depth >= MAX_DEPTH) {
+        throw new ErrorResponse('Replies cannot be nested any deeper', 400);
+      }
+    }
+
+    const heldReason = this.getHoldReason(content);
+    const comment = await Comment.create({
+      campaign: campaign._id,
+      user: user._id,
+      parent: parent ? parent._id : undefined,
+      depth: parent ? parent.depth + 1 : 0,
+      content,
+      isCreator: campaign.creator.toString() === user._id.toString(),
+      status: heldReason ? 'held' : 'visible',
+      heldReason: heldReason || undefined,
+    });
+
+    if (!heldReason) {
+      this.notifyReply(campaign, comment, parent).catch(error => {
+        console.error('Error notifying comment reply:', error);
+      });
+    }
+
+    await comment.populate('user', USER_FIELDS);
+    return { comment, held: Boolean(heldReason) };
+  }
+
+  // Let the campaign creator know about new comments, and comment authors about replies
+  static async notifyReply(campaign, comment, parent) {
+    const link = `/campaigns/${campaign._id}#comment-${comment._id}`;
+
+    if (parent && parent.user.toString() !== comment.user.toString()) {
+      await NotificationService.notify([parent.user], {
+        type: 'comment_reply',
+        title: 'New reply to your comment',
+        message: `Someone replied to your comment on "${campaign.title}".`,
+        campaign: campaign._id,
+        link,
+      });
+    }
+
+    if (!comment.isCreator && (!parent || parent.user.toString() !== campaign.creator.toString())) {
+      await NotificationService.notify([campaign.creator], {
+        type: 'campaign_comment',
+        title: 'New comment on your campaign',
+        message: `There is a new comment on "${campaign.title}".`,
+        campaign: campaign._id,
+        link,
+      });
+    }
+  }
+
+  /**
+   * Edit a comment. Edits are checked for suspicious phrases again.
+   * @param {Document} comment - Comment
+   * @param {String} userId - User editing the comment
+   * @param {String} content - New content
+   * @returns {Object} { comment, held }
+   */
+  static async editComment(comment, userId, content) {
+    if (comment.user.toString() !== userId.toString()) {
+      throw new ErrorResponse('Not authorized to edit this comment', 403);
+    }
+    if (!['visible', 'held'].includes(comment.status)) {
+      throw new ErrorResponse('This comment can no longer be edited', 400);
+    }
+    this.validateContent(content);
+
+    const heldReason = this.getHoldReason(content);
+    comment.content = content;
+    comment.editedAt = new Date();
+    if (heldReason) {
+      comment.status = 'held';
+      comment.heldReason = heldReason;
+    }
+
+    await comment.save();
+    await comment.populate('user', USER_FIELDS);
+    return { comment, held: comment.status === 'held' };
+  }
+
+  /**
+   * Delete a comment. Comments with replies stay in the thread as "deleted".
+   * @param {Document} comment - Comment
+   * @param {String} userId - User deleting the comment
+   */
+  static async deleteComment(comment, userId) {
+    if (comment.user.toString() !== userId.toString()) {
+      throw new ErrorResponse('Not authorized to delete this comment', 403);
+    }
+
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (!hasReplies) {
+      await comment.deleteOne();
+      return;
+    }
+
+    comment.status = 'deleted';
+    comment.content = '[deleted]';
+    comment.deletedAt = new Date();
+    await comment.save();
+  }
+
+  /**
+   * Report a comment. Each user can report a comment once.
+   * @param {Document} comment - Comment
+   * @param {String} userId - Reporting user
+   * @param {String} reason - Optional reason
+   * @returns {Document} Updated comment
+   */
+  static async reportComment(comment, userId, reason) {
+    if (comment.user.toString() === userId.toString()) {
+      throw new ErrorResponse('You cannot report your own comment', 400);
+    }
+    if (comment.status !== 'visible') {
+      throw new ErrorResponse('This comment cannot be reported', 400);
+    }
+    if (reason && String(reason).length > 280) {
+      throw new ErrorResponse('Reason cannot be more than 280 characters', 400);
+    }
+
+    const reported = await Comment.findOneAndUpdate(
+      { _id: comment._id, 'reports.user': { $ne: userId } },
+      {
+        $push: { reports: { user: userId, reason } },
+        $inc: { reportCount: 1 },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!reported) {
+      throw new ErrorResponse('You have already reported this comment', 400);
+    }
+
+    if (reported.reportCount >= reportThreshold()) {
+      await Comment.updateOne(
+        { _id: reported._id, status: 'visible' },
+        { $set: { status: 'held', heldReason: `Reported by ${reported.reportCount} users` } }
+      );
+    }
+
+    return reported;
+  }
+
+  /**
+   * Comments awaiting moderation: held, or reported but still visible
+   * @param {Object} filters - { status: held|reported|removed|all, campaign, page, limit }
+   * @returns {Object} { total, comments }
+   */
+  static async getModerationQueue({ status, campaign, page = 1, limit = 20 } = {}) {
+    const queries = {
+      held: { status: 'held' },
+      reported: { status: 'visible', reportCount: { $gt: 0 } },
+      removed: { status: 'removed' },
+      all: {},
+    };
+    const query = { ...(queries[status] || { $or: [queries.held, queries.reported] }) };
+    if (campaign) {
+      query.campaign = campaign;
+    }
+
+    const [total, comments] = await Promise.all([
+      Comment.countDocuments(query),
+      Comment.find(query)
+        .populate('user', 'name email')
+        .populate('campaign', 'title creator')
+        .populate('reports.user', 'name')
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return { total, comments };
+  }
+
+  /**
+   * Approve a held or reported comment, or remove it
+   * @param {String} commentId - Comment ID
+   * @param {String} adminId - Moderating admin
+   * @param {Object} params - { action: approve|remove, note }
+   * @returns {Document} Moderated comment
+   */
+  static async moderate(commentId, adminId, { action, note }) {
+    const comment = await Comment.findById(commentId);
+    if (!comment) {
+      throw new ErrorResponse('Comment not found', 404);
+    }
+    if (comment.status === 'deleted') {
+      throw new ErrorResponse('This comment was deleted by its author', 400);
+    }
+
+    if (action === 'approve') {
+      comment.status = 'visible';
+      comment.heldReason = undefined;
+      comment.reportCount = 0;
+    } else if (action === 'remove') {
+      comment.status = 'removed';
+    } else {
+      throw new ErrorResponse('Action must be approve or remove', 400);
+    }
+
+    comment.moderatedBy = adminId;
+    comment.moderatedAt = new Date();
+    comment.moderationNote = note;
+    await comment.save();
+
+    return comment;
+  }
+
+  /**
+   * Move comments stored on campaign documents into the comments collection.
+   * Safe to run more than once.
+   * @returns {Number} Comments migrated
+   */
+  static async migrateEmbeddedComments() {
+    const campaigns = Campaign.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { comments: 1, creator: 1 } }
+    );
+    let migrated = 0;
+
+    for await (const campaign of campaigns) {
+      const operations = campaign.comments
+        .filter(comment => comment.user && comment.content)
+        .map(comment => ({
+          // Keyed on the embedded comment's ID so reruns do not duplicate it
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                campaign: campaign._id,
+                user: comment.user,
+                depth: 0,
+                content: comment.content.slice(0, MAX_LENGTH),
+                isCreator: Boolean(campaign.creator) && comment.user.toString() === campaign.creator.toString(),
+                status: 'visible',
+                reportCount: 0,
+                createdAt: comment.date || new Date(),
+              },
+            },
+            upsert: true,
+          },
+        }));
+
+      if (operations.length > 0) {
+        const result = await Comment.bulkWrite(operations, { ordered: false });
+        migrated += result.upsertedCount;
+      }
+
+      await Campaign.collection.updateOne({ _id: campaign._id }, { $unset: { comments: '' } });
+    }
+
+    return migrated;
+  }
+}
+
+CommentService.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = CommentService;
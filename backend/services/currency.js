@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Rate table: how many units of the base (platform) currency one unit of each currency buys.
+// Point EXCHANGE_RATES_FILE at another JSON file with the same shape to use different rates.
+const DEFAULT_RATES_FILE = path.join(__dirname, '../config/exchangeRates.json');
+
+// Names used when writing amounts in words
+const CURRENCY_UNITS = {
+  INR: { major: 'Rupees', minor: 'Paise' },
+  USD: { major: 'US Dollars', minor: 'Cents' },
+  EUR: { major: 'Euros', minor: 'Cents' },
+  GBP: { major: 'Pounds Sterling', minor: 'Pence' },
+  AED: { major: 'UAE Dirhams', minor: 'Fils' },
+  SGD: { major: 'Singapore Dollars', minor: 'Cents' },
+  AUD: { major: 'Australian Dollars', minor: 'Cents' },
+  CAD: { major: 'Canadian Dollars', minor: 'Cents' },
+};
+
+let table;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Load (and cache) the rate table
+const getRateTable = () => {
+  if (!table) {
+    const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+    table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return table;
+};
+
+// Currency all platform-wide totals are reported in
+const getPlatformCurrency = () => getRateTable().base;
+
+const getSupportedCurrencies = () => Object.keys(getRateTable().rates);
+
+const isSupportedCurrency = (currency) => Boolean(currency) && getSupportedCurrencies().includes(currency.toUpperCase());
+
+/**
+ * Exchange rate between two currencies
+ * @param {String} from - Currency converted from
+ * @param {String} to - Currency converted to
+ * @returns {Number} Units of `to` per unit of `from`
+ */
+const getRate = (from, to) => {
+  const { rates } = getRateTable();
+  const source = (from || getPlatformCurrency()).toUpperCase();
+  const target = (to || getPlatformCurrency()).toUpperCase();
+
+  if (!rates[source] || !rates[target]) {
+    throw new ErrorResponse(`Unsupported currency ${rates[source] ? target : source}`, 400);
+  }
+  if (source === target) return 1;
+
+  return Number((rates[source] / rates[target]).toFixed(8));
+};
+
+/**
+ * Convert an amount between currencies using the current rate table
+ * @returns {Object} { amount, rate }
+ */
+const convert = (amount, from, to) => {
+  const rate = getRate(from, to);
+  return { amount: round(amount * rate), rate };
+};
+
+// Amount in the platform currency
+const toPlatformAmount = (amount, currency) => convert(amount, currency, getPlatformCurrency()).amount;
+
+const getCurrencyUnits = (currency) => CURRENCY_UNITS[currency] || { major: currency, minor: 'Cents' };
+
+// Drop the cached table so the next lookup re-reads the file
+const reloadRates = () => {
+  table = null;
+  return getRateTable();
+};
+
+module.exports = {
+  getRateTable,
+  getPlatformCurrency,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  getRate,
+  convert,
+  toPlatformAmount,
+  getCurrencyUnits,
+  reloadRates,
+};
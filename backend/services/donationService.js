@@ -0,0 +1,727 @@
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const Campaign = require('../models/Campaign');
+const PaymentEvent = require('../models/PaymentEvent');
+const Refund = require('../models/Refund');
+const LedgerService = require('./ledgerService');
+const FeeService = require('./feeService');
+const MatchingService = require('./matchingService');
+const PayoutService = require('./payoutService');
+const ReceiptService = require('./receiptService');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPaymentGateway, PAYMENT_STATUS, WEBHOOK_EVENT } = require('./payments');
+const { convert, getPlatformCurrency, isSupportedCurrency } = require('./currency');
+
+// Donation status each payment webhook event moves to
+const EVENT_TRANSITIONS = {
+  [WEBHOOK_EVENT.PAYMENT_SUCCEEDED]: 'completed',
+  [WEBHOOK_EVENT.PAYMENT_FAILED]: 'failed',
+};
+
+class DonationService {
+
+  // Validate the campaign and amount for a new donation
+  static async validateDonation(campaignId, amount) {
+    const value = Number(amount);
+    if (!['number', 'string'].includes(typeof amount) || !Number.isFinite(value) || value <= 0) {
+      throw new ErrorResponse('Please provide a valid donation amount', 400);
+    }
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new ErrorResponse('Campaign not found', 404);
+    }
+
+    if (campaign.status !== 'active') {
+      throw new ErrorResponse('This campaign is not currently active', 400);
+    }
+
+    return campaign;
+  }
+
+  // Currency a donation is paid in: the donor's choice, or the campaign's own currency
+  static resolveCurrency(campaign, currency) {
+    if (currency !== undefined && currency !== null && currency !== '' && typeof currency !== 'string') {
+      throw new ErrorResponse('Please provide the currency as a currency code', 400);
+    }
+
+    const resolved = (currency || campaign.currency || getPlatformCurrency()).toUpperCase();
+
+    if (!isSupportedCurrency(resolved)) {
+      throw new ErrorResponse(`Donations in ${resolved} are not supported`, 400);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Snapshot the exchange rates for a donation so its campaign and platform amounts
+   * stay fixed even when the rate table is updated later
+   * @param {Document} campaign - Campaign donated to
+   * @param {Number} amount - Amount in the paid currency
+   * @param {String} currency - Paid currency
+   * @returns {Object} Donation fields: campaignCurrency, exchangeRate, campaignAmount, platformRate, platformAmount
+   */
+  static getCurrencySnapshot(campaign, amount, currency) {
+    const campaignCurrency = campaign.currency || getPlatformCurrency();
+    const toCampaign = convert(amount, currency, campaignCurrency);
+    const toPlatform = convert(amount, currency, getPlatformCurrency());
+
+    return {
+      campaignCurrency,
+      exchangeRate: toCampaign.rate,
+      campaignAmount: toCampaign.amount,
+      platformRate: toPlatform.rate,
+      platformAmount: toPlatform.amount,
+    };
+  }
+
+  /**
+   * Create a payment intent with the configured provider and a pending donation for it
+   * @param {Object} params - { campaignId, amount, currency, tip, donorId, guest, anonymous, message }
+   * @returns {Object} { donation, intent }
+   */
+  static async startDonation({ campaignId, amount, currency: requestedCurrency, tip, donorId, guest, anonymous, message }) {
+    const campaign = await this.validateDonation(campaignId, amount);
+    const currency = this.resolveCurrency(campaign, requestedCurrency);
+    const gateway = getPaymentGateway();
+    const fees = FeeService.calculateFees({
+      amount: Number(amount),
+      tip,
+      currency,
+      category: campaign.category,
+      provider: gateway.name,
+    });
+
+    // The donor is charged the donation plus any tip
+    const intent = await gateway.createIntent({
+      amount: Number(amount) + fees.tipAmount,
+      currency,
+      metadata: {
+        campaignId: campaign._id.toString(),
+        campaignTitle: campaign.title,
+        userId: donorId ? donorId.toString() : undefined,
+        guestEmail: guest ? guest.email : undefined,
+      },
+    });
+
+    const donation = await Donation.create({
+      campaign: campaign._id,
+      donor: donorId,
+      guest,
+      amount,
+      currency,
+      ...this.getCurrencySnapshot(campaign, amount, currency),
+      ...fees,
+      anonymous: Boolean(anonymous),
+      message,
+      status: 'pending',
+      provider: gateway.name,
+      paymentIntentId: intent.intentId,
+    });
+
+    return { donation, intent };
+  }
+
+  /**
+   * Confirm a pending donation with its provider and apply the resulting status
+   * @param {Document} donation - Pending donation
+   * @param {Object} payload - Provider-specific confirmation data from the client
+   * @returns {Document} Updated donation
+   */
+  static async confirmDonation(donation, payload = {}) {
+    if (donation.status !== 'pending') {
+      return donation;
+    }
+
+    const gateway = getPaymentGateway(donation.provider);
+    const result = await gateway.confirm(donation.paymentIntentId, payload);
+
+    return this.applyPaymentResult(donation, result);
+  }
+
+  // Re-check a pending donation against the provider
+  static async syncDonationStatus(donation) {
+    if (donation.status !== 'pending') {
+      return donation;
+    }
+
+    const gateway = getPaymentGateway(donation.provider);
+    const result = await gateway.fetchStatus(donation.paymentIntentId);
+
+    return this.applyPaymentResult(donation, result);
+  }
+
+  // Move a donation to completed/failed based on a normalized gateway result
+  static async applyPaymentResult(donation, result) {
+    if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+      // Providers that report their fee replace the estimate taken when the donation started
+      await this.transitionDonation(donation, 'completed', {
+        paymentId: result.paymentId,
+        gatewayFee: result.fee !== undefined ? Math.min(result.fee, donation.amount - donation.platformFee) : undefined,
+      });
+    } else if (result.status === PAYMENT_STATUS.FAILED) {
+      await this.transitionDonation(donation, 'failed', { failureReason: result.message || 'Payment failed' });
+    }
+
+    return donation;
+  }
+
+  /**
+   * Move a donation to a new status if the transition is allowed.
+   * Repeating the current status is a no-op, so replays are safe.
+   * @param {Document} donation - Donation to update
+   * @param {String} status - Target status
+   * @param {Object} details - Extra fields to set with the transition
+   * @returns {Boolean} Whether the donation changed
+   */
+  static async transitionDonation(donation, status, details = {}) {
+    if (donation.status === status) {
+      return false;
+    }
+
+    if (!Donation.canTransition(donation.status, status)) {
+      throw new ErrorResponse(`Cannot move donation from ${donation.status} to ${status}`, 409);
+    }
+
+    Object.entries(details).forEach(([key, value]) => {
+      if (value !== undefined) donation[key] = value;
+    });
+
+    if (status === 'completed' && !donation.completedAt) {
+      donation.completedAt = new Date();
+    }
+
+    if (status === 'completed' && !donation.receipt) {
+      donation.receipt = await ReceiptService.nextReceiptNumber(donation.completedAt);
+    }
+
+    donation.status = status;
+    await donation.save();
+
+    // Sponsor matches follow the donation; a failed match must not undo the payment
+    if (status === 'completed') {
+      try {
+        await MatchingService.matchDonation(donation);
+      } catch (error) {
+        console.error('Error matching donation:', error);
+      }
+    }
+
+    // Guests have no donation history to check, so their receipt is emailed
+    if (status === 'completed' && donation.guest && donation.guest.email) {
+      ReceiptService.sendGuestReceipt(donation).catch(error => {
+        console.error('Error emailing guest receipt:', error);
+      });
+    }
+
+    return true;
+  }
+
+  // Find the donation a normalized webhook event refers to
+  static async findDonationForEvent(provider, event) {
+    if (event.intentId) {
+      const donation = await Donation.findOne({ provider, paymentIntentId: event.intentId });
+      if (donation) return donation;
+    }
+
+    if (event.paymentId) {
+      return Donation.findOne({ provider, paymentId: event.paymentId });
+    }
+
+    return null;
+  }
+
+  /**
+   * Record and apply a verified webhook event exactly once
+   * @param {String} provider - Provider name
+   * @param {Object} event - Normalized event from gateway.parseWebhook
+   * @param {Object} payload - Raw event body, stored for auditing
+   * @returns {Object} { duplicate, status }
+   */
+  static async handlePaymentEvent(provider, event, payload) {
+    let record;
+
+    try {
+      record = await PaymentEvent.create({
+        provider,
+        eventId: event.id,
+        type: event.type,
+        payload,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Only an event whose earlier processing failed may be retried
+      record = await PaymentEvent.findOneAndUpdate(
+        { provider, eventId: event.id, status: 'failed' },
+        { status: 'received', error: null },
+        { new: true }
+      );
+      if (!record) {
+        return { duplicate: true, status: 'processed' };
+      }
+    }
+
+    try {
+      const status = await this.applyPaymentEvent(provider, event, record);
+
+      record.status = status;
+      record.processedAt = new Date();
+      await record.save();
+
+      return { duplicate: false, status };
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  static async applyPaymentEvent(provider, event, record) {
+    if (event.type === WEBHOOK_EVENT.IGNORED) {
+      return 'ignored';
+    }
+
+    if (event.type === WEBHOOK_EVENT.PAYOUT_PAID || event.type === WEBHOOK_EVENT.PAYOUT_FAILED) {
+      return PayoutService.applyPayoutEvent(provider, event, record);
+    }
+
+    const donation = await this.findDonationForEvent(provider, event);
+    if (!donation) {
+      console.warn(`Payment webhook ${event.id} (${event.type}) has no matching donation`);
+      return 'ignored';
+    }
+
+    record.donation = donation._id;
+
+    switch (event.type) {
+      case WEBHOOK_EVENT.REFUND_SUCCEEDED:
+        return this.applyRefundEvent(donation, event);
+      case WEBHOOK_EVENT.DISPUTE_CREATED:
+        return this.openDispute(donation);
+      case WEBHOOK_EVENT.DISPUTE_WON:
+        return this.closeDispute(donation, true);
+      case WEBHOOK_EVENT.DISPUTE_LOST:
+        return this.closeDispute(donation, false);
+      default:
+        break;
+    }
+
+    const targetStatus = EVENT_TRANSITIONS[event.type];
+
+    // Late or out-of-order events (e.g. a failure after success) are recorded but not applied
+    if (donation.status !== targetStatus && !Donation.canTransition(donation.status, targetStatus)) {
+      return 'ignored';
+    }
+
+    await this.transitionDonation(donation, targetStatus, {
+      paymentId: event.paymentId || donation.paymentId,
+      failureReason: targetStatus === 'failed' ? (event.message || 'Payment failed') : undefined,
+    });
+
+    return 'processed';
+  }
+
+  /**
+   * Refund a donation through its payment provider, fully or partially
+   * @param {Document} donation - Completed or partially refunded donation
+   * @param {Object} params - { amount, reason, initiatedBy, initiatorRole }
+   * @returns {Document} Refund record
+   */
+  static async refundDonation(donation, { amount, reason, initiatedBy, initiatorRole }) {
+    if (!Donation.CREDITED_STATUSES.includes(donation.status)) {
+      throw new ErrorResponse(`A ${donation.status} donation cannot be refunded`, 400);
+    }
+
+    const remaining = donation.amount - donation.refundedAmount;
+    const refundAmount = amount === undefined || amount === null || amount === '' ? remaining : Number(amount);
+
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      throw new ErrorResponse(`Refund amount must be between 0 and ${remaining}`, 400);
+    }
+
+    // Donors cannot take back money the creator has already withdrawn; admins can, and the shortfall is recorded
+    const shortfall = await this.getFundsShortfall(donation, refundAmount);
+    if (shortfall > 0 && initiatorRole === 'donor') {
+      throw new ErrorResponse('This campaign has already withdrawn these funds, so the refund cannot be made automatically. Please contact support.', 409);
+    }
+
+    const refund = await this.reserveRefund(donation, refundAmount, {
+      reason,
+      initiatedBy,
+      initiatorRole,
+      provider: donation.provider,
+      shortfall,
+    });
+
+    let result;
+    try {
+      const gateway = getPaymentGateway(donation.provider);
+      result = await gateway.refund(donation.paymentId, {
+        amount: refundAmount,
+        currency: donation.currency,
+        metadata: { donationId: donation._id.toString(), refundId: refund._id.toString() },
+      });
+    } catch (error) {
+      await this.failRefund(refund, error.message);
+      throw error;
+    }
+
+    refund.providerRefundId = result.refundId;
+    await refund.save();
+
+    if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+      return this.completeRefund(refund);
+    }
+    if (result.status === PAYMENT_STATUS.FAILED) {
+      return this.failRefund(refund, 'Refund was declined by the payment provider');
+    }
+
+    // Still processing: the refund webhook completes it
+    return refund;
+  }
+
+  /**
+   * How much of an amount taken back from a donation the campaign can no longer cover,
+   * because its ledger balance has been paid out or is committed to payouts in progress
+   * @param {Document} donation - Donation
+   * @param {Number} amount - Amount in the currency the donation was paid in
+   * @returns {Number} Shortfall in the campaign currency, 0 when fully covered
+   */
+  static async getFundsShortfall(donation, amount) {
+    // Uncredited (e.g. disputed) donations were already taken out of the campaign
+    if (donation.campaignCredited === false) return 0;
+
+    const { available } = await PayoutService.getRefundableBalance(donation.campaign);
+    const shortfall = donation.toCampaignAmount(amount) - available;
+
+    return shortfall > 0 ? Math.round(shortfall * 100) / 100 : 0;
+  }
+
+  // Record a pending refund, reserving the amount on the donation so concurrent refunds cannot exceed it.
+  // Refunds larger than what the campaign still holds record the shortfall.
+  static async reserveRefund(donation, amount, { shortfall: checkedShortfall, ...details }) {
+    const shortfall = checkedShortfall !== undefined ? checkedShortfall : await this.getFundsShortfall(donation, amount);
+    if (shortfall > 0) {
+      console.warn(`Refund of donation ${donation._id} exceeds the funds campaign ${donation.campaign} holds by ${shortfall}`);
+    }
+
+    const reserved = await Donation.findOneAndUpdate(
+      {
+        _id: donation._id,
+        status: { $in: [...Donation.CREDITED_STATUSES, 'disputed'] },
+        $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, '$amount'] },
+      },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+
+    if (!reserved) {
+      throw new ErrorResponse('Refund amount exceeds the refundable balance of this donation', 409);
+    }
+    donation.refundedAmount = reserved.refundedAmount;
+
+    return Refund.create({
+      donation: donation._id,
+      campaign: donation.campaign,
+      donor: donation.donor,
+      amount,
+      shortfall: shortfall > 0 ? shortfall : undefined,
+      ...details,
+    });
+  }
+
+  // Release the reserved amount of a refund that did not go through
+  static async failRefund(refund, reason) {
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { status: 'failed', failureReason: reason, processedAt: new Date() },
+      { new: true }
+    );
+
+    if (claimed) {
+      await Donation.updateOne({ _id: claimed.donation }, { $inc: { refundedAmount: -claimed.amount } });
+    }
+
+    return claimed || refund;
+  }
+
+  // Mark a pending refund succeeded and reverse it from the campaign exactly once
+  static async completeRefund(refund) {
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { status: 'succeeded', processedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return refund;
+    }
+
+    const donation = await Donation.findById(claimed.donation);
+    const fullyRefunded = donation.refundedAmount >= donation.amount;
+
+    // Disputed donations were already taken out of the campaign totals
+    if (donation.campaignCredited !== false) {
+      await this.debitCampaign(donation, claimed.amount, fullyRefunded, {
+        transactionId: `refund:${claimed._id}`,
+        type: claimed.type,
+        refund: claimed._id,
+        memo: claimed.reason,
+      });
+    }
+
+    await FeeService.refundPlatformFee(donation, claimed);
+    await MatchingService.reverseForRefund(donation, claimed);
+
+    if (donation.status !== 'disputed') {
+      await this.transitionDonation(donation, fullyRefunded ? 'refunded' : 'partially_refunded');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Take an amount out of the campaign totals of a credited donation through the ledger.
+   * Removing the backer also clears campaignCredited, and only happens once.
+   * @param {Document} donation - Credited donation
+   * @param {Number} amount - Amount to debit, in the currency the donation was paid in
+   * @param {Boolean} removeBacker - Whether the donation stops counting as a backer
+   * @param {Object} transaction - { transactionId, type, refund }
+   */
+  static async debitCampaign(donation, amount, removeBacker, transaction) {
+    if (removeBacker) {
+      const claimed = await Donation.updateOne(
+        { _id: donation._id, campaignCredited: { $ne: false } },
+        { $set: { campaignCredited: false } }
+      );
+      if (claimed.modifiedCount === 0) return;
+
+      donation.campaignCredited = false;
+      await Campaign.findByIdAndUpdate(donation.campaign, { $inc: { backers: -1 } });
+    }
+
+    await LedgerService.recordCampaignMovement({
+      direction: 'debit',
+      amount: donation.toCampaignAmount(amount),
+      campaign: donation.campaign,
+      donation: donation._id,
+      ...transaction,
+    });
+  }
+
+  // Refund webhooks finish refunds we started, or record ones issued from the provider dashboard
+  static async applyRefundEvent(donation, event) {
+    let refund = event.refundId
+      ? await Refund.findOne({ provider: donation.provider, providerRefundId: event.refundId })
+      : null;
+
+    if (!refund) {
+      if (!Donation.CREDITED_STATUSES.includes(donation.status)) {
+        return 'ignored';
+      }
+
+      const remaining = donation.amount - donation.refundedAmount;
+      refund = await this.reserveRefund(donation, Math.min(event.amount || remaining, remaining), {
+        reason: 'Refunded through payment provider',
+        initiatorRole: 'system',
+        provider: donation.provider,
+        providerRefundId: event.refundId,
+      });
+    }
+
+    if (refund.status !== 'pending') {
+      return 'ignored';
+    }
+
+    await this.completeRefund(refund);
+    return 'processed';
+  }
+
+  // A chargeback takes the remaining amount out of the campaign while the dispute is open
+  static async openDispute(donation) {
+    if (!Donation.canTransition(donation.status, 'disputed')) {
+      return 'ignored';
+    }
+
+    await this.transitionDonation(donation, 'disputed');
+
+    if (donation.campaignCredited !== false) {
+      const disputes = await PaymentEvent.countDocuments({ donation: donation._id, type: WEBHOOK_EVENT.DISPUTE_CREATED });
+      const amount = donation.amount - donation.refundedAmount;
+      const shortfall = await this.getFundsShortfall(donation, amount);
+      if (shortfall > 0) {
+        console.warn(`Dispute on donation ${donation._id} exceeds the funds campaign ${donation.campaign} holds by ${shortfall}`);
+      }
+
+      await this.debitCampaign(donation, amount, true, {
+        transactionId: `dispute-opened:${donation._id}:${disputes}`,
+        type: 'chargeback',
+        memo: shortfall > 0 ? `Payment disputed; ${shortfall} more than the campaign held` : 'Payment disputed',
+      });
+    }
+
+    return 'processed';
+  }
+
+  // Won disputes restore the donation (and its credit); lost ones become chargebacks
+  static async closeDispute(donation, won) {
+    if (donation.status !== 'disputed') {
+      return 'ignored';
+    }
+
+    if (won) {
+      // The post-save hook credits the campaign again
+      await this.transitionDonation(donation, donation.refundedAmount > 0 ? 'partially_refunded' : 'completed');
+      return 'processed';
+    }
+
+    const remaining = donation.amount - donation.refundedAmount;
+    if (remaining > 0) {
+      const chargeback = await this.reserveRefund(donation, remaining, {
+        type: 'chargeback',
+        reason: 'Dispute lost',
+        initiatorRole: 'system',
+        provider: donation.provider,
+      });
+      await this.completeRefund(chargeback);
+    }
+
+    const updated = await Donation.findById(donation._id);
+    await this.transitionDonation(updated, 'refunded');
+    return 'processed';
+  }
+
+  /**
+   * Refund every donor of a campaign in full
+   * @param {String} campaignId - Campaign ID
+   * @param {Object} params - { reason, initiatedBy }
+   * @returns {Object} Summary of refunds issued
+   */
+  static async refundAllDonations(campaignId, { reason, initiatedBy }) {
+    const donations = await Donation.find({
+      campaign: campaignId,
+      status: { $in: Donation.CREDITED_STATUSES },
+    });
+
+    const summary = { total: donations.length, succeeded: 0, pending: 0, failed: 0, amount: 0, errors: [] };
+
+    for (const donation of donations) {
+      try {
+        const refund = await this.refundDonation(donation, {
+          reason,
+          initiatedBy,
+          initiatorRole: 'admin',
+        });
+
+        if (refund.status === 'succeeded') {
+          summary.succeeded++;
+          summary.amount += refund.amount;
+        } else {
+          summary.pending++;
+        }
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ donationId: donation._id, message: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Attach guest donations made with a user's email to their account
+   * @param {Document} user - Logged in user
+   * @param {String} email - Email proven by a claim token
+   * @returns {Number} Number of donations claimed
+   */
+  static async claimGuestDonations(user, email) {
+    if (!email || email.toLowerCase() !== user.email.toLowerCase()) {
+      throw new ErrorResponse('This claim link was issued for a different email address', 403);
+    }
+
+    const result = await Donation.updateMany(
+      { 'guest.email': email.toLowerCase(), donor: { $exists: false } },
+      { $set: { donor: user._id, claimedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Everyone who has given to a campaign: account holders, and guests who have not claimed their donations
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} { userIds, guestEmails }
+   */
+  static async getCampaignDonors(campaignId) {
+    const query = { campaign: campaignId, status: { $in: Donation.CREDITED_STATUSES } };
+
+    const [userIds, guestEmails] = await Promise.all([
+      Donation.distinct('donor', { ...query, donor: { $exists: true, $ne: null } }),
+      Donation.distinct('guest.email', { ...query, donor: { $exists: false }, 'guest.email': { $exists: true } }),
+    ]);
+
+    return { userIds, guestEmails };
+  }
+
+  // Public view of a donation: anonymous donors are never named or linked
+  static toDonorWallEntry(donation) {
+    const donor = donation.donor && !donation.anonymous ? donation.donor : null;
+    const guestName = donation.guest && !donation.anonymous ? donation.guest.name : null;
+
+    return {
+      _id: donation._id,
+      name: donor ? donor.name : (guestName || 'Anonymous'),
+      donorId: donor ? donor._id : undefined,
+      anonymous: Boolean(donation.anonymous),
+      amount: donation.amount - (donation.refundedAmount || 0),
+      currency: donation.currency,
+      message: donation.message,
+      date: donation.completedAt || donation.createdAt,
+    };
+  }
+
+  /**
+   * Top and most recent supporters of a campaign
+   * @param {String} campaignId - Campaign ID
+   * @param {Object} options - { page, limit, topLimit }
+   * @returns {Object} { top, recent, total }
+   */
+  static async getDonorWall(campaignId, { page = 1, limit = 20, topLimit = 10 } = {}) {
+    const query = { campaign: campaignId, status: { $in: Donation.CREDITED_STATUSES } };
+
+    const [top, recent, total] = await Promise.all([
+      Donation.aggregate([
+        { $match: { ...query, campaign: new mongoose.Types.ObjectId(campaignId.toString()) } },
+        // Rank in the campaign currency so donations paid in different currencies compare fairly
+        {
+          $addFields: {
+            netAmount: {
+              $multiply: [
+                { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] },
+                { $ifNull: ['$exchangeRate', 1] },
+              ],
+            },
+          },
+        },
+        { $sort: { netAmount: -1, createdAt: 1 } },
+        { $limit: topLimit },
+      ]).then(items => Donation.populate(items, { path: 'donor', select: 'name' })),
+      Donation.find(query)
+        .populate('donor', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Donation.countDocuments(query),
+    ]);
+
+    return {
+      top: top.map(donation => this.toDonorWallEntry(donation)),
+      recent: recent.map(donation => this.toDonorWallEntry(donation)),
+      total,
+    };
+  }
+}
+
+module.exports = DonationService;
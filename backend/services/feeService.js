@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const LedgerService = require('./ledgerService');
+const ErrorResponse = require('../utils/errorResponse');
+const { convert, getPlatformCurrency } = require('./currency');
+
+// Fee schedule. Percentages apply to the donation amount; flat fees are in the platform currency.
+// Point FEES_FILE at another JSON file with the same shape to change the schedule.
+const DEFAULT_FEES_FILE = path.join(__dirname, '../config/fees.json');
+
+let schedule;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class FeeService {
+
+  // Load (and cache) the fee schedule
+  static getSchedule() {
+    if (!schedule) {
+      const file = process.env.FEES_FILE || DEFAULT_FEES_FILE;
+      schedule = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return schedule;
+  }
+
+  // Drop the cached schedule so the next lookup re-reads the file
+  static reloadSchedule() {
+    schedule = null;
+    return this.getSchedule();
+  }
+
+  // Platform fee rule for a category: the platform default with the category's overrides applied
+  static getPlatformFeeRule(category) {
+    const { platform = {}, categories = {} } = this.getSchedule();
+    return { percent: 0, flat: 0, ...platform, ...categories[category] };
+  }
+
+  // Estimated provider fee rule, used until the provider reports the actual fee
+  static getGatewayFeeRule(provider) {
+    const { gateways = {} } = this.getSchedule();
+    return { percent: 0, flat: 0, ...gateways[provider] };
+  }
+
+  // Apply a { percent, flat } rule to an amount in the given currency
+  static applyRule(rule, amount, currency) {
+    const flat = rule.flat ? convert(rule.flat, getPlatformCurrency(), currency).amount : 0;
+    return round(amount * (rule.percent / 100) + flat);
+  }
+
+  /**
+   * Fees for a donation, in the currency it is paid in.
+   * The platform and gateway fees come out of the donation; the tip is paid on top of it.
+   * @param {Object} params - { amount, tip, currency, category, provider }
+   * @returns {Object} { tipAmount, platformFee, gatewayFee }
+   */
+  static calculateFees({ amount, tip, currency, category, provider }) {
+    const tipAmount = tip ? round(Number(tip)) : 0;
+    const { tip: tipRules = {} } = this.getSchedule();
+
+    if (!(tipAmount >= 0)) {
+      throw new ErrorResponse('Please provide a valid tip amount', 400);
+    }
+    if (tipRules.maxPercent !== undefined && tipAmount > round(amount * tipRules.maxPercent / 100)) {
+      throw new ErrorResponse(`Tips cannot be more than ${tipRules.maxPercent}% of the donation`, 400);
+    }
+
+    // Fees never take more than the donation itself
+    const platformFee = Math.min(this.applyRule(this.getPlatformFeeRule(category), amount, currency), amount);
+    const gatewayFee = Math.min(
+      this.applyRule(this.getGatewayFeeRule(provider), amount + tipAmount, currency),
+      round(amount - platformFee)
+    );
+
+    return { tipAmount, platformFee, gatewayFee };
+  }
+
+  /**
+   * Post a completed donation's tip and fees to the ledger. Fees come out of the campaign's
+   * funds but not its raised amount, so campaigns show the gross raised and the net available.
+   * Each posting is keyed by the donation, so this only ever counts once.
+   * @param {Document} donation - Donation that has just been credited to its campaign
+   * @param {Object} options - { session } to post the fees in the caller's database transaction
+   */
+  static async recordDonationFees(donation, { session } = {}) {
+    const common = { campaign: donation.campaign, donation: donation._id, session };
+
+    if (donation.tipAmount > 0) {
+      await LedgerService.postTransaction({
+        ...common,
+        transactionId: `tip:${donation._id}`,
+        type: 'tip',
+        debit: 'gateway_clearing',
+        credit: 'platform_revenue',
+        amount: donation.toCampaignAmount(donation.tipAmount),
+        memo: 'Donor tip',
+      });
+    }
+
+    if (donation.platformFee > 0) {
+      await LedgerService.recordCampaignMovement({
+        ...common,
+        direction: 'debit',
+        counterAccount: 'platform_revenue',
+        transactionId: `platform-fee:${donation._id}`,
+        type: 'platform_fee',
+        amount: donation.toCampaignAmount(donation.platformFee),
+      });
+    }
+
+    if (donation.gatewayFee > 0) {
+      await LedgerService.recordCampaignMovement({
+        ...common,
+        direction: 'debit',
+        transactionId: `gateway-fee:${donation._id}`,
+        type: 'gateway_fee',
+        amount: donation.toCampaignAmount(donation.gatewayFee),
+      });
+    }
+  }
+
+  /**
+   * Give back the share of the platform fee on a refunded amount. Provider fees are not
+   * returned by the providers, so they stay with the campaign.
+   * @param {Document} donation - Refunded donation
+   * @param {Document} refund - Completed refund
+   * @returns {Number} Platform fee returned, in the paid currency
+   */
+  static async refundPlatformFee(donation, refund) {
+    const remaining = round((donation.platformFee || 0) - (donation.platformFeeRefunded || 0));
+    if (!(remaining > 0)) return 0;
+
+    // The last refund returns whatever is left so rounding never strands a paisa
+    const fullyRefunded = donation.refundedAmount >= donation.amount;
+    const share = fullyRefunded
+      ? remaining
+      : Math.min(round(donation.platformFee * refund.amount / donation.amount), remaining);
+    if (!(share > 0)) return 0;
+
+    const posted = await LedgerService.recordCampaignMovement({
+      direction: 'credit',
+      counterAccount: 'platform_revenue',
+      transactionId: `platform-fee-refund:${refund._id}`,
+      type: 'platform_fee',
+      amount: donation.toCampaignAmount(share),
+      campaign: donation.campaign,
+      donation: donation._id,
+      refund: refund._id,
+      memo: 'Platform fee returned on refund',
+    });
+
+    if (posted) {
+      // Looked up lazily: the Donation model uses this service in its post-save hook
+      const Donation = mongoose.model('Donation');
+      await Donation.updateOne({ _id: donation._id }, { $inc: { platformFeeRefunded: share } });
+      donation.platformFeeRefunded = round((donation.platformFeeRefunded || 0) + share);
+    }
+
+    return posted ? share : 0;
+  }
+}
+
+module.exports = FeeService;
@@ -0,0 +1,299 @@
+const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Bookmark = require('../models/Bookmark');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Publicly visible campaigns: the only ones that can be followed or bookmarked or appear in the following feed
+const PUBLIC_STATUSES = ['active', 'completed'];
+
+// How far back the following feed looks
+const getFeedDays = () => parseInt(process.env.FOLLOWING_FEED_DAYS, 10) || 90;
+
+// Campaigns read per feed request; a user rarely follows more
+const MAX_FEED_CAMPAIGNS = 500;
+
+const CAMPAIGN_FIELDS = 'title description category imageUrl goalAmount raisedAmount currency endDate status isEmergency backers creator createdAt';
+
+const EXCERPT_LENGTH = 300;
+
+// Ignore duplicate key errors, so following twice is the same as following once
+const ignoreDuplicate = (error) => {
+  if (error.code !== 11000) throw error;
+};
+
+class FollowService {
+
+  // A campaign that can be followed or bookmarked. Drafts, campaigns awaiting review and rejected ones are not public.
+  static async findPublicCampaign(campaignId) {
+    const campaign = await Campaign.findById(campaignId, 'title status creator');
+    if (!campaign || !PUBLIC_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse('Campaign not found', 404);
+    }
+    return campaign;
+  }
+
+  // Any existing campaign, so follows and bookmarks can be removed after it stops being public
+  static async findCampaign(campaignId) {
+    const campaign = await Campaign.findById(campaignId, '_id');
+    if (!campaign) {
+      throw new ErrorResponse('Campaign not found', 404);
+    }
+    return campaign;
+  }
+
+  /**
+   * Follow a campaign, to hear about its updates and deadline
+   * @param {String} userId - Follower
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} { following, followers }
+   */
+  static async followCampaign(userId, campaignId) {
+    const campaign = await this.findPublicCampaign(campaignId);
+    if (campaign.creator.equals(userId)) {
+      throw new ErrorResponse('You cannot follow your own campaign', 400);
+    }
+
+    await Follow.create({ user: userId, campaign: campaign._id }).catch(ignoreDuplicate);
+
+    return { following: true, followers: await Follow.countDocuments({ campaign: campaign._id }) };
+  }
+
+  static async unfollowCampaign(userId, campaignId) {
+    const campaign = await this.findCampaign(campaignId);
+    await Follow.deleteOne({ user: userId, campaign: campaign._id });
+
+    return { following: false, followers: await Follow.countDocuments({ campaign: campaign._id }) };
+  }
+
+  /**
+   * Follow a creator, to see their new campaigns and updates in the following feed
+   * @param {String} userId - Follower
+   * @param {String} creatorId - User ID of the creator
+   * @returns {Object} { following, followers }
+   */
+  static async followCreator(userId, creatorId) {
+    const creator = await User.findById(creatorId, '_id');
+    if (!creator) {
+      throw new ErrorResponse('User not found', 404);
+    }
+    if (creator._id.equals(userId)) {
+      throw new ErrorResponse('You cannot follow yourself', 400);
+    }
+
+    await Follow.create({ user: userId, creator: creator._id }).catch(ignoreDuplicate);
+
+    return { following: true, followers: await Follow.countDocuments({ creator: creator._id }) };
+  }
+
+  static async unfollowCreator(userId, creatorId) {
+    const creator = await User.findById(creatorId, '_id');
+    if (!creator) {
+      throw new ErrorResponse('User not found', 404);
+    }
+
+    await Follow.deleteOne({ user: userId, creator: creator._id });
+
+    return { following: false, followers: await Follow.countDocuments({ creator: creator._id }) };
+  }
+
+  /**
+   * Save a campaign to the user's bookmarks
+   * @param {String} userId - User ID
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} { bookmarked, bookmarks }
+   */
+  static async bookmarkCampaign(userId, campaignId) {
+    const campaign = await this.findPublicCampaign(campaignId);
+    await Bookmark.create({ user: userId, campaign: campaign._id }).catch(ignoreDuplicate);
+
+    return { bookmarked: true, bookmarks: await Bookmark.countDocuments({ campaign: campaign._id }) };
+  }
+
+  static async removeBookmark(userId, campaignId) {
+    const campaign = await this.findCampaign(campaignId);
+    await Bookmark.deleteOne({ user: userId, campaign: campaign._id });
+
+    return { bookmarked: false, bookmarks: await Bookmark.countDocuments({ campaign: campaign._id }) };
+  }
+
+  /**
+   * Follower and bookmark counts for a campaign's detail page, with what the viewer has done
+   * @param {Document} campaign - Campaign
+   * @param {String} viewerId - Signed-in user, if any
+   * @returns {Object} { followers, creatorFollowers, bookmarks, viewer }
+   */
+  static async getCampaignCounts(campaign, viewerId) {
+    const creatorId = campaign.creator && campaign.creator._id ? campaign.creator._id : campaign.creator;
+
+    // A deleted creator has no followers; querying with a null creator would match every campaign follow
+    const [followers, creatorFollowers, bookmarks, viewer] = await Promise.all([
+      Follow.countDocuments({ campaign: campaign._id }),
+      creatorId ? Follow.countDocuments({ creator: creatorId }) : 0,
+      Bookmark.countDocuments({ campaign: campaign._id }),
+      viewerId
+        ? Promise.all([
+          Follow.exists({ user: viewerId, campaign: campaign._id }),
+          creatorId ? Follow.exists({ user: viewerId, creator: creatorId }) : null,
+          Bookmark.exists({ user: viewerId, campaign: campaign._id }),
+        ]).then(([following, followingCreator, bookmarked]) => ({
+          following: Boolean(following),
+          followingCreator: Boolean(followingCreator),
+          bookmarked: Boolean(bookmarked),
+        }))
+        : null,
+    ]);
+
+    return { followers, creatorFollowers, bookmarks, viewer };
+  }
+
+  /**
+   * Campaigns and creators a user follows, most recently followed first
+   * @param {String} userId - User ID
+   * @returns {Object} { campaigns: [{ campaign, followedAt }], creators: [{ creator, followedAt }] }
+   */
+  static async getFollowing(userId) {
+    const follows = await Follow.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .populate({ path: 'campaign', select: CAMPAIGN_FIELDS, populate: { path: 'creator', select: 'name' } })
+      .populate('creator', 'name');
+
+    return {
+      // Campaigns that are no longer public or have been deleted are left out
+      campaigns: follows
+        .filter(follow => follow.campaign && PUBLIC_STATUSES.includes(follow.campaign.status))
+        .map(follow => ({ campaign: follow.campaign, followedAt: follow.createdAt })),
+      creators: follows
+        .filter(follow => follow.creator)
+        .map(follow => ({ creator: follow.creator, followedAt: follow.createdAt })),
+    };
+  }
+
+  /**
+   * A page of a user's bookmarked campaigns, most recently saved first
+   * @param {String} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { total, bookmarks: [{ campaign, bookmarkedAt }] }
+   */
+  static async getBookmarks(userId, { page = 1, limit = 20 } = {}) {
+    const [total, bookmarks] = await Promise.all([
+      Bookmark.countDocuments({ user: userId }),
+      Bookmark.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({ path: 'campaign', select: CAMPAIGN_FIELDS, populate: { path: 'creator', select: 'name' } }),
+    ]);
+
+    return {
+      total,
+      bookmarks: bookmarks
+        .filter(bookmark => bookmark.campaign && PUBLIC_STATUSES.includes(bookmark.campaign.status))
+        .map(bookmark => ({ campaign: bookmark.campaign, bookmarkedAt: bookmark.createdAt })),
+    };
+  }
+
+  /**
+   * Users to tell about news on a campaign: those following it or its creator,
+   * and optionally those who bookmarked it. The creator is never included.
+   * @param {Document} campaign - Campaign
+   * @param {Object} options - { bookmarks }
+   * @returns {Array} User IDs
+   */
+  static async getAudience(campaign, { bookmarks = false } = {}) {
+    const [follows, saved] = await Promise.all([
+      Follow.find({ $or: [{ campaign: campaign._id }, { creator: campaign.creator }] }, 'user'),
+      bookmarks ? Bookmark.find({ campaign: campaign._id }, 'user') : [],
+    ]);
+
+    const userIds = new Map();
+    [...follows, ...saved].forEach(({ user }) => userIds.set(user.toString(), user));
+    userIds.delete(campaign.creator.toString());
+
+    return [...userIds.values()];
+  }
+
+  /**
+   * News from the campaigns and creators a user follows: new campaigns launched by
+   * followed creators and updates posted on followed campaigns, newest first.
+   * @param {String} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { total, items: [{ type, date, campaign, update, via }] }
+   */
+  static async getFollowingFeed(userId, { page = 1, limit = 20 } = {}) {
+    const follows = await Follow.find({ user: userId }, 'campaign creator');
+    const campaignIds = follows.filter(follow => follow.campaign).map(follow => follow.campaign);
+    const creatorIds = follows.filter(follow => follow.creator).map(follow => follow.creator);
+
+    if (follows.length === 0) {
+      return { total: 0, items: [] };
+    }
+
+    const since = new Date(Date.now() - getFeedDays() * DAY_MS);
+    const campaigns = await Campaign.find({
+      status: { $in: PUBLIC_STATUSES },
+      $or: [{ _id: { $in: campaignIds } }, { creator: { $in: creatorIds } }],
+    })
+      .select(`${CAMPAIGN_FIELDS} updates statusHistory`)
+      .populate('creator', 'name')
+      .sort({ createdAt: -1 })
+      .limit(MAX_FEED_CAMPAIGNS);
+
+    const followedCampaigns = new Set(campaignIds.map(id => id.toString()));
+    const followedCreators = new Set(creatorIds.map(id => id.toString()));
+
+    const items = [];
+    // Campaigns whose creator account no longer exists are left out
+    campaigns.filter(campaign => campaign.creator).forEach(campaign => {
+      const followsCampaign = followedCampaigns.has(campaign._id.toString());
+      const followsCreator = followedCreators.has(campaign.creator._id.toString());
+      const via = followsCampaign ? 'campaign' : 'creator';
+
+      const summary = campaign.toJSON();
+      delete summary.updates;
+      delete summary.statusHistory;
+
+      // New campaigns come from followed creators, dated from when they went live
+      if (followsCreator && campaign.status === 'active') {
+        const launch = campaign.statusHistory.find(entry => entry.to === 'active');
+        const launchedAt = launch ? launch.at : campaign.createdAt;
+        if (launchedAt >= since) {
+          items.push({ type: 'new_campaign', date: launchedAt, campaign: summary, via: 'creator' });
+        }
+      }
+
+      campaign.updates
+        .filter(update => update.date >= since)
+        .forEach(update => {
+          items.push({
+            type: 'campaign_update',
+            date: update.date,
+            campaign: summary,
+            update: {
+              _id: update._id,
+              title: update.title,
+              content: update.content && update.content.length > EXCERPT_LENGTH
+                ? `${update.content.slice(0, EXCERPT_LENGTH)}...`
+                : update.content,
+              images: update.images,
+              editedAt: update.editedAt,
+            },
+            via,
+          });
+        });
+    });
+
+    items.sort((a, b) => b.date - a.date);
+
+    return {
+      total: items.length,
+      items: items.slice((page - 1) * limit, page * limit),
+    };
+  }
+}
+
+FollowService.PUBLIC_STATUSES = PUBLIC_STATUSES;
+
+module.exports = FollowService;
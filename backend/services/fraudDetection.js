@@ -1,13 +1,40 @@
 const mongoose = require('mongoose');
 const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const { normalizeRegion, distanceKm } = require('../utils/geo');
+const { toPlatformAmount } = require('./currency');
+
+// Critical fraud keywords (immediate high scores)
+const CRITICAL_WORDS = [
+  'guaranteed money', 'easy cash', 'investment opportunity', 'get rich quick',
+  'wire transfer', 'paypal only', 'no questions asked', 'act fast',
+  'limited time offer', 'secret method', 'exclusive deal', 'make money fast'
+];
+
+// High-risk fraud phrases
+const FRAUD_PHRASES = [
+  'send money', 'wire transfer', 'paypal only', 'cash only',
+  'no questions asked', 'trust me', 'guaranteed return',
+  'act fast', 'limited time', 'secret method', 'exclusive opportunity',
+  'contact me privately', 'send to my account', 'western union'
+];
+
+// Chain-letter and copied content phrases
+const SPAM_PHRASES = [
+  'copy and paste', 'share this post', 'forward this message',
+  'please share', 'viral post', 'true story', 'this really happened',
+  'based on true events', 'repost if you care'
+];
 
 class FraudDetectionService {
   
   // Main fraud detection function
   static async analyzeCampaign(campaignData) {
     try {
-      const fraudScore = await this.calculateFraudScore(campaignData);
-      const fraudIndicators = await this.getFraudIndicators(campaignData);
+      // Pattern analysis queries other campaigns, so it runs once for the score and the indicators
+      const patterns = await this.analyzePatternDetails(campaignData);
+      const fraudScore = await this.calculateFraudScore(campaignData, patterns);
+      const fraudIndicators = await this.getFraudIndicators(campaignData, patterns);
       const riskFactors = await this.getDetailedRiskFactors(campaignData);
       
       return {
@@ -36,7 +63,7 @@ class FraudDetectionService {
   }
 
   // Enhanced fraud score calculation with optimized sensitivity
-  static async calculateFraudScore(campaign) {
+  static async calculateFraudScore(campaign, patterns) {
     let totalScore = 0;
     let maxPossibleScore = 0;
     
@@ -53,9 +80,9 @@ class FraudDetectionService {
     const titleScore = await this.analyzeTitleFraud(campaign.title);
     const descScore = this.analyzeDescriptionFraud(campaign.description);
     const storyScore = await this.analyzeStoryFraud(campaign.story);
-    const amountScore = this.analyzeAmountFraud(campaign.goalAmount, campaign.category);
+    const amountScore = this.analyzeAmountFraud(this.getPlatformGoal(campaign), campaign.category);
     const creatorScore = await this.analyzeCreatorHistory(campaign.creator);
-    const patternScore = await this.analyzePatterns(campaign);
+    const patternScore = patterns ? patterns.score : await this.analyzePatterns(campaign);
     
     // Apply weights and calculate final score
     totalScore += titleScore * weights.title;
@@ -91,18 +118,19 @@ class FraudDetectionService {
     return Math.min(totalScore, 100);
   }
 
+  // Spam and scam phrases found in free text such as comments
+  static findSuspiciousPhrases(text) {
+    const textLower = (text || '').toLowerCase();
+    const phrases = new Set([...CRITICAL_WORDS, ...FRAUD_PHRASES, ...SPAM_PHRASES]);
+
+    return [...phrases].filter(phrase => textLower.includes(phrase));
+  }
+
   // Enhanced title analysis with optimized scoring
   static async analyzeTitleFraud(title) {
     let score = 0;
     const titleLower = title.toLowerCase();
     
-    // Critical fraud keywords (immediate high scores)
-    const criticalWords = [
-      'guaranteed money', 'easy cash', 'investment opportunity', 'get rich quick',
-      'wire transfer', 'paypal only', 'no questions asked', 'act fast',
-      'limited time offer', 'secret method', 'exclusive deal', 'make money fast'
-    ];
-    
     // High-risk suspicious words
     const highRiskWords = [
       'urgent', 'emergency', 'immediate', 'desperate', 'bankruptcy',
@@ -116,7 +144,7 @@ class FraudDetectionService {
     ];
     
     // Critical words get maximum penalty
-    criticalWords.forEach(word => {
+    CRITICAL_WORDS.forEach(word => {
       if (titleLower.includes(word)) {
         score += 40;
       }
@@ -195,14 +223,6 @@ class FraudDetectionService {
     let score = 0;
     const descLower = description.toLowerCase();
     
-    // High-risk fraud phrases
-    const fraudPhrases = [
-      'send money', 'wire transfer', 'paypal only', 'cash only',
-      'no questions asked', 'trust me', 'guaranteed return',
-      'act fast', 'limited time', 'secret method', 'exclusive opportunity',
-      'contact me privately', 'send to my account', 'western union'
-    ];
-    
     // Financial request patterns
     const financialPatterns = [
       /send.*\$?\d+/i,
@@ -212,7 +232,7 @@ class FraudDetectionService {
     ];
     
     // Check fraud phrases
-    fraudPhrases.forEach(phrase => {
+    FRAUD_PHRASES.forEach(phrase => {
       if (descLower.includes(phrase)) {
         score += 25;
       }
@@ -313,13 +333,7 @@ class FraudDetectionService {
     }
     
     // Check for copied content patterns
-    const copiedPatterns = [
-      'copy and paste', 'share this post', 'forward this message',
-      'please share', 'viral post', 'true story', 'this really happened',
-      'based on true events', 'repost if you care'
-    ];
-    
-    copiedPatterns.forEach(pattern => {
+    SPAM_PHRASES.forEach(pattern => {
       if (storyLower.includes(pattern)) {
         score += 30;
       }
@@ -356,6 +370,15 @@ class FraudDetectionService {
   }
 
   // Enhanced amount analysis with category-specific logic
+  // Category limits are in the platform currency, so goals in other currencies are converted first
+  static getPlatformGoal(campaign) {
+    try {
+      return toPlatformAmount(campaign.goalAmount, campaign.currency);
+    } catch (error) {
+      return campaign.goalAmount;
+    }
+  }
+
   static analyzeAmountFraud(goalAmount, category) {
     let score = 0;
     
@@ -494,6 +517,11 @@ class FraudDetectionService {
 
   // Enhanced pattern analysis
   static async analyzePatterns(campaign) {
+    return (await this.analyzePatternDetails(campaign)).score;
+  }
+
+  // Pattern score with the location consistency part of it, so indicators can report it without re-running it
+  static async analyzePatternDetails(campaign) {
     try {
       let score = 0;
       
@@ -546,15 +574,73 @@ class FraudDetectionService {
         score += 15; // Too many campaigns with similar amounts
       }
       
-      return Math.min(score, 100);
+      // Campaign region vs. the creator's home region and other campaigns
+      const locationScore = await this.analyzeLocationConsistency(campaign);
+      score += locationScore;
+      
+      return { score: Math.min(score, 100), locationScore };
     } catch (error) {
       console.error('Pattern analysis error:', error);
-      return 5;
+      return { score: 5, locationScore: 0 };
+    }
+  }
+
+  // Location consistency: where the campaign says it is helping compared with where its
+  // creator lives and where their other recent campaigns are
+  static async analyzeLocationConsistency(campaign) {
+    try {
+      const location = campaign.location || {};
+      const point = location.point && location.point.coordinates;
+      const hasPoint = Array.isArray(point) && point.length === 2;
+      if (!location.state && !hasPoint) return 0;
+
+      let score = 0;
+      const creatorId = campaign.creator && (campaign.creator._id || campaign.creator);
+      const state = normalizeRegion(location.state);
+
+      // Creator's home region differs from the campaign's. Disaster relief often helps elsewhere.
+      const creator = creatorId ? await User.findById(creatorId, 'location') : null;
+      const homeState = creator && creator.location ? normalizeRegion(creator.location.state) : '';
+      if (state && homeState && state !== homeState) {
+        score += campaign.category === 'Disaster Relief' ? 5 : 15;
+      }
+
+      const otherCampaigns = creatorId ? await Campaign.find({
+        creator: creatorId,
+        _id: { $ne: campaign._id },
+        createdAt: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) } // Last 90 days
+      }, 'location createdAt') : [];
+
+      // Recent campaigns spread over many regions
+      const states = new Set(otherCampaigns
+        .map(other => normalizeRegion(other.location && other.location.state))
+        .filter(Boolean));
+      if (state) states.add(state);
+      if (states.size >= 3) {
+        score += 20;
+      }
+
+      // Another campaign in the last 30 days more than 1000 km away
+      if (hasPoint) {
+        const farAway = otherCampaigns.some(other => {
+          const otherPoint = other.location && other.location.point && other.location.point.coordinates;
+          const recent = (new Date() - new Date(other.createdAt)) / (1000 * 60 * 60 * 24) < 30;
+          return recent && Array.isArray(otherPoint) && otherPoint.length === 2 && distanceKm(point, otherPoint) > 1000;
+        });
+        if (farAway) {
+          score += 10;
+        }
+      }
+
+      return Math.min(score, 35);
+    } catch (error) {
+      console.error('Location analysis error:', error);
+      return 0;
     }
   }
 
   // Get detailed fraud indicators with enhanced descriptions
-  static async getFraudIndicators(campaign) {
+  static async getFraudIndicators(campaign, patterns) {
     const indicators = [];
     
     const titleScore = await this.analyzeTitleFraud(campaign.title);
@@ -587,7 +673,7 @@ class FraudDetectionService {
       });
     }
     
-    const amountScore = this.analyzeAmountFraud(campaign.goalAmount, campaign.category);
+    const amountScore = this.analyzeAmountFraud(this.getPlatformGoal(campaign), campaign.category);
     if (amountScore > 10) {
       indicators.push({
         type: 'Goal Amount',
@@ -607,7 +693,7 @@ class FraudDetectionService {
       });
     }
     
-    const patternScore = await this.analyzePatterns(campaign);
+    const { score: patternScore, locationScore } = patterns || await this.analyzePatternDetails(campaign);
     if (patternScore > 10) {
       indicators.push({
         type: 'Pattern Analysis',
@@ -617,6 +703,15 @@ class FraudDetectionService {
       });
     }
     
+    if (locationScore >= 10) {
+      indicators.push({
+        type: 'Location Consistency',
+        severity: locationScore > 25 ? 'High' : locationScore > 15 ? 'Medium' : 'Low',
+        score: locationScore,
+        description: 'Campaign region does not match the creator\'s home region or their other recent campaigns'
+      });
+    }
+    
     return indicators;
   }
 
@@ -695,7 +790,7 @@ class FraudDetectionService {
     const titleScore = await this.analyzeTitleFraud(campaign.title);
     const descScore = this.analyzeDescriptionFraud(campaign.description);
     const storyScore = await this.analyzeStoryFraud(campaign.story);
-    const amountScore = this.analyzeAmountFraud(campaign.goalAmount, campaign.category);
+    const amountScore = this.analyzeAmountFraud(this.getPlatformGoal(campaign), campaign.category);
     const creatorScore = await this.analyzeCreatorHistory(campaign.creator);
     
     if (titleScore > 25) factors.push('High-risk language in title');
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Campaign = require('../models/Campaign');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Transaction types that make up a campaign's raised amount (payouts and fees do not)
+const RAISED_TYPES = ['donation', 'refund', 'chargeback', 'dispute_reversal', 'matching_gift', 'adjustment'];
+
+// Round to 2 decimals to keep floating point noise out of comparisons
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Run work in the caller's transaction, or in a transaction of its own
+const inTransaction = (session, work) => (session ? work(session) : mongoose.connection.transaction(work));
+
+class LedgerService {
+
+  /**
+   * Post a balanced transaction: one debit and one credit of the same amount.
+   * Both entries are written in one database transaction, so a failure never leaves half of it posted.
+   * @param {Object} params - { transactionId, type, debit, credit, amount, campaign, donation, refund, memo, createdBy, session }
+   * @returns {Boolean} false if the transaction was already posted
+   */
+  static async postTransaction({ transactionId, type, debit, credit, amount, campaign, donation, refund, memo, createdBy, session }) {
+    if (!(amount > 0)) {
+      throw new ErrorResponse('Ledger transactions must have a positive amount', 400);
+    }
+
+    const common = { transactionId, type, amount: round(amount), campaign, donation, refund, memo, createdBy };
+
+    return inTransaction(session, async (txn) => {
+      // A duplicate key error would abort the whole database transaction, so check for the posting first
+      if (await LedgerEntry.exists({ transactionId }).session(txn)) return false;
+
+      await LedgerEntry.insertMany([
+        { ...common, account: debit, direction: 'debit' },
+        { ...common, account: credit, direction: 'credit' },
+      ], { ordered: true, session: txn });
+      return true;
+    });
+  }
+
+  /**
+   * Move money into or out of a campaign and update its stored raisedAmount by the same amount,
+   * in the same database transaction as the ledger entries
+   * @param {Object} params - Transaction fields; direction is 'credit' (money in) or 'debit' (money out)
+   * @returns {Boolean} false if the transaction was already posted
+   */
+  static async recordCampaignMovement({ direction, counterAccount = 'gateway_clearing', session, ...transaction }) {
+    return inTransaction(session, async (txn) => {
+      const posted = await this.postTransaction({
+        ...transaction,
+        debit: direction === 'credit' ? counterAccount : 'campaign_funds',
+        credit: direction === 'credit' ? 'campaign_funds' : counterAccount,
+        session: txn,
+      });
+
+      if (posted && RAISED_TYPES.includes(transaction.type)) {
+        const change = direction === 'credit' ? transaction.amount : -transaction.amount;
+        await Campaign.findByIdAndUpdate(transaction.campaign, { $inc: { raisedAmount: round(change) } }, { session: txn });
+      }
+
+      return posted;
+    });
+  }
+
+  // Sum of campaign_funds credits minus debits, optionally limited to some transaction types
+  static async getCampaignFunds(campaignId, types, { session } = {}) {
+    const match = {
+      campaign: new mongoose.Types.ObjectId(campaignId.toString()),
+      account: 'campaign_funds',
+    };
+    if (types) match.type = { $in: types };
+
+    const [result] = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+          },
+        },
+      },
+    ]).session(session || null);
+
+    return result ? round(result.total) : 0;
+  }
+
+  // Amount raised by a campaign according to the ledger
+  static async getCampaignRaised(campaignId) {
+    return this.getCampaignFunds(campaignId, RAISED_TYPES);
+  }
+
+  // Money currently held for a campaign (raised minus fees and payouts)
+  static async getCampaignBalance(campaignId, { session } = {}) {
+    return this.getCampaignFunds(campaignId, undefined, { session });
+  }
+
+  /**
+   * Breakdown of a campaign's funds: gross raised, fees, payouts and what is left
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} { raised, platformFees, gatewayFees, paidOut, balance }
+   */
+  static async getCampaignSummary(campaignId) {
+    const totals = await LedgerEntry.aggregate([
+      { $match: { campaign: new mongoose.Types.ObjectId(campaignId.toString()), account: 'campaign_funds' } },
+      {
+        $group: {
+          _id: '$type',
+          total: {
+            $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+          },
+        },
+      },
+    ]);
+
+    const byType = new Map(totals.map(item => [item._id, item.total]));
+    const sum = (types) => round(types.reduce((total, type) => total + (byType.get(type) || 0), 0));
+
+    return {
+      raised: sum(RAISED_TYPES),
+      // Fees and payouts are money out, reported as positive amounts
+      platformFees: -sum(['platform_fee']),
+      gatewayFees: -sum(['gateway_fee']),
+      paidOut: -sum(['payout']),
+      balance: sum([...byType.keys()]),
+    };
+  }
+
+  // Ledger-derived raised amount for every campaign that has entries
+  static async getRaisedByCampaign() {
+    const totals = await LedgerEntry.aggregate([
+      { $match: { account: 'campaign_funds', type: { $in: RAISED_TYPES } } },
+      {
+        $group: {
+          _id: '$campaign',
+          total: {
+            $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+          },
+        },
+      },
+    ]);
+
+    return new Map(totals.map(item => [item._id.toString(), round(item.total)]));
+  }
+
+  /**
+   * Compare every campaign's stored raisedAmount with its ledger sum
+   * @param {Object} options - { fix: reset mismatched raisedAmount values to the ledger sum }
+   * @returns {Object} { checked, mismatches, unbalancedTransactions }
+   */
+  static async reconcile({ fix = false } = {}) {
+    const ledgerTotals = await this.getRaisedByCampaign();
+    const campaigns = await Campaign.find({}, 'title raisedAmount');
+
+    const mismatches = [];
+    for (const campaign of campaigns) {
+      const stored = round(campaign.raisedAmount || 0);
+      const ledger = ledgerTotals.get(campaign._id.toString()) || 0;
+
+      if (stored !== ledger) {
+        mismatches.push({
+          campaignId: campaign._id,
+          title: campaign.title,
+          storedRaisedAmount: stored,
+          ledgerRaisedAmount: ledger,
+          difference: round(stored - ledger),
+        });
+
+        if (fix) {
+          await Campaign.updateOne({ _id: campaign._id }, { raisedAmount: ledger });
+        }
+      }
+    }
+
+    // Every transaction must have equal debits and credits
+    const unbalancedTransactions = await LedgerEntry.aggregate([
+      {
+        $group: {
+          _id: '$transactionId',
+          debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+          credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+        },
+      },
+      { $match: { $expr: { $ne: ['$debits', '$credits'] } } },
+    ]);
+
+    return {
+      checked: campaigns.length,
+      mismatches,
+      unbalancedTransactions,
+      fixed: fix ? mismatches.length : 0,
+    };
+  }
+
+  /**
+   * Set campaignCredited on donations stored before the flag existed: credited statuses were
+   * counted towards their campaign, pending and failed ones never were
+   * @returns {Number} Number of donations updated
+   */
+  static async backfillCreditFlags() {
+    const Donation = mongoose.model('Donation');
+    const [credited, uncredited] = await Promise.all([
+      Donation.updateMany(
+        { campaignCredited: { $exists: false }, status: { $in: Donation.CREDITED_STATUSES } },
+        { $set: { campaignCredited: true } }
+      ),
+      Donation.updateMany(
+        { campaignCredited: { $exists: false }, status: { $in: ['pending', 'failed'] } },
+        { $set: { campaignCredited: false } }
+      ),
+    ]);
+
+    return credited.modifiedCount + uncredited.modifiedCount;
+  }
+
+  /**
+   * Post ledger entries for credited donations recorded before the ledger existed
+   * @returns {Number} Number of donations backfilled
+   */
+  static async backfillDonations() {
+    const Donation = mongoose.model('Donation');
+    const donations = await Donation.find({
+      status: { $in: Donation.CREDITED_STATUSES },
+      campaignCredited: { $ne: false },
+    });
+
+    let backfilled = 0;
+    for (const donation of donations) {
+      const amount = donation.toCampaignAmount(donation.amount - (donation.refundedAmount || 0));
+      if (amount <= 0) continue;
+
+      // Post without touching raisedAmount, which already includes these donations
+      const posted = await this.postTransaction({
+        transactionId: `donation:${donation._id}`,
+        type: 'donation',
+        debit: 'gateway_clearing',
+        credit: 'campaign_funds',
+        amount,
+        campaign: donation.campaign,
+        donation: donation._id,
+        memo: 'Backfilled from existing donation',
+      });
+      if (posted) backfilled++;
+    }
+
+    return backfilled;
+  }
+}
+
+LedgerService.RAISED_TYPES = RAISED_TYPES;
+
+module.exports = LedgerService;
@@ -0,0 +1,216 @@
+const SponsorPledge = require('../models/SponsorPledge');
+const MatchedContribution = require('../models/MatchedContribution');
+const Campaign = require('../models/Campaign');
+const LedgerService = require('./ledgerService');
+const { convert } = require('./currency');
+
+// Attempts at reserving part of a pledge's cap before giving up under contention
+const MAX_RESERVE_ATTEMPTS = 3;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class MatchingService {
+
+  // Query for pledges currently matching donations to a campaign
+  static eligiblePledgeQuery(campaign, date = new Date()) {
+    return {
+      status: 'active',
+      startsAt: { $lte: date },
+      $and: [
+        { $or: [{ endsAt: { $exists: false } }, { endsAt: null }, { endsAt: { $gt: date } }] },
+        {
+          $or: [
+            { campaigns: campaign._id },
+            { categories: campaign.category },
+            { campaigns: { $size: 0 }, categories: { $size: 0 } },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Take up to `wanted` from a pledge's remaining cap. Pledges whose cap runs out are marked exhausted.
+   * @param {String} pledgeId - Pledge ID
+   * @param {Number} wanted - Amount wanted, in the pledge currency
+   * @returns {Number} Amount reserved, 0 if nothing is left
+   */
+  static async reserve(pledgeId, wanted) {
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+      const pledge = await SponsorPledge.findById(pledgeId);
+      if (!pledge || pledge.status !== 'active') return 0;
+
+      const amount = round(Math.min(wanted, pledge.cap - pledge.matchedAmount));
+      if (!(amount > 0)) return 0;
+
+      // Only succeeds if no other match changed the pledge since it was read
+      const updated = await SponsorPledge.findOneAndUpdate(
+        { _id: pledge._id, status: 'active', matchedAmount: pledge.matchedAmount },
+        { $inc: { matchedAmount: amount } },
+        { new: true }
+      );
+
+      if (updated) {
+        if (round(updated.matchedAmount) >= updated.cap) {
+          await SponsorPledge.updateOne({ _id: updated._id, status: 'active' }, { status: 'exhausted' });
+        }
+        return amount;
+      }
+    }
+
+    return 0;
+  }
+
+  // Give part of a pledge's cap back, reopening it if it had run out
+  static async release(pledgeId, amount) {
+    const pledge = await SponsorPledge.findByIdAndUpdate(
+      pledgeId,
+      { $inc: { matchedAmount: -amount } },
+      { new: true }
+    );
+
+    if (pledge && pledge.status === 'exhausted' && round(pledge.matchedAmount) < pledge.cap) {
+      await SponsorPledge.updateOne({ _id: pledge._id, status: 'exhausted' }, { status: 'active' });
+    }
+  }
+
+  /**
+   * Match a completed donation from every eligible pledge. Each pledge matches a donation
+   * at most once, so calling this again (e.g. after a won dispute) adds nothing.
+   * @param {Document} donation - Completed donation
+   * @returns {Array} Matched contributions created
+   */
+  static async matchDonation(donation) {
+    const campaign = await Campaign.findById(donation.campaign, 'category currency');
+    if (!campaign) return [];
+
+    const pledges = await SponsorPledge.find(this.eligiblePledgeQuery(campaign, donation.completedAt || new Date()));
+    const contributions = [];
+
+    for (const pledge of pledges) {
+      if (await MatchedContribution.exists({ pledge: pledge._id, donation: donation._id })) {
+        continue;
+      }
+
+      let wanted = convert(donation.amount * pledge.matchRatio, donation.currency, pledge.currency).amount;
+      if (pledge.maxMatchPerDonation) {
+        wanted = Math.min(wanted, pledge.maxMatchPerDonation);
+      }
+
+      const amount = await this.reserve(pledge._id, wanted);
+      if (!(amount > 0)) continue;
+
+      const { amount: campaignAmount, rate } = convert(amount, pledge.currency, campaign.currency);
+
+      let contribution;
+      try {
+        contribution = await MatchedContribution.create({
+          pledge: pledge._id,
+          donation: donation._id,
+          campaign: campaign._id,
+          amount,
+          currency: pledge.currency,
+          exchangeRate: rate,
+          campaignAmount,
+        });
+      } catch (error) {
+        // Matched concurrently by another call
+        await this.release(pledge._id, amount);
+        if (error.code === 11000) continue;
+        throw error;
+      }
+
+      await LedgerService.recordCampaignMovement({
+        direction: 'credit',
+        counterAccount: 'sponsor_pledges',
+        transactionId: `match:${contribution._id}`,
+        type: 'matching_gift',
+        amount: campaignAmount,
+        campaign: campaign._id,
+        donation: donation._id,
+        memo: `Matched by ${pledge.sponsor.name}`,
+      });
+
+      contributions.push(contribution);
+    }
+
+    return contributions;
+  }
+
+  /**
+   * Take back the matched share of a refunded amount and return it to the sponsors' caps
+   * @param {Document} donation - Refunded donation
+   * @param {Document} refund - Completed refund
+   */
+  static async reverseForRefund(donation, refund) {
+    const contributions = await MatchedContribution.find({ donation: donation._id });
+    const fullyRefunded = donation.refundedAmount >= donation.amount;
+
+    for (const contribution of contributions) {
+      const remaining = round(contribution.amount - contribution.reversedAmount);
+      if (!(remaining > 0)) continue;
+
+      // The last refund takes back whatever is left so rounding never strands an amount
+      const share = fullyRefunded
+        ? remaining
+        : Math.min(round(contribution.amount * refund.amount / donation.amount), remaining);
+      if (!(share > 0)) continue;
+
+      const posted = await LedgerService.recordCampaignMovement({
+        direction: 'debit',
+        counterAccount: 'sponsor_pledges',
+        transactionId: `match-reversal:${refund._id}:${contribution._id}`,
+        type: 'matching_gift',
+        amount: round(share * contribution.exchangeRate),
+        campaign: contribution.campaign,
+        donation: donation._id,
+        refund: refund._id,
+        memo: 'Match reversed on refund',
+      });
+
+      if (posted) {
+        await MatchedContribution.updateOne({ _id: contribution._id }, { $inc: { reversedAmount: share } });
+        await this.release(contribution.pledge, share);
+      }
+    }
+  }
+
+  /**
+   * Matching currently on offer for a campaign, for display on the campaign page
+   * @param {Document} campaign - Campaign
+   * @returns {Object} { multiplier, message, sponsors, totalMatched }
+   */
+  static async getCampaignMatching(campaign) {
+    const [pledges, matched] = await Promise.all([
+      SponsorPledge.find(this.eligiblePledgeQuery(campaign)).sort({ matchRatio: -1 }),
+      MatchedContribution.aggregate([
+        { $match: { campaign: campaign._id } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: { $subtract: ['$campaignAmount', { $multiply: ['$reversedAmount', '$exchangeRate'] }] } },
+          },
+        },
+      ]),
+    ]);
+
+    // Each pledge adds its ratio on top of the donor's own gift
+    const multiplier = round(1 + pledges.reduce((total, pledge) => total + pledge.matchRatio, 0));
+
+    return {
+      multiplier,
+      message: pledges.length ? `Your gift is matched ${multiplier}x` : null,
+      sponsors: pledges.map(pledge => ({
+        name: pledge.sponsor.name,
+        logoUrl: pledge.sponsor.logoUrl,
+        matchRatio: pledge.matchRatio,
+        remainingAmount: pledge.remainingAmount,
+        currency: pledge.currency,
+        endsAt: pledge.endsAt,
+      })),
+      totalMatched: matched.length ? round(matched[0].total) : 0,
+    };
+  }
+}
+
+module.exports = MatchingService;
@@ -0,0 +1,163 @@
+const Campaign = require('../models/Campaign');
+const ErrorResponse = require('../utils/errorResponse');
+
+class MilestoneService {
+
+  /**
+   * Read milestones from a campaign form, where they arrive as a JSON string
+   * @param {String|Array} raw - Milestones from the request body
+   * @returns {Array} Milestones with only the fields a creator may set
+   */
+  static parseMilestones(raw) {
+    if (!raw) return [];
+
+    let milestones = raw;
+    if (typeof raw === 'string') {
+      try {
+        milestones = JSON.parse(raw);
+      } catch (error) {
+        throw new ErrorResponse('Milestones must be valid JSON', 400);
+      }
+    }
+
+    if (!Array.isArray(milestones)) {
+      throw new ErrorResponse('Milestones must be a list', 400);
+    }
+
+    return milestones.map(({ title, description, amount, requiredProof }) => ({
+      title,
+      description,
+      amount: Number(amount),
+      requiredProof,
+    }));
+  }
+
+  // Milestones are completed in order: only the first one not yet approved can be worked on
+  static getCurrentMilestone(campaign) {
+    return campaign.milestones.find(milestone => milestone.status !== 'approved');
+  }
+
+  static findMilestone(campaign, milestoneId) {
+    const milestone = campaign.milestones.id(milestoneId);
+    if (!milestone) {
+      throw new ErrorResponse('Milestone not found', 404);
+    }
+    return milestone;
+  }
+
+  /**
+   * Find the milestone a creator wants to submit proof for, checking it is the next one in order.
+   * Called before uploading so rejected submissions leave nothing behind in Cloudinary.
+   * @param {Document} campaign - Escrow campaign owned by the user
+   * @param {String} milestoneId - Milestone ID
+   * @returns {Document} Milestone
+   */
+  static getSubmittableMilestone(campaign, milestoneId) {
+    if (!campaign.escrowEnabled) {
+      throw new ErrorResponse('This campaign does not use milestone escrow', 400);
+    }
+
+    const milestone = this.findMilestone(campaign, milestoneId);
+    const current = this.getCurrentMilestone(campaign);
+
+    if (!current || !current._id.equals(milestone._id)) {
+      throw new ErrorResponse('Proof can only be submitted for the next milestone in order', 400);
+    }
+    if (milestone.status === 'submitted') {
+      throw new ErrorResponse('Proof for this milestone is already awaiting review', 400);
+    }
+
+    return milestone;
+  }
+
+  /**
+   * Attach uploaded proof documents to a milestone and send it for review
+   * @param {Document} campaign - Campaign the milestone belongs to
+   * @param {Document} milestone - Milestone from getSubmittableMilestone
+   * @param {Object} params - { documents: Cloudinary upload results, note }
+   * @returns {Document} Updated milestone
+   */
+  static async submitProof(campaign, milestone, { documents, note }) {
+    milestone.proofDocuments.push(...documents.map(doc => ({
+      url: doc.url,
+      publicId: doc.publicId,
+      resourceType: doc.resourceType,
+    })));
+    milestone.proofNote = note;
+    milestone.status = 'submitted';
+    milestone.submittedAt = new Date();
+
+    await campaign.save();
+    return milestone;
+  }
+
+  /**
+   * Approve or reject a submitted milestone. Approval releases its amount from escrow.
+   * @param {Document} campaign - Escrow campaign
+   * @param {String} milestoneId - Milestone ID
+   * @param {Object} params - { approve, note, adminId }
+   * @returns {Document} Updated milestone
+   */
+  static async reviewMilestone(campaign, milestoneId, { approve, note, adminId }) {
+    const milestone = this.findMilestone(campaign, milestoneId);
+
+    if (milestone.status !== 'submitted') {
+      throw new ErrorResponse('Only milestones awaiting review can be approved or rejected', 400);
+    }
+    if (!approve && !note) {
+      throw new ErrorResponse('Please provide a reason for rejecting the proof', 400);
+    }
+
+    milestone.status = approve ? 'approved' : 'rejected';
+    milestone.reviewedBy = adminId;
+    milestone.reviewNote = note;
+    milestone.reviewedAt = new Date();
+    if (approve) {
+      milestone.releasedAt = milestone.reviewedAt;
+    }
+
+    await campaign.save();
+    return milestone;
+  }
+
+  /**
+   * Total a creator may withdraw from an escrow campaign, or Infinity for other campaigns.
+   * Once every milestone is approved the whole balance is released.
+   * @param {Document} campaign - Campaign
+   * @returns {Number} Released amount
+   */
+  static getReleasedLimit(campaign) {
+    if (!campaign.escrowEnabled || !this.getCurrentMilestone(campaign)) {
+      return Infinity;
+    }
+
+    return campaign.milestones
+      .filter(milestone => milestone.status === 'approved')
+      .reduce((sum, milestone) => sum + milestone.amount, 0);
+  }
+
+  // Milestones waiting for an admin, oldest submission first
+  static async getSubmittedMilestones() {
+    const campaigns = await Campaign.find({ escrowEnabled: true, 'milestones.status': 'submitted' })
+      .select('title category creator raisedAmount goalAmount milestones')
+      .populate('creator', 'name email');
+
+    return campaigns
+      .flatMap(campaign => campaign.milestones
+        .filter(milestone => milestone.status === 'submitted')
+        .map(milestone => ({
+          campaign: {
+            _id: campaign._id,
+            title: campaign.title,
+            category: campaign.category,
+            creator: campaign.creator,
+            raisedAmount: campaign.raisedAmount,
+            goalAmount: campaign.goalAmount,
+          },
+          milestone,
+        })))
+      .sort((a, b) => a.milestone.submittedAt - b.milestone.submittedAt);
+  }
+}
+
+module.exports = MilestoneService;
@@ -0,0 +1,39 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:8080';
+
+class NotificationService {
+
+  /**
+   * Notify users in the app and, optionally, by email.
+   * Email failures are logged and never fail the caller.
+   * @param {Array} userIds - Users to notify
+   * @param {Object} notification - { type, title, message, campaign, link, email }
+   * @returns {Number} Notifications created
+   */
+  static async notify(userIds, { type, title, message, campaign, link, email = false }) {
+    const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    if (recipients.length === 0) return 0;
+
+    await Notification.insertMany(recipients.map(user => ({ user, type, title, message, campaign, link })));
+
+    if (email) {
+      const users = await User.find({ _id: { $in: recipients } }, 'name email');
+      await Promise.all(users.map(user => sendMail({
+        to: user.email,
+        subject: title,
+        text: [`Hi ${user.name},`, '', message, link ? `\n${clientUrl()}${link}` : null]
+          .filter(line => line !== null)
+          .join('\n'),
+      }).catch(error => {
+        console.error(`Error emailing notification to ${user.email}:`, error);
+      })));
+    }
+
+    return recipients.length;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,107 @@
+const PaymentGateway = require('./paymentGateway');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const { PAYMENT_STATUS, WEBHOOK_EVENT } = PaymentGateway;
+
+const randomId = (prefix) => prefix + Math.random().toString(36).substring(2, 15);
+
+/**
+ * Fake payment gateway for local development and testing.
+ * Every payment succeeds unless the confirmation payload sets `simulateFailure`.
+ */
+class FakeGateway extends PaymentGateway {
+  constructor() {
+    super('fake');
+    this.intents = new Map();
+  }
+
+  async createIntent() {
+    const intentId = randomId('pi_fake_');
+    const clientSecret = randomId('fake_secret_');
+
+    this.intents.set(intentId, { status: PAYMENT_STATUS.REQUIRES_PAYMENT, paymentId: null });
+
+    return {
+      intentId,
+      clientSecret,
+      status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+    };
+  }
+
+  async confirm(intentId, payload = {}) {
+    const result = payload.simulateFailure
+      ? { status: PAYMENT_STATUS.FAILED, paymentId: null, message: 'Simulated payment failure' }
+      : { status: PAYMENT_STATUS.SUCCEEDED, paymentId: randomId('pay_fake_') };
+
+    this.intents.set(intentId, result);
+    return result;
+  }
+
+  async capture(intentId) {
+    const intent = this.intents.get(intentId) || { paymentId: randomId('pay_fake_') };
+    const result = { status: PAYMENT_STATUS.SUCCEEDED, paymentId: intent.paymentId };
+
+    this.intents.set(intentId, result);
+    return result;
+  }
+
+  async refund() {
+    return {
+      refundId: randomId('rfnd_fake_'),
+      status: PAYMENT_STATUS.SUCCEEDED,
+    };
+  }
+
+  // Saved fake payment methods always succeed unless their ID contains "fail"
+  async chargeSaved({ paymentMethodId }) {
+    const intentId = randomId('pi_fake_');
+
+    const result = String(paymentMethodId).includes('fail')
+      ? { status: PAYMENT_STATUS.FAILED, paymentId: null, message: 'Simulated payment failure' }
+      : { status: PAYMENT_STATUS.SUCCEEDED, paymentId: randomId('pay_fake_') };
+
+    this.intents.set(intentId, result);
+    return { intentId, ...result };
+  }
+
+  async verifyAccount() {
+    return {
+      status: 'verified',
+      providerAccountId: randomId('fa_fake_'),
+    };
+  }
+
+  async createPayout() {
+    return {
+      payoutId: randomId('pout_fake_'),
+      status: PAYMENT_STATUS.SUCCEEDED,
+    };
+  }
+
+  async fetchStatus(intentId) {
+    // Intents are kept in memory, so unknown ones (e.g. after a restart) are still awaiting payment
+    return this.intents.get(intentId) || { status: PAYMENT_STATUS.REQUIRES_PAYMENT, paymentId: null };
+  }
+
+  // Fake webhooks are already normalized and signed with PAYMENT_WEBHOOK_SECRET in x-fake-signature
+  parseWebhook(rawBody, headers) {
+    if (!PaymentGateway.verifyHmac(process.env.PAYMENT_WEBHOOK_SECRET, rawBody, headers['x-fake-signature'])) {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    const event = JSON.parse(rawBody.toString());
+
+    return {
+      id: event.id,
+      type: Object.values(WEBHOOK_EVENT).includes(event.type) ? event.type : WEBHOOK_EVENT.IGNORED,
+      intentId: event.intentId,
+      paymentId: event.paymentId,
+      refundId: event.refundId,
+      payoutId: event.payoutId,
+      amount: event.amount,
+      message: event.message,
+    };
+  }
+}
+
+module.exports = FakeGateway;
@@ -0,0 +1,76 @@
+const PaymentGateway = require('./paymentGateway');
+const FakeGateway = require('./fakeGateway');
+const RazorpayGateway = require('./razorpayGateway');
+const StripeGateway = require('./stripeGateway');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const gateways = {
+  fake: FakeGateway,
+  razorpay: RazorpayGateway,
+  stripe: StripeGateway,
+};
+
+// Adapters are created once and reused
+const instances = {};
+
+// The fake gateway approves every payment, so it is a local test driver and only ever used in development
+const isFakeAllowed = () => process.env.NODE_ENV === 'development';
+
+/**
+ * Get the payment gateway adapter for a provider
+ * @param {String} provider - Provider name, defaults to PAYMENT_PROVIDER (or "fake" in development)
+ * @returns {PaymentGateway} Gateway adapter
+ */
+const getPaymentGateway = (provider = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const Gateway = gateways[provider];
+
+  if (!Gateway) {
+    throw new ErrorResponse(`Unknown payment provider "${provider}"`, 500);
+  }
+
+  if (provider === 'fake' && !isFakeAllowed()) {
+    throw new ErrorResponse('Payment provider is not configured: set PAYMENT_PROVIDER to razorpay or stripe', 500);
+  }
+
+  if (!instances[provider]) {
+    instances[provider] = new Gateway();
+  }
+
+  return instances[provider];
+};
+
+// Providers whose webhooks are accepted: PAYMENT_PROVIDER and PAYOUT_PROVIDER, plus any in
+// PAYMENT_WEBHOOK_PROVIDERS (comma-separated) while moving between providers.
+// The fake provider is only ever accepted in development.
+const getWebhookProviders = () => {
+  const providers = [process.env.PAYMENT_PROVIDER || 'fake', process.env.PAYOUT_PROVIDER]
+    .concat((process.env.PAYMENT_WEBHOOK_PROVIDERS || '').split(','))
+    .map(provider => (provider || '').trim())
+    .filter(Boolean);
+
+  return [...new Set(providers)].filter(provider => provider !== 'fake' || isFakeAllowed());
+};
+
+/**
+ * Get the gateway adapter that should handle a webhook
+ * @param {String} provider - Provider named in the webhook URL, defaults to PAYMENT_PROVIDER
+ * @returns {PaymentGateway} Gateway adapter
+ */
+const getWebhookGateway = (provider = process.env.PAYMENT_PROVIDER || 'fake') => {
+  if (!getWebhookProviders().includes(provider)) {
+    throw new ErrorResponse(`Webhooks from payment provider "${provider}" are not accepted`, 404);
+  }
+
+  return getPaymentGateway(provider);
+};
+
+// Currency used for payments until campaigns declare their own
+const getPaymentCurrency = () => process.env.PAYMENT_CURRENCY || 'INR';
+
+module.exports = {
+  getPaymentGateway,
+  getWebhookGateway,
+  getPaymentCurrency,
+  PAYMENT_STATUS: PaymentGateway.PAYMENT_STATUS,
+  WEBHOOK_EVENT: PaymentGateway.WEBHOOK_EVENT,
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const ErrorResponse = require('../../utils/errorResponse');
+
+/**
+ * Normalized payment statuses returned by every gateway adapter
+ */
+const PAYMENT_STATUS = {
+  REQUIRES_PAYMENT: 'requires_payment',
+  REQUIRES_CAPTURE: 'requires_capture',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+/**
+ * Normalized webhook event types returned by parseWebhook
+ */
+const WEBHOOK_EVENT = {
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  PAYOUT_PAID: 'payout.paid',
+  PAYOUT_FAILED: 'payout.failed',
+  DISPUTE_CREATED: 'dispute.created',
+  DISPUTE_WON: 'dispute.won',
+  DISPUTE_LOST: 'dispute.lost',
+  IGNORED: 'ignored',
+};
+
+/**
+ * Base class for payment gateway adapters.
+ * Amounts are always passed in major units (e.g. rupees) and converted
+ * to the provider's minor units inside the adapter.
+ */
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a payment intent / order for client-side payment
+   * @param {Object} params - { amount, currency, metadata }
+   * @returns {Object} { intentId, clientSecret, status }
+   */
+  async createIntent(params) {
+    throw this.notSupported('createIntent');
+  }
+
+  /**
+   * Confirm a payment using the payload returned by the client SDK
+   * @param {String} intentId - Provider intent / order ID
+   * @param {Object} payload - Provider-specific confirmation data
+   * @returns {Object} { status, paymentId, fee } - fee is set when the provider reports it
+   */
+  async confirm(intentId, payload) {
+    throw this.notSupported('confirm');
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {String} intentId - Provider intent / order ID
+   * @param {Object} params - { paymentId, amount, currency }
+   * @returns {Object} { status, paymentId }
+   */
+  async capture(intentId, params) {
+    throw this.notSupported('capture');
+  }
+
+  /**
+   * Refund a captured payment, fully or partially
+   * @param {String} paymentId - Provider payment / charge ID
+   * @param {Object} params - { amount, currency, metadata }
+   * @returns {Object} { refundId, status }
+   */
+  async refund(paymentId, params) {
+    throw this.notSupported('refund');
+  }
+
+  /**
+   * Fetch the current status of an intent from the provider
+   * @param {String} intentId - Provider intent / order ID
+   * @returns {Object} { status, paymentId }
+   */
+  async fetchStatus(intentId) {
+    throw this.notSupported('fetchStatus');
+  }
+
+  /**
+   * Charge a payment method the donor saved for recurring payments, without them present
+   * @param {Object} params - { amount, currency, customerId, paymentMethodId, email, contact, metadata }
+   * @returns {Object} { intentId, status, paymentId, message }
+   */
+  async chargeSaved(params) {
+    throw this.notSupported('recurring payments');
+  }
+
+  /**
+   * Verify a bank account or UPI handle before paying out to it
+   * @param {Object} account - { type, accountHolderName, accountNumber, ifsc, upiId }
+   * @returns {Object} { status: 'verified' | 'failed' | 'pending', providerAccountId, message }
+   */
+  async verifyAccount(account) {
+    throw this.notSupported('account verification');
+  }
+
+  /**
+   * Send money to a verified payout account
+   * @param {Object} params - { amount, currency, account, metadata }
+   * @returns {Object} { payoutId, status, message }
+   */
+  async createPayout(params) {
+    throw this.notSupported('payouts');
+  }
+
+  /**
+   * Verify a webhook signature and normalize the event
+   * @param {Buffer} rawBody - Raw request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Object} { id, type, intentId, paymentId, refundId, payoutId, amount, message }
+   */
+  parseWebhook(rawBody, headers) {
+    throw this.notSupported('webhooks');
+  }
+
+  notSupported(method) {
+    return new ErrorResponse(`Payment provider "${this.name}" does not support ${method}`, 501);
+  }
+
+  // Convert a major-unit amount to the provider's minor units
+  static toMinorUnits(amount) {
+    return Math.round(Number(amount) * 100);
+  }
+
+  static fromMinorUnits(amount) {
+    return Number(amount) / 100;
+  }
+
+  // Constant-time comparison of a hex HMAC-SHA256 signature
+  static verifyHmac(secret, payload, signature) {
+    if (!secret) {
+      throw new ErrorResponse('Webhook secret is not configured', 500);
+    }
+    if (!signature) return false;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+PaymentGateway.PAYMENT_STATUS = PAYMENT_STATUS;
+PaymentGateway.WEBHOOK_EVENT = WEBHOOK_EVENT;
+
+module.exports = PaymentGateway;
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const PaymentGateway = require('./paymentGateway');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const { PAYMENT_STATUS, WEBHOOK_EVENT } = PaymentGateway;
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Map Razorpay payment statuses to normalized statuses
+const STATUS_MAP = {
+  created: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  authorized: PAYMENT_STATUS.REQUIRES_CAPTURE,
+  captured: PAYMENT_STATUS.SUCCEEDED,
+  refunded: PAYMENT_STATUS.SUCCEEDED,
+  failed: PAYMENT_STATUS.FAILED,
+};
+
+const REFUND_STATUS_MAP = {
+  pending: PAYMENT_STATUS.PROCESSING,
+  processed: PAYMENT_STATUS.SUCCEEDED,
+  failed: PAYMENT_STATUS.FAILED,
+};
+
+// RazorpayX payout statuses
+const PAYOUT_STATUS_MAP = {
+  processed: PAYMENT_STATUS.SUCCEEDED,
+  reversed: PAYMENT_STATUS.FAILED,
+  rejected: PAYMENT_STATUS.FAILED,
+  failed: PAYMENT_STATUS.FAILED,
+  cancelled: PAYMENT_STATUS.FAILED,
+};
+
+// Fee Razorpay charged on a captured payment, in major units
+const paymentFee = (payment) => (payment.fee !== undefined && payment.fee !== null
+  ? PaymentGateway.fromMinorUnits(payment.fee)
+  : undefined);
+
+// Map Razorpay webhook events to normalized event types
+const EVENT_MAP = {
+  'payment.captured': WEBHOOK_EVENT.PAYMENT_SUCCEEDED,
+  'order.paid': WEBHOOK_EVENT.PAYMENT_SUCCEEDED,
+  'payment.failed': WEBHOOK_EVENT.PAYMENT_FAILED,
+  'refund.processed': WEBHOOK_EVENT.REFUND_SUCCEEDED,
+  'payout.processed': WEBHOOK_EVENT.PAYOUT_PAID,
+  'payout.failed': WEBHOOK_EVENT.PAYOUT_FAILED,
+  'payout.reversed': WEBHOOK_EVENT.PAYOUT_FAILED,
+  'payout.rejected': WEBHOOK_EVENT.PAYOUT_FAILED,
+  'payment.dispute.created': WEBHOOK_EVENT.DISPUTE_CREATED,
+  'payment.dispute.won': WEBHOOK_EVENT.DISPUTE_WON,
+  'payment.dispute.lost': WEBHOOK_EVENT.DISPUTE_LOST,
+};
+
+/**
+ * Razorpay-style gateway: orders are created server-side, the client completes
+ * checkout and returns a payment ID signed with the key secret.
+ */
+class RazorpayGateway extends PaymentGateway {
+  constructor({ keyId, keySecret } = {}) {
+    super('razorpay');
+    this.keyId = keyId || process.env.RAZORPAY_KEY_ID;
+    this.keySecret = keySecret || process.env.RAZORPAY_KEY_SECRET;
+  }
+
+  assertConfigured() {
+    if (!this.keyId || !this.keySecret) {
+      throw new ErrorResponse('Razorpay credentials are not configured', 500);
+    }
+  }
+
+  async request(method, path, body) {
+    this.assertConfigured();
+
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        Authorization: 'Basic ' + Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64'),
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const message = data.error && data.error.description ? data.error.description : 'Razorpay request failed';
+      throw new ErrorResponse(message, response.status >= 500 ? 502 : 400);
+    }
+
+    return data;
+  }
+
+  async createIntent({ amount, currency, metadata = {} }) {
+    const order = await this.request('POST', '/orders', {
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency,
+      notes: metadata,
+    });
+
+    // Razorpay checkout is opened with the order ID rather than a client secret
+    return {
+      intentId: order.id,
+      clientSecret: order.id,
+      status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+    };
+  }
+
+  // Verify the checkout signature: HMAC-SHA256(order_id|payment_id) with the key secret
+  verifyPaymentSignature(orderId, paymentId, signature) {
+    this.assertConfigured();
+    if (!orderId || !paymentId || !signature) return false;
+
+    const expected = crypto
+      .createHmac('sha256', this.keySecret)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  async confirm(intentId, payload = {}) {
+    const paymentId = payload.razorpay_payment_id;
+
+    if (payload.razorpay_order_id && payload.razorpay_order_id !== intentId) {
+      throw new ErrorResponse('Payment does not belong to this order', 400);
+    }
+
+    if (!this.verifyPaymentSignature(intentId, paymentId, payload.razorpay_signature)) {
+      throw new ErrorResponse('Invalid payment signature', 400);
+    }
+
+    const payment = await this.request('GET', `/payments/${paymentId}`);
+
+    if (payment.status === 'authorized') {
+      return this.capture(intentId, {
+        paymentId,
+        amount: PaymentGateway.fromMinorUnits(payment.amount),
+        currency: payment.currency,
+      });
+    }
+
+    return {
+      status: STATUS_MAP[payment.status] || PAYMENT_STATUS.PROCESSING,
+      paymentId,
+      fee: paymentFee(payment),
+      message: payment.error_description,
+    };
+  }
+
+  async capture(intentId, { paymentId, amount, currency }) {
+    const payment = await this.request('POST', `/payments/${paymentId}/capture`, {
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency,
+    });
+
+    return {
+      status: STATUS_MAP[payment.status] || PAYMENT_STATUS.PROCESSING,
+      paymentId: payment.id,
+      fee: paymentFee(payment),
+    };
+  }
+
+  async refund(paymentId, { amount, metadata = {} }) {
+    const refund = await this.request('POST', `/payments/${paymentId}/refund`, {
+      amount: PaymentGateway.toMinorUnits(amount),
+      notes: metadata,
+    });
+
+    return {
+      refundId: refund.id,
+      status: REFUND_STATUS_MAP[refund.status] || PAYMENT_STATUS.PROCESSING,
+    };
+  }
+
+  // Charge a saved token (e-mandate, card or UPI autopay). Razorpay settles these
+  // asynchronously, so the result stays processing until the payment webhook arrives.
+  async chargeSaved({ amount, currency, customerId, paymentMethodId, email, contact, metadata = {} }) {
+    const order = await this.request('POST', '/orders', {
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency,
+      notes: metadata,
+    });
+
+    const payment = await this.request('POST', '/payments/create/recurring', {
+      email,
+      contact,
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency,
+      order_id: order.id,
+      customer_id: customerId,
+      token: paymentMethodId,
+      recurring: '1',
+      notes: metadata,
+    });
+
+    return {
+      intentId: order.id,
+      status: PAYMENT_STATUS.PROCESSING,
+      paymentId: payment.razorpay_payment_id,
+    };
+  }
+
+  async fetchStatus(intentId) {
+    const payments = await this.request('GET', `/orders/${intentId}/payments`);
+    const items = payments.items || [];
+
+    // Prefer a captured payment, then an authorized one, then the latest attempt
+    const payment = items.find(p => p.status === 'captured') ||
+      items.find(p => p.status === 'authorized') ||
+      items[0];
+
+    if (!payment) {
+      return { status: PAYMENT_STATUS.REQUIRES_PAYMENT, paymentId: null };
+    }
+
+    return {
+      status: STATUS_MAP[payment.status] || PAYMENT_STATUS.PROCESSING,
+      paymentId: payment.id,
+      fee: paymentFee(payment),
+    };
+  }
+
+  // RazorpayX: create a contact and fund account, then validate it with a penny drop
+  async verifyAccount(account) {
+    const contact = await this.request('POST', '/contacts', {
+      name: account.accountHolderName,
+      type: 'vendor',
+    });
+
+    const fundAccount = await this.request('POST', '/fund_accounts', account.type === 'upi'
+      ? { contact_id: contact.id, account_type: 'vpa', vpa: { address: account.upiId } }
+      : {
+        contact_id: contact.id,
+        account_type: 'bank_account',
+        bank_account: {
+          name: account.accountHolderName,
+          ifsc: account.ifsc,
+          account_number: account.accountNumber,
+        },
+      });
+
+    const validation = await this.request('POST', '/fund_accounts/validations', {
+      account_number: process.env.RAZORPAYX_ACCOUNT_NUMBER,
+      fund_account: { id: fundAccount.id },
+      amount: 100,
+      currency: 'INR',
+    });
+
+    // Validations usually complete asynchronously; pending ones are left for manual review
+    let status = 'pending';
+    if (validation.status === 'completed') {
+      status = validation.results && validation.results.account_status === 'active' ? 'verified' : 'failed';
+    } else if (validation.status === 'failed') {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      providerAccountId: fundAccount.id,
+      message: validation.results ? validation.results.registered_name : undefined,
+    };
+  }
+
+  async createPayout({ amount, currency, account, metadata = {} }) {
+    const payout = await this.request('POST', '/payouts', {
+      account_number: process.env.RAZORPAYX_ACCOUNT_NUMBER,
+      fund_account_id: account.providerAccountId,
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency,
+      mode: account.type === 'upi' ? 'UPI' : 'IMPS',
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: metadata.payoutId,
+      notes: metadata,
+    });
+
+    return {
+      payoutId: payout.id,
+      status: PAYOUT_STATUS_MAP[payout.status] || PAYMENT_STATUS.PROCESSING,
+      message: payout.failure_reason,
+    };
+  }
+
+  // Webhooks are signed with HMAC-SHA256(body) using the webhook secret
+  parseWebhook(rawBody, headers) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+    if (!PaymentGateway.verifyHmac(secret, rawBody, headers['x-razorpay-signature'])) {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const entities = event.payload || {};
+    const payment = entities.payment ? entities.payment.entity : {};
+    const refund = entities.refund ? entities.refund.entity : null;
+    const dispute = entities.dispute ? entities.dispute.entity : null;
+    const payout = entities.payout ? entities.payout.entity : null;
+    const subject = refund || dispute || payout || payment;
+
+    return {
+      // Razorpay sends a unique event ID header; fall back to a stable composite key
+      id: headers['x-razorpay-event-id'] || `${event.event}:${subject.id}:${event.created_at}`,
+      type: EVENT_MAP[event.event] || WEBHOOK_EVENT.IGNORED,
+      intentId: payment.order_id,
+      paymentId: payment.id || (refund && refund.payment_id) || (dispute && dispute.payment_id),
+      refundId: refund ? refund.id : undefined,
+      payoutId: payout ? payout.id : undefined,
+      amount: subject.amount !== undefined ? PaymentGateway.fromMinorUnits(subject.amount) : undefined,
+      message: payout ? payout.failure_reason : payment.error_description,
+    };
+  }
+}
+
+module.exports = RazorpayGateway;
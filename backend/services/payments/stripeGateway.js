@@ -0,0 +1,229 @@
+const PaymentGateway = require('./paymentGateway');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const { PAYMENT_STATUS, WEBHOOK_EVENT } = PaymentGateway;
+
+const API_BASE = 'https://api.stripe.com/v1';
+
+// Reject webhooks whose signature timestamp is older than this
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Map Stripe PaymentIntent statuses to normalized statuses
+const STATUS_MAP = {
+  requires_payment_method: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  requires_confirmation: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  requires_action: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  processing: PAYMENT_STATUS.PROCESSING,
+  requires_capture: PAYMENT_STATUS.REQUIRES_CAPTURE,
+  succeeded: PAYMENT_STATUS.SUCCEEDED,
+  canceled: PAYMENT_STATUS.FAILED,
+};
+
+const REFUND_STATUS_MAP = {
+  pending: PAYMENT_STATUS.PROCESSING,
+  requires_action: PAYMENT_STATUS.PROCESSING,
+  succeeded: PAYMENT_STATUS.SUCCEEDED,
+  failed: PAYMENT_STATUS.FAILED,
+  canceled: PAYMENT_STATUS.FAILED,
+};
+
+// Encode nested objects the way Stripe expects (metadata[key]=value)
+const toFormBody = (params, prefix, pairs = []) => {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      toFormBody(value, name, pairs);
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  });
+  return pairs.join('&');
+};
+
+/**
+ * Stripe-style gateway: a PaymentIntent is created server-side and confirmed
+ * by the client with its client secret; the server then verifies its status.
+ */
+class StripeGateway extends PaymentGateway {
+  constructor({ secretKey } = {}) {
+    super('stripe');
+    this.secretKey = secretKey || process.env.STRIPE_SECRET_KEY;
+  }
+
+  async request(method, path, params) {
+    if (!this.secretKey) {
+      throw new ErrorResponse('Stripe credentials are not configured', 500);
+    }
+
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params ? toFormBody(params) : undefined,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const message = data.error && data.error.message ? data.error.message : 'Stripe request failed';
+      throw new ErrorResponse(message, response.status >= 500 ? 502 : 400);
+    }
+
+    return data;
+  }
+
+  normalizeIntent(intent) {
+    return {
+      status: STATUS_MAP[intent.status] || PAYMENT_STATUS.PROCESSING,
+      paymentId: intent.latest_charge || null,
+      message: intent.last_payment_error ? intent.last_payment_error.message : undefined,
+    };
+  }
+
+  async createIntent({ amount, currency, metadata = {} }) {
+    const intent = await this.request('POST', '/payment_intents', {
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      metadata,
+      automatic_payment_methods: { enabled: true },
+    });
+
+    return {
+      intentId: intent.id,
+      clientSecret: intent.client_secret,
+      status: STATUS_MAP[intent.status] || PAYMENT_STATUS.REQUIRES_PAYMENT,
+    };
+  }
+
+  async confirm(intentId, payload = {}) {
+    let intent;
+
+    if (payload.paymentMethodId) {
+      intent = await this.request('POST', `/payment_intents/${intentId}/confirm`, {
+        payment_method: payload.paymentMethodId,
+      });
+    } else {
+      // The client already confirmed with stripe.js; verify the result server-side
+      intent = await this.request('GET', `/payment_intents/${intentId}`);
+    }
+
+    if (intent.status === 'requires_capture') {
+      return this.capture(intentId, {});
+    }
+
+    return this.normalizeIntent(intent);
+  }
+
+  async capture(intentId, { amount } = {}) {
+    const intent = await this.request('POST', `/payment_intents/${intentId}/capture`, {
+      amount_to_capture: amount ? PaymentGateway.toMinorUnits(amount) : undefined,
+    });
+
+    return this.normalizeIntent(intent);
+  }
+
+  async refund(paymentId, { amount, metadata = {} }) {
+    const refund = await this.request('POST', '/refunds', {
+      charge: paymentId,
+      amount: PaymentGateway.toMinorUnits(amount),
+      metadata,
+    });
+
+    return {
+      refundId: refund.id,
+      status: REFUND_STATUS_MAP[refund.status] || PAYMENT_STATUS.PROCESSING,
+    };
+  }
+
+  // Off-session charge of a payment method saved to a Stripe customer
+  async chargeSaved({ amount, currency, customerId, paymentMethodId, metadata = {} }) {
+    let intent;
+
+    try {
+      intent = await this.request('POST', '/payment_intents', {
+        amount: PaymentGateway.toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        payment_method: paymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata,
+      });
+    } catch (error) {
+      // Declined cards are reported as request errors
+      if (error.status !== 400) throw error;
+      return { intentId: null, status: PAYMENT_STATUS.FAILED, paymentId: null, message: error.message };
+    }
+
+    return { intentId: intent.id, ...this.normalizeIntent(intent) };
+  }
+
+  async fetchStatus(intentId) {
+    const intent = await this.request('GET', `/payment_intents/${intentId}`);
+    return this.normalizeIntent(intent);
+  }
+
+  // Map a Stripe event to a normalized event type
+  getEventType(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return WEBHOOK_EVENT.PAYMENT_SUCCEEDED;
+      case 'payment_intent.payment_failed':
+        return WEBHOOK_EVENT.PAYMENT_FAILED;
+      case 'refund.created':
+      case 'refund.updated':
+        return object.status === 'succeeded' ? WEBHOOK_EVENT.REFUND_SUCCEEDED : WEBHOOK_EVENT.IGNORED;
+      case 'charge.dispute.created':
+        return WEBHOOK_EVENT.DISPUTE_CREATED;
+      case 'charge.dispute.closed':
+        return object.status === 'won' ? WEBHOOK_EVENT.DISPUTE_WON : WEBHOOK_EVENT.DISPUTE_LOST;
+      default:
+        return WEBHOOK_EVENT.IGNORED;
+    }
+  }
+
+  // Stripe-Signature header is "t=<timestamp>,v1=<HMAC-SHA256(timestamp.body)>"
+  parseWebhook(rawBody, headers) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const parts = String(headers['stripe-signature'] || '').split(',').reduce((acc, part) => {
+      const [key, value] = part.split('=');
+      if (key === 't') acc.timestamp = value;
+      if (key === 'v1') acc.signatures.push(value);
+      return acc;
+    }, { timestamp: null, signatures: [] });
+
+    const signedPayload = `${parts.timestamp}.${rawBody.toString()}`;
+    const valid = parts.timestamp &&
+      parts.signatures.some(signature => PaymentGateway.verifyHmac(secret, signedPayload, signature));
+
+    if (!valid) {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    if (Math.abs(Date.now() / 1000 - Number(parts.timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new ErrorResponse('Webhook timestamp is outside the tolerance window', 400);
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const object = event.data.object;
+    const isIntent = object.object === 'payment_intent';
+
+    return {
+      id: event.id,
+      type: this.getEventType(event),
+      intentId: isIntent ? object.id : object.payment_intent,
+      paymentId: isIntent ? object.latest_charge : object.charge,
+      refundId: object.object === 'refund' ? object.id : undefined,
+      amount: PaymentGateway.fromMinorUnits(object.amount),
+      message: object.last_payment_error ? object.last_payment_error.message : undefined,
+    };
+  }
+}
+
+module.exports = StripeGateway;
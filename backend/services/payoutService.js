@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Payout = require('../models/Payout');
+const PayoutAccount = require('../models/PayoutAccount');
+const LedgerService = require('./ledgerService');
+const MilestoneService = require('./milestoneService');
+const FraudDetectionService = require('./fraudDetection');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPaymentGateway, PAYMENT_STATUS, WEBHOOK_EVENT } = require('./payments');
+const { getPlatformCurrency } = require('./currency');
+
+// Fraud risk levels from lowest to highest
+const RISK_LEVELS = ['Very Low', 'Low', 'Medium', 'High', 'Very High', 'Critical'];
+
+// Campaign statuses whose funds can be withdrawn
+const PAYABLE_CAMPAIGN_STATUSES = ['active', 'completed'];
+
+class PayoutService {
+
+  // Payouts go through PAYOUT_PROVIDER, falling back to the payment provider
+  static getGateway() {
+    return getPaymentGateway(process.env.PAYOUT_PROVIDER || undefined);
+  }
+
+  /**
+   * Register a bank account or UPI handle and try to verify it with the provider.
+   * Providers without account verification leave it pending for an admin.
+   * @param {String} userId - Account owner
+   * @param {Object} details - { type, accountHolderName, accountNumber, ifsc, upiId }
+   * @returns {Document} Payout account
+   */
+  static async registerAccount(userId, { type, accountHolderName, accountNumber, ifsc, upiId }) {
+    const account = new PayoutAccount({
+      user: userId,
+      type,
+      accountHolderName,
+      accountNumber: type === 'bank' ? accountNumber : undefined,
+      ifsc: type === 'bank' ? ifsc : undefined,
+      upiId: type === 'upi' ? upiId : undefined,
+    });
+
+    // Validate formats before sending anything to the provider
+    try {
+      await account.validate();
+    } catch (error) {
+      const message = error.errors ? Object.values(error.errors).map(err => err.message).join(', ') : error.message;
+      throw new ErrorResponse(message, 400);
+    }
+
+    const gateway = this.getGateway();
+    account.provider = gateway.name;
+
+    try {
+      const result = await gateway.verifyAccount(account);
+
+      account.providerAccountId = result.providerAccountId;
+      account.verificationStatus = result.status;
+      account.verificationMethod = 'provider';
+      account.verificationNote = result.message;
+      if (result.status === 'verified') {
+        account.verifiedAt = new Date();
+      }
+    } catch (error) {
+      if (error.status !== 501) throw error;
+      account.verificationNote = 'Awaiting manual verification';
+    }
+
+    await account.save();
+    return account;
+  }
+
+  // Whether a campaign's fraud risk is at or above the payout hold threshold
+  static async isHighRisk(campaign) {
+    let riskLevel = campaign.fraudAnalysisData && campaign.fraudAnalysisData.riskLevel;
+
+    if (!riskLevel || riskLevel === 'Unknown') {
+      const analysis = await FraudDetectionService.analyzeCampaign(campaign.toObject());
+      riskLevel = analysis.riskLevel;
+    }
+
+    const threshold = RISK_LEVELS.indexOf(process.env.PAYOUT_HOLD_RISK_LEVEL || 'High');
+    const level = RISK_LEVELS.indexOf(riskLevel);
+
+    // Unknown levels are held as a precaution
+    return level === -1 || level >= threshold;
+  }
+
+  /**
+   * Ledger balance of a campaign less payouts that are still in progress: what refunds
+   * and chargebacks can take back without the campaign going negative.
+   * Unlike getAvailableBalance, escrowed funds not yet released by milestones count.
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} { balance, outstanding, available }
+   */
+  static async getRefundableBalance(campaignId) {
+    const balance = await LedgerService.getCampaignBalance(campaignId);
+    const payouts = await Payout.find({ campaign: campaignId, status: { $in: Payout.OUTSTANDING_STATUSES } }, 'amount');
+    const outstanding = payouts.reduce((total, payout) => total + payout.amount, 0);
+
+    return {
+      balance,
+      outstanding,
+      available: Math.max(0, Math.round((balance - outstanding) * 100) / 100),
+    };
+  }
+
+  /**
+   * Ledger balance of a campaign less payouts that are still in progress.
+   * Escrow campaigns are further limited to what their approved milestones have released.
+   * @param {String} campaignId - Campaign ID
+   * @param {String} excludePayoutId - Payout to leave out of the outstanding total
+   * @param {Object} options - { session } to read inside the caller's database transaction
+   * @returns {Object} { balance, outstanding, released, available }
+   */
+  static async getAvailableBalance(campaignId, excludePayoutId, { session } = {}) {
+    const balance = await LedgerService.getCampaignBalance(campaignId, { session });
+    const campaign = await Campaign.findById(campaignId, 'escrowEnabled milestones').session(session || null);
+
+    const query = { campaign: campaignId, status: { $in: [...Payout.OUTSTANDING_STATUSES, 'paid'] } };
+    if (excludePayoutId) query._id = { $ne: excludePayoutId };
+
+    const payouts = await Payout.find(query, 'amount status').session(session || null);
+    const sum = (items) => items.reduce((total, payout) => total + payout.amount, 0);
+    const outstanding = sum(payouts.filter(payout => payout.status !== 'paid'));
+    const paid = sum(payouts.filter(payout => payout.status === 'paid'));
+
+    let available = balance - outstanding;
+
+    const released = campaign ? MilestoneService.getReleasedLimit(campaign) : Infinity;
+    if (released !== Infinity) {
+      available = Math.min(available, released - paid - outstanding);
+    }
+
+    return {
+      balance,
+      outstanding,
+      released: released === Infinity ? null : released,
+      available: Math.max(0, Math.round(available * 100) / 100),
+    };
+  }
+
+  /**
+   * Request a withdrawal for a campaign owned by the user
+   * @param {Object} params - { campaignId, accountId, amount, userId }
+   * @returns {Document} Payout
+   */
+  static async requestPayout({ campaignId, accountId, amount, userId }) {
+    const payoutAmount = Number(amount);
+    if (!(payoutAmount > 0)) {
+      throw new ErrorResponse('Please provide a valid payout amount', 400);
+    }
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new ErrorResponse('Campaign not found', 404);
+    }
+    if (campaign.creator.toString() !== userId) {
+      throw new ErrorResponse('Not authorized to withdraw from this campaign', 403);
+    }
+    if (!PAYABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse(`Funds cannot be withdrawn from a ${campaign.status} campaign`, 400);
+    }
+
+    const account = await PayoutAccount.findOne({ _id: accountId, user: userId });
+    if (!account) {
+      throw new ErrorResponse('Payout account not found', 404);
+    }
+    if (account.verificationStatus !== 'verified') {
+      throw new ErrorResponse('Payout account has not been verified', 400);
+    }
+
+    const highRisk = await this.isHighRisk(campaign);
+
+    // Requests for the same campaign are serialized: each one first writes to the campaign in its
+    // transaction, so a concurrent request conflicts, is retried, and then sees this payout.
+    return mongoose.connection.transaction(async (session) => {
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { payoutRequestedAt: new Date() } }, { session });
+
+      const { available } = await this.getAvailableBalance(campaign._id, null, { session });
+      if (payoutAmount > available) {
+        throw new ErrorResponse(`Requested amount exceeds the available balance of ${available}`, 400);
+      }
+
+      const payout = new Payout({
+        campaign: campaign._id,
+        creator: userId,
+        account: account._id,
+        amount: payoutAmount,
+        currency: campaign.currency || getPlatformCurrency(),
+      });
+
+      if (highRisk) {
+        payout.holdReason = `Campaign fraud risk is ${campaign.fraudAnalysisData && campaign.fraudAnalysisData.riskLevel || 'unknown'}`;
+        payout.setStatus('on_hold', payout.holdReason, userId);
+      } else {
+        payout.setStatus('requested', 'Withdrawal requested', userId);
+      }
+
+      await payout.save({ session });
+      return payout;
+    });
+  }
+
+  /**
+   * Approve a payout and send it to the provider.
+   * Held payouts need an explicit override and note.
+   * @param {Document} payout - Requested or held payout
+   * @param {Object} params - { adminId, note, overrideHold }
+   * @returns {Document} Updated payout
+   */
+  static async approvePayout(payout, { adminId, note, overrideHold }) {
+    if (!['requested', 'on_hold'].includes(payout.status)) {
+      throw new ErrorResponse(`A ${payout.status} payout cannot be approved`, 400);
+    }
+
+    const campaign = await Campaign.findById(payout.campaign);
+    if (!PAYABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      throw new ErrorResponse(`Funds cannot be withdrawn from a ${campaign.status} campaign`, 400);
+    }
+
+    if ((payout.status === 'on_hold' || await this.isHighRisk(campaign)) && !(overrideHold && note)) {
+      throw new ErrorResponse('This payout is held for fraud risk; provide overrideHold and a note to approve it', 400);
+    }
+
+    const { available } = await this.getAvailableBalance(payout.campaign, payout._id);
+    if (payout.amount > available) {
+      throw new ErrorResponse(`Payout exceeds the available balance of ${available}`, 400);
+    }
+
+    payout.approvedBy = adminId;
+    payout.setStatus('approved', note || 'Approved by admin', adminId);
+    await payout.save();
+
+    return this.processPayout(payout);
+  }
+
+  // Send an approved payout through the provider; unsupported providers wait for a manual transfer
+  static async processPayout(payout) {
+    const account = await PayoutAccount.findById(payout.account).select('+accountNumber');
+    const gateway = this.getGateway();
+
+    let result;
+    try {
+      result = await gateway.createPayout({
+        amount: payout.amount,
+        currency: payout.currency,
+        account,
+        metadata: { payoutId: payout._id.toString(), campaignId: payout.campaign.toString() },
+      });
+    } catch (error) {
+      if (error.status === 501) {
+        return payout;
+      }
+      return this.markFailed(payout, error.message);
+    }
+
+    payout.provider = gateway.name;
+    payout.providerPayoutId = result.payoutId;
+
+    if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+      return this.markPaid(payout, {});
+    }
+    if (result.status === PAYMENT_STATUS.FAILED) {
+      return this.markFailed(payout, result.message || 'Payout was rejected by the provider');
+    }
+
+    payout.setStatus('processing', 'Sent to payment provider');
+    await payout.save();
+    return payout;
+  }
+
+  // Mark a payout paid and move the money out of the campaign in the ledger
+  static async markPaid(payout, { reference, adminId }) {
+    if (!['approved', 'processing'].includes(payout.status)) {
+      throw new ErrorResponse(`A ${payout.status} payout cannot be marked paid`, 400);
+    }
+
+    await LedgerService.recordCampaignMovement({
+      direction: 'debit',
+      counterAccount: 'payouts',
+      transactionId: `payout:${payout._id}`,
+      type: 'payout',
+      amount: payout.amount,
+      campaign: payout.campaign,
+      memo: reference || payout.providerPayoutId,
+      createdBy: adminId,
+    });
+
+    payout.reference = reference || payout.reference;
+    payout.paidAt = new Date();
+    payout.setStatus('paid', reference ? `Paid manually (${reference})` : 'Paid', adminId);
+    await payout.save();
+    return payout;
+  }
+
+  static async markFailed(payout, reason, adminId) {
+    if (!['approved', 'processing'].includes(payout.status)) {
+      throw new ErrorResponse(`A ${payout.status} payout cannot be marked failed`, 400);
+    }
+
+    payout.failureReason = reason;
+    payout.setStatus('failed', reason, adminId);
+    await payout.save();
+    return payout;
+  }
+
+  // Apply a payout webhook from the provider
+  static async applyPayoutEvent(provider, event, record) {
+    const payout = await Payout.findOne({ provider, providerPayoutId: event.payoutId });
+    if (!payout) {
+      return 'ignored';
+    }
+
+    record.payout = payout._id;
+
+    if (!['approved', 'processing'].includes(payout.status)) {
+      return 'ignored';
+    }
+
+    if (event.type === WEBHOOK_EVENT.PAYOUT_PAID) {
+      await this.markPaid(payout, {});
+    } else {
+      await this.markFailed(payout, event.message || 'Payout failed');
+    }
+
+    return 'processed';
+  }
+}
+
+PayoutService.RISK_LEVELS = RISK_LEVELS;
+
+module.exports = PayoutService;
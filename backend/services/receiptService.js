@@ -0,0 +1,210 @@
+const Donation = require('../models/Donation');
+const Campaign = require('../models/Campaign');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const amountInWords = require('../utils/amountInWords');
+const generateReceiptPdf = require('../utils/receiptPdf');
+const { sendMail } = require('../utils/mailer');
+const { signClaimToken } = require('../utils/guestTokens');
+const { getCurrencyUnits } = require('./currency');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:8080';
+
+// Financial years run April to March in Indian time
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Donations that can be receipted: completed, or partially refunded for the amount kept
+const RECEIPTABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata',
+});
+
+class ReceiptService {
+
+  /**
+   * Financial year a date falls in
+   * @param {Date} date - Date
+   * @returns {Object} { label: '2025-26', start, end }
+   */
+  static getFinancialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+
+    return {
+      label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+      start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+      end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS),
+    };
+  }
+
+  /**
+   * Financial year from a label such as "2025-26" (or just its starting year, "2025")
+   * @param {String} value - Financial year label
+   * @returns {Object|null} { label, start, end }, or null if the label is invalid
+   */
+  static parseFinancialYear(value) {
+    const match = /^(\d{4})(?:-(\d{2}))?$/.exec(String(value));
+    if (!match) return null;
+
+    const startYear = parseInt(match[1], 10);
+    if (match[2] && parseInt(match[2], 10) !== (startYear + 1) % 100) return null;
+
+    // Any date inside the year will do; mid-year avoids time zone edges
+    return this.getFinancialYear(new Date(Date.UTC(startYear, 6, 1)));
+  }
+
+  /**
+   * Next receipt number in the financial year of the given date, e.g. FS/2025-26/000123.
+   * Each financial year has its own counter starting at 1.
+   * @param {Date} date - Donation completion date
+   * @returns {String} Receipt number
+   */
+  static async nextReceiptNumber(date = new Date()) {
+    const { label } = this.getFinancialYear(date);
+    const seq = await Counter.next(`receipt:${label}`);
+    const prefix = process.env.RECEIPT_PREFIX || 'FS';
+
+    return `${prefix}/${label}/${String(seq).padStart(6, '0')}`;
+  }
+
+  // Organisation issuing receipts for a campaign: its own registration, or the platform's
+  static getOrganization(campaign) {
+    const own = campaign && campaign.organization;
+
+    if (own && own.name) {
+      return {
+        name: own.name,
+        address: own.address,
+        pan: own.pan,
+        registration80G: own.registration80G,
+        registration80GValidUntil: own.registration80GValidUntil ? formatDate(own.registration80GValidUntil) : undefined,
+      };
+    }
+
+    return {
+      name: process.env.ORG_NAME || 'FundSure',
+      address: process.env.ORG_ADDRESS,
+      pan: process.env.ORG_PAN,
+      registration80G: process.env.ORG_80G_REGISTRATION,
+      registration80GValidUntil: process.env.ORG_80G_VALID_UNTIL,
+    };
+  }
+
+  /**
+   * Everything printed on a donation's receipt
+   * @param {Document} donation - Completed donation
+   * @returns {Object} { organization, donor, donation, campaign }
+   */
+  static async buildReceiptData(donation) {
+    if (!RECEIPTABLE_STATUSES.includes(donation.status)) {
+      throw new ErrorResponse('Receipts are only available for completed donations', 400);
+    }
+
+    // Donations completed before sequential numbering get a number the first time they are receipted
+    if (!donation.receipt) {
+      const receipt = await this.nextReceiptNumber(donation.completedAt || donation.createdAt);
+      const assigned = await Donation.findOneAndUpdate(
+        { _id: donation._id, receipt: { $exists: false } },
+        { receipt },
+        { new: true }
+      );
+      donation.receipt = assigned ? assigned.receipt : (await Donation.findById(donation._id, 'receipt')).receipt;
+    }
+
+    const campaign = await Campaign.findById(donation.campaign, 'title organization');
+    const user = donation.donor ? await User.findById(donation.donor) : null;
+    const amount = donation.amount - (donation.refundedAmount || 0);
+
+    return {
+      organization: this.getOrganization(campaign),
+      donor: user
+        ? { name: user.name, email: user.email, pan: user.pan }
+        : { name: donation.guest.name, email: donation.guest.email, pan: donation.guest.pan },
+      campaign: {
+        title: campaign ? campaign.title : 'Campaign',
+      },
+      donation: {
+        receiptNumber: donation.receipt,
+        date: formatDate(donation.completedAt || donation.createdAt),
+        amount,
+        refundedAmount: donation.refundedAmount || 0,
+        currency: donation.currency,
+        amountInWords: amountInWords(amount, getCurrencyUnits(donation.currency)),
+        paymentMode: `Online (${donation.provider})`,
+        paymentReference: donation.paymentId,
+      },
+    };
+  }
+
+  /**
+   * Render a donation's receipt as a PDF
+   * @param {Document} donation - Completed donation
+   * @returns {Object} { filename, pdf }
+   */
+  static async generateReceipt(donation) {
+    const data = await this.buildReceiptData(donation);
+    const pdf = await generateReceiptPdf(data);
+
+    return {
+      filename: `receipt-${data.donation.receiptNumber.replace(/\//g, '-')}.pdf`,
+      pdf,
+    };
+  }
+
+  /**
+   * Email a receipt to a guest donor, with a link to claim their guest donations into an account.
+   * Each donation is emailed at most once.
+   * @param {Document} donation - Completed guest donation
+   * @returns {Boolean} Whether an email was sent
+   */
+  static async sendGuestReceipt(donation) {
+    if (!donation.guest || !donation.guest.email) {
+      return false;
+    }
+
+    const claimed = await Donation.updateOne(
+      { _id: donation._id, receiptEmailedAt: { $exists: false } },
+      { $set: { receiptEmailedAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    const { filename, pdf } = await this.generateReceipt(donation);
+    const campaign = await Campaign.findById(donation.campaign, 'title');
+    const claimUrl = `${clientUrl()}/claim-donations?token=${signClaimToken(donation.guest.email)}`;
+
+    const lines = [
+      `Dear ${donation.guest.name},`,
+      '',
+      `Thank you for your donation to "${campaign ? campaign.title : 'a FundSure campaign'}".`,
+      '',
+      `Receipt number: ${donation.receipt}`,
+      `Amount: ${donation.currency} ${donation.amount}`,
+      `Date: ${formatDate(donation.completedAt || donation.createdAt)}`,
+      donation.guest.pan ? `PAN: ${donation.guest.pan}` : null,
+      '',
+      'Your receipt is attached. Create a FundSure account with this email address and open',
+      'the link below to add this and your other guest donations to your donation history:',
+      claimUrl,
+    ].filter(line => line !== null);
+
+    await sendMail({
+      to: donation.guest.email,
+      subject: `Your donation receipt ${donation.receipt}`,
+      text: lines.join('\n'),
+      attachments: [{ filename, content: pdf, contentType: 'application/pdf' }],
+    });
+
+    return true;
+  }
+}
+
+ReceiptService.RECEIPTABLE_STATUSES = RECEIPTABLE_STATUSES;
+
+module.exports = ReceiptService;
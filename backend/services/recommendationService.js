@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const { toPlatformAmount } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each signal contributes to a campaign's score (they add up to 1)
+const WEIGHTS = {
+  category: 0.4,
+  coDonation: 0.3,
+  amount: 0.15,
+  momentum: 0.15,
+};
+
+// Older donations say less about what a donor cares about now
+const INTEREST_HALF_LIFE_DAYS = 180;
+
+// Limits that keep the co-donation lookup and candidate scoring cheap
+const MAX_PEER_DONORS = 500;
+const MAX_CANDIDATES = 500;
+
+const CAMPAIGN_FIELDS = 'title description category goalAmount raisedAmount currency endDate isEmergency backers imageUrl creator createdAt';
+
+const platformAmount = (amount, currency) => {
+  try {
+    return toPlatformAmount(amount || 0, currency);
+  } catch (error) {
+    return amount || 0;
+  }
+};
+
+class RecommendationService {
+
+  /**
+   * What a user's donations say about them
+   * @param {String} userId - User ID
+   * @returns {Object} { donationCount, categories: { name: 0..1 }, topCategory, averageGoalLog, donatedCampaignIds }
+   */
+  static async getDonorProfile(userId, now = new Date()) {
+    const donations = await Donation.find({ donor: userId, status: { $in: Donation.CREDITED_STATUSES } })
+      .select('campaign amount platformAmount completedAt createdAt')
+      .populate('campaign', 'category goalAmount currency');
+
+    const categoryWeights = {};
+    const goalLogs = [];
+    const donatedCampaignIds = new Set();
+
+    donations.forEach(donation => {
+      if (!donation.campaign) return;
+      donatedCampaignIds.add(donation.campaign._id.toString());
+
+      // Each donation counts by recency, and a little more the larger it is
+      const ageDays = (now - (donation.completedAt || donation.createdAt)) / DAY_MS;
+      const recency = Math.pow(0.5, Math.max(ageDays, 0) / INTEREST_HALF_LIFE_DAYS);
+      const size = 1 + Math.log10(1 + (donation.platformAmount || donation.amount || 0));
+      const category = donation.campaign.category || 'General';
+      categoryWeights[category] = (categoryWeights[category] || 0) + recency * size;
+
+      const goal = platformAmount(donation.campaign.goalAmount, donation.campaign.currency);
+      if (goal > 0) goalLogs.push(Math.log10(goal));
+    });
+
+    // Scale so the favourite category scores 1
+    const top = Math.max(0, ...Object.values(categoryWeights));
+    const categories = {};
+    Object.entries(categoryWeights).forEach(([category, weight]) => {
+      categories[category] = top > 0 ? weight / top : 0;
+    });
+
+    return {
+      donationCount: donations.length,
+      categories,
+      topCategory: Object.keys(categories).sort((a, b) => categories[b] - categories[a])[0] || null,
+      averageGoalLog: goalLogs.length ? goalLogs.reduce((sum, value) => sum + value, 0) / goalLogs.length : null,
+      donatedCampaignIds,
+    };
+  }
+
+  /**
+   * Donors who gave to the same campaigns as this user, and where else they gave.
+   * Scores are the share of those donors who gave to each campaign, scaled so the most shared is 1.
+   * @param {String} userId - User ID
+   * @param {Set} donatedCampaignIds - Campaigns the user gave to
+   * @returns {Map} campaignId -> { score, via: campaignId the overlap came through }
+   */
+  static async getCoDonationScores(userId, donatedCampaignIds) {
+    const scores = new Map();
+    if (donatedCampaignIds.size === 0) return scores;
+
+    const campaignIds = [...donatedCampaignIds].map(id => new mongoose.Types.ObjectId(id));
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+    const peers = await Donation.aggregate([
+      {
+        $match: {
+          campaign: { $in: campaignIds },
+          donor: { $exists: true, $ne: userObjectId },
+          status: { $in: Donation.CREDITED_STATUSES },
+        },
+      },
+      { $group: { _id: '$donor', sharedCampaign: { $first: '$campaign' } } },
+      { $limit: MAX_PEER_DONORS },
+    ]);
+    if (peers.length === 0) return scores;
+
+    const peerCampaigns = await Donation.aggregate([
+      {
+        $match: {
+          donor: { $in: peers.map(peer => peer._id) },
+          campaign: { $nin: campaignIds },
+          status: { $in: Donation.CREDITED_STATUSES },
+        },
+      },
+      // Count each peer once per campaign
+      { $group: { _id: { campaign: '$campaign', donor: '$donor' } } },
+      { $group: { _id: '$_id.campaign', donors: { $push: '$_id.donor' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: MAX_CANDIDATES },
+    ]);
+    if (peerCampaigns.length === 0) return scores;
+
+    const sharedByPeer = new Map(peers.map(peer => [peer._id.toString(), peer.sharedCampaign]));
+    const top = peerCampaigns[0].count;
+
+    peerCampaigns.forEach(({ _id, donors, count }) => {
+      scores.set(_id.toString(), {
+        score: count / top,
+        via: sharedByPeer.get(donors[0].toString()),
+      });
+    });
+
+    return scores;
+  }
+
+  // How close a campaign's goal is to the goals of campaigns the user has backed, 0..1
+  static getAmountFit(campaign, averageGoalLog) {
+    if (averageGoalLog === null) return 0;
+    const goal = platformAmount(campaign.goalAmount, campaign.currency);
+    if (!(goal > 0)) return 0;
+    return Math.exp(-Math.abs(Math.log10(goal) - averageGoalLog));
+  }
+
+  // Campaigns close to their goal, ending soon or marked as emergencies, 0..1
+  static getMomentum(campaign, now) {
+    const fundedRatio = campaign.goalAmount > 0 ? campaign.raisedAmount / campaign.goalAmount : 0;
+    const daysLeft = campaign.endDate ? (campaign.endDate - now) / DAY_MS : Infinity;
+
+    return (fundedRatio < 1 ? fundedRatio * 0.5 : 0) +
+      (campaign.isEmergency ? 0.3 : 0) +
+      (daysLeft <= 7 ? 0.2 : 0);
+  }
+
+  /**
+   * Active campaigns recommended for a user, best first, with the reasons behind each.
+   * Users with no donations get popular and urgent campaigns.
+   * @param {String} userId - User ID
+   * @param {Object} options - { limit, category }
+   * @returns {Object} { profile: { donationCount, topCategory }, recommendations: [{ campaign, score, reasons }] }
+   */
+  static async getRecommendations(userId, { limit = 10, category } = {}) {
+    const now = new Date();
+    const profile = await this.getDonorProfile(userId, now);
+    const coDonation = await this.getCoDonationScores(userId, profile.donatedCampaignIds);
+
+    const query = {
+      status: 'active',
+      endDate: { $gt: now },
+      creator: { $ne: userId },
+      _id: { $nin: [...profile.donatedCampaignIds] },
+    };
+    if (category) query.category = category;
+
+    // Candidates: the user's categories, campaigns their peers backed, and the most backed of the rest
+    const preferred = Object.keys(profile.categories);
+    const [related, popular] = await Promise.all([
+      Campaign.find({
+        ...query,
+        $or: [
+          { category: { $in: preferred } },
+          { _id: { $in: [...coDonation.keys()] } },
+        ],
+      }).select(CAMPAIGN_FIELDS).limit(MAX_CANDIDATES),
+      Campaign.find(query).select(CAMPAIGN_FIELDS).sort({ backers: -1, createdAt: -1 }).limit(100),
+    ]);
+
+    const candidates = new Map();
+    [...related, ...popular].forEach(campaign => candidates.set(campaign._id.toString(), campaign));
+
+    const viaIds = [...new Set([...coDonation.values()].map(({ via }) => via && via.toString()).filter(Boolean))];
+    const viaTitles = new Map(
+      (await Campaign.find({ _id: { $in: viaIds } }, 'title')).map(campaign => [campaign._id.toString(), campaign.title])
+    );
+
+    const recommendations = [...candidates.values()].map(campaign => {
+      const id = campaign._id.toString();
+      const signals = {
+        category: profile.categories[campaign.category] || 0,
+        coDonation: coDonation.has(id) ? coDonation.get(id).score : 0,
+        amount: this.getAmountFit(campaign, profile.averageGoalLog),
+        momentum: this.getMomentum(campaign, now),
+      };
+
+      // Without any history only momentum and popularity can say anything
+      const score = profile.donationCount === 0
+        ? signals.momentum * 0.7 + Math.min(Math.log10(1 + (campaign.backers || 0)) / 3, 1) * 0.3
+        : Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * signals[key], 0);
+
+      const reasons = [];
+      if (signals.category >= 0.5) {
+        reasons.push(`You often support ${campaign.category} campaigns`);
+      } else if (signals.category > 0) {
+        reasons.push(`You have supported ${campaign.category} campaigns before`);
+      }
+      if (signals.coDonation > 0) {
+        const via = viaTitles.get(coDonation.get(id).via && coDonation.get(id).via.toString());
+        reasons.push(via ? `Donors who supported "${via}" also gave to this` : 'Donors like you also gave to this');
+      }
+      if (signals.amount >= 0.6) {
+        reasons.push("Similar in size to campaigns you've backed");
+      }
+      if (campaign.isEmergency) {
+        reasons.push('Emergency campaign');
+      }
+      if (campaign.goalAmount > 0 && campaign.raisedAmount / campaign.goalAmount >= 0.75 && campaign.raisedAmount < campaign.goalAmount) {
+        reasons.push('Nearly funded');
+      }
+      if (reasons.length === 0) {
+        reasons.push('Popular on FundSure');
+      }
+
+      return { campaign, score: Math.round(score * 1000) / 1000, signals, reasons };
+    });
+
+    recommendations.sort((a, b) => b.score - a.score || (b.campaign.backers || 0) - (a.campaign.backers || 0));
+
+    return {
+      profile: { donationCount: profile.donationCount, topCategory: profile.topCategory },
+      recommendations: recommendations.slice(0, limit),
+    };
+  }
+
+  // Plain-text recommendations, for replies that do not go through a language model
+  static formatRecommendations(recommendations) {
+    if (recommendations.length === 0) {
+      return 'There are no open campaigns to recommend right now. Please check back soon.';
+    }
+
+    return [
+      'Here are some campaigns you might like to support:',
+      ...recommendations.map(({ campaign, reasons }, index) => (
+        `${index + 1}. ${campaign.title} (${campaign.category}) - ${campaign.currency} ${campaign.raisedAmount} raised of ${campaign.currency} ${campaign.goalAmount}. ${reasons.join('; ')}.`
+      )),
+    ].join('\n');
+  }
+}
+
+RecommendationService.WEIGHTS = WEIGHTS;
+
+module.exports = RecommendationService;
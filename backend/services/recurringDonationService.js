@@ -0,0 +1,279 @@
+const RecurringDonation = require('../models/RecurringDonation');
+const Donation = require('../models/Donation');
+const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const DonationService = require('./donationService');
+const FeeService = require('./feeService');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPaymentGateway, PAYMENT_STATUS } = require('./payments');
+
+// Consecutive failed charges before a recurring donation is cancelled
+const MAX_FAILED_ATTEMPTS = 3;
+
+// Wait before retrying a failed charge
+const RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurring donations charged per scheduler run
+const BATCH_SIZE = 100;
+
+class RecurringDonationService {
+
+  // Why a campaign can no longer receive recurring donations, or null if it still can
+  static getStopReason(campaign) {
+    if (!campaign) {
+      return 'Campaign no longer exists';
+    }
+    if (['completed', 'rejected'].includes(campaign.status)) {
+      return `Campaign is ${campaign.status}`;
+    }
+    if (campaign.endDate && campaign.endDate < new Date()) {
+      return 'Campaign has ended';
+    }
+    return null;
+  }
+
+  /**
+   * Set up a recurring donation and charge its first cycle straight away
+   * @param {Object} params - { campaignId, amount, currency, interval, paymentMethodId, customerId, donorId, anonymous, message }
+   * @returns {Object} { recurring, donation }
+   */
+  static async createRecurringDonation({ campaignId, amount, currency, interval, paymentMethodId, customerId, donorId, anonymous, message }) {
+    const campaign = await DonationService.validateDonation(campaignId, amount);
+
+    const stopReason = this.getStopReason(campaign);
+    if (stopReason) {
+      throw new ErrorResponse(`Cannot set up a recurring donation: ${stopReason.toLowerCase()}`, 400);
+    }
+
+    if (!['weekly', 'monthly'].includes(interval)) {
+      throw new ErrorResponse('Please choose a weekly or monthly interval', 400);
+    }
+
+    if (!paymentMethodId) {
+      throw new ErrorResponse('Please provide a saved payment method', 400);
+    }
+
+    const now = new Date();
+    const recurring = await RecurringDonation.create({
+      campaign: campaign._id,
+      donor: donorId,
+      amount,
+      currency: DonationService.resolveCurrency(campaign, currency),
+      interval,
+      anonymous: Boolean(anonymous),
+      message,
+      provider: getPaymentGateway().name,
+      customerId,
+      paymentMethodId,
+      scheduleStart: now,
+      nextChargeAt: now,
+    });
+
+    const donation = await this.chargeCycle(recurring);
+
+    // Do not keep a recurring donation whose very first payment was declined
+    if (donation && donation.status === 'failed') {
+      await this.stop(recurring, 'cancelled', 'First payment failed');
+    }
+
+    return { recurring: await RecurringDonation.findById(recurring._id), donation };
+  }
+
+  /**
+   * Charge the current cycle of a due recurring donation.
+   * The cycle is claimed atomically so overlapping scheduler runs cannot charge it twice.
+   * @param {Document} recurring - Active recurring donation
+   * @returns {Document|null} The cycle's donation, or null if nothing was charged
+   */
+  static async chargeCycle(recurring) {
+    const campaign = await Campaign.findById(recurring.campaign);
+
+    const stopReason = this.getStopReason(campaign);
+    if (stopReason) {
+      await this.stop(recurring, 'completed', stopReason);
+      return null;
+    }
+
+    const now = new Date();
+    const nextChargeAt = recurring.getNextChargeDate(now);
+
+    const isChargeable = campaign.status === 'active';
+    const claimed = await RecurringDonation.findOneAndUpdate(
+      { _id: recurring._id, status: 'active', nextChargeAt: recurring.nextChargeAt },
+      isChargeable
+        ? { $set: { nextChargeAt, lastChargedAt: now }, $inc: { cycleCount: 1 } }
+        : { $set: { nextChargeAt } },
+      { new: true }
+    ).select('+paymentMethodId');
+
+    // Campaigns awaiting review or suspended skip the cycle without stopping
+    if (!claimed || !isChargeable) {
+      return null;
+    }
+
+    const donation = await Donation.create({
+      campaign: claimed.campaign,
+      donor: claimed.donor,
+      amount: claimed.amount,
+      currency: claimed.currency,
+      // Each cycle is converted at the rates current when it is charged
+      ...DonationService.getCurrencySnapshot(campaign, claimed.amount, claimed.currency),
+      ...FeeService.calculateFees({
+        amount: claimed.amount,
+        currency: claimed.currency,
+        category: campaign.category,
+        provider: claimed.provider,
+      }),
+      anonymous: claimed.anonymous,
+      message: claimed.message,
+      status: 'pending',
+      provider: claimed.provider,
+      recurringDonation: claimed._id,
+      cycle: claimed.cycleCount,
+    });
+
+    let result;
+    try {
+      const donor = await User.findById(claimed.donor);
+      result = await getPaymentGateway(claimed.provider).chargeSaved({
+        amount: claimed.amount,
+        currency: claimed.currency,
+        customerId: claimed.customerId,
+        paymentMethodId: claimed.paymentMethodId,
+        email: donor && donor.email,
+        contact: donor && donor.phone,
+        metadata: {
+          campaignId: claimed.campaign.toString(),
+          recurringDonationId: claimed._id.toString(),
+          cycle: String(claimed.cycleCount),
+        },
+      });
+    } catch (error) {
+      result = { status: PAYMENT_STATUS.FAILED, message: error.message };
+    }
+
+    donation.paymentIntentId = result.intentId || undefined;
+    donation.paymentId = result.paymentId || undefined;
+    await donation.save();
+    await DonationService.applyPaymentResult(donation, result);
+
+    if (donation.status === 'failed') {
+      await this.recordFailure(claimed, donation.failureReason);
+    } else if (claimed.failedAttempts > 0) {
+      await RecurringDonation.updateOne({ _id: claimed._id }, { failedAttempts: 0, lastFailureReason: null });
+    }
+
+    return donation;
+  }
+
+  // Retry a declined cycle the next day, cancelling after repeated failures
+  static async recordFailure(recurring, reason) {
+    const failedAttempts = recurring.failedAttempts + 1;
+
+    if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      await RecurringDonation.updateOne({ _id: recurring._id }, { failedAttempts, lastFailureReason: reason });
+      return this.stop(recurring, 'cancelled', `Stopped after ${MAX_FAILED_ATTEMPTS} failed payments`);
+    }
+
+    const retryAt = new Date(Date.now() + RETRY_DELAY_MS);
+    await RecurringDonation.updateOne(
+      { _id: recurring._id },
+      {
+        failedAttempts,
+        lastFailureReason: reason,
+        nextChargeAt: retryAt < recurring.nextChargeAt ? retryAt : recurring.nextChargeAt,
+      }
+    );
+  }
+
+  static async stop(recurring, status, reason) {
+    await RecurringDonation.updateOne(
+      { _id: recurring._id, status: { $in: ['active', 'paused'] } },
+      { status, stopReason: reason, endedAt: new Date() }
+    );
+  }
+
+  static async pause(recurring) {
+    if (recurring.status !== 'active') {
+      throw new ErrorResponse(`A ${recurring.status} recurring donation cannot be paused`, 400);
+    }
+
+    recurring.status = 'paused';
+    recurring.pausedAt = new Date();
+    await recurring.save();
+    return recurring;
+  }
+
+  static async resume(recurring) {
+    if (recurring.status !== 'paused') {
+      throw new ErrorResponse(`A ${recurring.status} recurring donation cannot be resumed`, 400);
+    }
+
+    const campaign = await Campaign.findById(recurring.campaign);
+    const stopReason = this.getStopReason(campaign);
+    if (stopReason) {
+      await this.stop(recurring, 'completed', stopReason);
+      throw new ErrorResponse(`Cannot resume: ${stopReason.toLowerCase()}`, 400);
+    }
+
+    // Cycles missed while paused are skipped rather than charged all at once
+    const now = new Date();
+    recurring.status = 'active';
+    recurring.pausedAt = undefined;
+    if (recurring.nextChargeAt < now) {
+      recurring.nextChargeAt = now;
+    }
+    await recurring.save();
+    return recurring;
+  }
+
+  static async cancel(recurring) {
+    if (!['active', 'paused'].includes(recurring.status)) {
+      throw new ErrorResponse(`This recurring donation is already ${recurring.status}`, 400);
+    }
+
+    recurring.status = 'cancelled';
+    recurring.stopReason = 'Cancelled by donor';
+    recurring.endedAt = new Date();
+    await recurring.save();
+    return recurring;
+  }
+
+  // End every recurring donation to a campaign, e.g. when an admin rejects it
+  static async stopForCampaign(campaignId, reason) {
+    const result = await RecurringDonation.updateMany(
+      { campaign: campaignId, status: { $in: ['active', 'paused'] } },
+      { status: 'completed', stopReason: reason, endedAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Charge every recurring donation that is due. Run by the scheduler.
+   * @returns {Object} { processed, charged, failed }
+   */
+  static async processDueDonations() {
+    const due = await RecurringDonation.find({ status: 'active', nextChargeAt: { $lte: new Date() } })
+      .sort({ nextChargeAt: 1 })
+      .limit(BATCH_SIZE);
+
+    const summary = { processed: due.length, charged: 0, failed: 0 };
+
+    for (const recurring of due) {
+      try {
+        const donation = await this.chargeCycle(recurring);
+        if (donation && donation.status === 'failed') summary.failed++;
+        else if (donation) summary.charged++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Error charging recurring donation ${recurring._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+}
+
+RecurringDonationService.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+
+module.exports = RecurringDonationService;
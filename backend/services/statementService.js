@@ -0,0 +1,103 @@
+const Donation = require('../models/Donation');
+const ReceiptService = require('./receiptService');
+const { getPlatformCurrency } = require('./currency');
+
+// Donations listed on statements. Fully refunded ones are shown so the refund is visible.
+const STATEMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class StatementService {
+
+  // Financial years in which the user has statement donations, latest first
+  static async getStatementYears(userId) {
+    const donations = await Donation.find(
+      { donor: userId, status: { $in: STATEMENT_STATUSES } },
+      'completedAt createdAt'
+    );
+
+    const labels = new Set(donations.map(donation =>
+      ReceiptService.getFinancialYear(donation.completedAt || donation.createdAt).label));
+
+    return [...labels].sort().reverse();
+  }
+
+  /**
+   * Consolidated statement of a donor's donations in one financial year
+   * @param {Document} user - Donor
+   * @param {Object} financialYear - From ReceiptService.parseFinancialYear
+   * @returns {Object} { donor, financialYear, currency, donations, totals }
+   */
+  static async buildAnnualStatement(user, financialYear) {
+    const donations = await Donation.find({
+      donor: user._id,
+      status: { $in: STATEMENT_STATUSES },
+      // Donations from before completedAt was recorded fall back to their creation date
+      $or: [
+        { completedAt: { $gte: financialYear.start, $lt: financialYear.end } },
+        { completedAt: { $exists: false }, createdAt: { $gte: financialYear.start, $lt: financialYear.end } },
+      ],
+    })
+      .populate('campaign', 'title organization')
+      .sort({ completedAt: 1, createdAt: 1 });
+
+    const rows = donations.map(donation => {
+      const organization = ReceiptService.getOrganization(donation.campaign);
+      const refunded = donation.refundedAmount || 0;
+
+      return {
+        donationId: donation._id.toString(),
+        date: (donation.completedAt || donation.createdAt).toISOString().slice(0, 10),
+        receipt: donation.receipt || '',
+        campaign: donation.campaign ? donation.campaign.title : 'Campaign',
+        organization: organization.name,
+        registration80G: organization.registration80G || '',
+        status: donation.status,
+        currency: donation.currency,
+        amount: donation.amount,
+        refunded,
+        net: round(donation.amount - refunded),
+        // Snapshotted when the donation was made; totals are in the platform currency
+        exchangeRate: donation.platformRate || 1,
+        platformAmount: donation.toPlatformAmount(donation.amount),
+        platformRefunded: donation.toPlatformAmount(refunded),
+        platformNet: donation.toPlatformAmount(donation.amount - refunded),
+        eligible80G: Boolean(organization.registration80G),
+      };
+    });
+
+    const sum = (key, items = rows) => round(items.reduce((total, row) => total + row[key], 0));
+
+    return {
+      donor: { name: user.name, email: user.email, pan: user.pan },
+      financialYear: financialYear.label,
+      currency: getPlatformCurrency(),
+      donations: rows,
+      totals: {
+        count: rows.length,
+        donated: sum('platformAmount'),
+        refunded: sum('platformRefunded'),
+        net: sum('platformNet'),
+        eligible80G: sum('platformNet', rows.filter(row => row.eligible80G)),
+      },
+    };
+  }
+}
+
+StatementService.CSV_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'receipt', label: 'Receipt No.' },
+  { key: 'campaign', label: 'Campaign' },
+  { key: 'organization', label: 'Organisation' },
+  { key: 'registration80G', label: '80G Registration No.' },
+  { key: 'status', label: 'Status' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'amount', label: 'Donated' },
+  { key: 'refunded', label: 'Refunded' },
+  { key: 'net', label: 'Net' },
+  { key: 'exchangeRate', label: 'Exchange Rate' },
+  { key: 'platformNet', label: 'Net (Platform Currency)' },
+  { key: 'eligible80G', label: '80G Eligible' },
+];
+
+module.exports = StatementService;
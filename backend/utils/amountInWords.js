@@ -0,0 +1,59 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Words for 0-99
+const twoDigits = (number) => {
+  if (number < 20) return ONES[number];
+  return `${TENS[Math.floor(number / 10)]}${number % 10 ? ` ${ONES[number % 10]}` : ''}`;
+};
+
+// Words for 0-999
+const threeDigits = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  const parts = [];
+
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(twoDigits(rest));
+  return parts.join(' ');
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+const integerInWords = (number) => {
+  if (number === 0) return 'Zero';
+
+  const crore = Math.floor(number / 10000000);
+  const lakh = Math.floor((number % 10000000) / 100000);
+  const thousand = Math.floor((number % 100000) / 1000);
+  const rest = number % 1000;
+  const parts = [];
+
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+  if (rest) parts.push(threeDigits(rest));
+  return parts.join(' ');
+};
+
+/**
+ * Write an amount in words, e.g. 1250.5 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+ * @param {Number} amount - Amount in major units
+ * @param {Object} units - { major, minor } currency unit names
+ * @returns {String} Amount in words
+ */
+const amountInWords = (amount, { major = 'Rupees', minor = 'Paise' } = {}) => {
+  const totalMinor = Math.round(Math.abs(Number(amount)) * 100);
+  const whole = Math.floor(totalMinor / 100);
+  const fraction = totalMinor % 100;
+
+  let words = `${major} ${integerInWords(whole)}`;
+  if (fraction) {
+    words += ` and ${twoDigits(fraction)} ${minor}`;
+  }
+  return `${words} Only`;
+};
+
+module.exports = amountInWords;
@@ -0,0 +1,27 @@
+// Characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value if it contains a delimiter, quote or newline. Text that would be read as a
+// formula is prefixed with an apostrophe; numbers are left alone so negative amounts stay numeric.
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{ key, label }]
+ * @param {Array} rows - Objects keyed by column key
+ * @returns {String} CSV text
+ */
+const toCsv = (columns, rows) => [
+  columns.map(column => escapeCsv(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(',')),
+].join('\r\n');
+
+module.exports = { toCsv, escapeCsv };
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status code, picked up by the global error handler in server.js
+class ErrorResponse extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = ErrorResponse;
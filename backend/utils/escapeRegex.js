@@ -0,0 +1,4 @@
+// Escape user input for use inside a regular expression, so it only ever matches literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,96 @@
+const ErrorResponse = require('./errorResponse');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Campaign location from request fields. Coordinates are optional, but latitude and
+ * longitude must be given together.
+ * @param {Object} body - { city, state, country, latitude, longitude }
+ * @returns {Object|undefined} { city, state, country, point }, or undefined when no location was given
+ */
+const parseLocation = (body = {}) => {
+  const city = clean(body.city);
+  const state = clean(body.state);
+  const country = clean(body.country);
+  const hasLatitude = clean(body.latitude) !== '';
+  const hasLongitude = clean(body.longitude) !== '';
+
+  if (!city && !state && !country && !hasLatitude && !hasLongitude) {
+    return undefined;
+  }
+
+  if ([city, state, country].some(value => value.length > 100)) {
+    throw new ErrorResponse('City, state and country cannot be more than 100 characters', 400);
+  }
+
+  if (hasLatitude !== hasLongitude) {
+    throw new ErrorResponse('Please provide both latitude and longitude', 400);
+  }
+
+  const location = { city: city || undefined, state: state || undefined, country: country || undefined };
+
+  if (hasLatitude) {
+    const latitude = Number(body.latitude);
+    const longitude = Number(body.longitude);
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      throw new ErrorResponse('Please provide a valid latitude and longitude', 400);
+    }
+    // GeoJSON orders coordinates longitude first
+    location.point = { type: 'Point', coordinates: [longitude, latitude] };
+  }
+
+  return location;
+};
+
+/**
+ * Apply the location fields a request sent to an existing location, keeping the ones it did not send.
+ * Sending a field empty clears it; coordinates are changed together and cleared only when
+ * latitude and longitude are both sent empty.
+ * @param {Object} current - Existing location, if any
+ * @param {Object} body - Request fields: any of city, state, country, latitude, longitude
+ * @returns {Object|undefined} Merged location, or undefined when nothing is left
+ */
+const mergeLocation = (current, body = {}) => {
+  if ((body.latitude !== undefined) !== (body.longitude !== undefined)) {
+    throw new ErrorResponse('Please provide both latitude and longitude', 400);
+  }
+
+  const existing = current && current.toObject ? current.toObject() : (current || {});
+  const coordinates = existing.point && Array.isArray(existing.point.coordinates) ? existing.point.coordinates : null;
+  const merged = {
+    city: existing.city,
+    state: existing.state,
+    country: existing.country,
+    latitude: coordinates ? coordinates[1] : undefined,
+    longitude: coordinates ? coordinates[0] : undefined,
+  };
+
+  ['city', 'state', 'country', 'latitude', 'longitude'].forEach(field => {
+    if (body[field] !== undefined) merged[field] = body[field];
+  });
+
+  return parseLocation(merged);
+};
+
+// Region names compared without case or surrounding spaces
+const normalizeRegion = (value) => clean(value).toLowerCase().replace(/\s+/g, ' ');
+
+// Great-circle distance in kilometres between two [longitude, latitude] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  parseLocation,
+  mergeLocation,
+  normalizeRegion,
+  distanceKm,
+};
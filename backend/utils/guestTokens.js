@@ -0,0 +1,45 @@
+const jwt = require('jsonwebtoken');
+
+// Guest tokens are signed with the login secret but never carry a user id,
+// so protect() cannot accept them as logins.
+const secret = () => process.env.JWT_SECRET || 'mysecretkey';
+
+// Lets a guest confirm and view the donation they just started
+const signGuestDonationToken = (donationId) => jwt.sign(
+  { purpose: 'guest-donation', donationId: donationId.toString() },
+  secret(),
+  { expiresIn: '1d' }
+);
+
+const verifyGuestDonationToken = (token, donationId) => {
+  try {
+    const decoded = jwt.verify(token, secret());
+    return decoded.purpose === 'guest-donation' && decoded.donationId === donationId.toString();
+  } catch (error) {
+    return false;
+  }
+};
+
+// Sent in guest receipts: proves the holder controls the email the donations were made with
+const signClaimToken = (email) => jwt.sign(
+  { purpose: 'guest-claim', email: email.toLowerCase() },
+  secret(),
+  { expiresIn: process.env.GUEST_CLAIM_TOKEN_EXPIRE || '90d' }
+);
+
+// Returns the email a claim token was issued for, or null
+const verifyClaimToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, secret());
+    return decoded.purpose === 'guest-claim' ? decoded.email : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  signGuestDonationToken,
+  verifyGuestDonationToken,
+  signClaimToken,
+  verifyClaimToken,
+};
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+// SMTP transport from env; without SMTP_HOST emails are only logged (local development)
+const getTransporter = () => {
+  if (!transporter && process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html, attachments }
+ */
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const transport = getTransporter();
+
+  if (!transport) {
+    console.log(`📧 Email to ${to} (SMTP not configured): ${subject}\n${text}`);
+    return;
+  }
+
+  await transport.sendMail({
+    from: process.env.MAIL_FROM || 'FundSure <no-reply@fundsure.app>',
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+  });
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,83 @@
+const PDFDocument = require('pdfkit');
+
+// Label/value row
+const row = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+  doc.font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+};
+
+/**
+ * Render a donation receipt
+ * @param {Object} receipt - Data from ReceiptService.buildReceiptData
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const generateReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { organization, donor, donation, campaign } = receipt;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text(organization.name, { align: 'center' });
+  if (organization.address) {
+    doc.font('Helvetica').fontSize(10).text(organization.address, { align: 'center' });
+  }
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).text('Donation Receipt', { align: 'center' });
+  if (organization.registration80G) {
+    doc.font('Helvetica').fontSize(10).text('Issued under Section 80G of the Income Tax Act, 1961', { align: 'center' });
+  }
+  doc.moveDown(1.5);
+
+  doc.fontSize(11);
+  row(doc, 'Receipt No.', donation.receiptNumber);
+  row(doc, 'Date', donation.date);
+  doc.moveDown();
+
+  // Donor
+  doc.font('Helvetica-Bold').fontSize(12).text('Received with thanks from');
+  doc.fontSize(11);
+  row(doc, 'Name', donor.name);
+  row(doc, 'Email', donor.email);
+  row(doc, 'PAN', donor.pan || 'Not provided');
+  doc.moveDown();
+
+  // Donation
+  doc.font('Helvetica-Bold').fontSize(12).text('Donation details');
+  doc.fontSize(11);
+  row(doc, 'Campaign', campaign.title);
+  row(doc, 'Amount', `${donation.currency} ${donation.amount.toFixed(2)}`);
+  row(doc, 'Amount in words', donation.amountInWords);
+  if (donation.refundedAmount > 0) {
+    row(doc, 'Note', `Net of ${donation.currency} ${donation.refundedAmount.toFixed(2)} refunded`);
+  }
+  row(doc, 'Mode of payment', donation.paymentMode);
+  row(doc, 'Transaction reference', donation.paymentReference);
+  doc.moveDown();
+
+  // Organisation tax details
+  doc.font('Helvetica-Bold').fontSize(12).text('Organisation details');
+  doc.fontSize(11);
+  row(doc, 'PAN', organization.pan);
+  row(doc, '80G Registration No.', organization.registration80G || 'Not registered');
+  if (organization.registration80GValidUntil) {
+    row(doc, '80G valid until', organization.registration80GValidUntil);
+  }
+  doc.moveDown(2);
+
+  doc.font('Helvetica-Oblique').fontSize(9).text(
+    organization.registration80G
+      ? 'Donations to this organisation are eligible for deduction under Section 80G of the Income Tax Act, 1961, subject to the limits specified therein. '
+        + 'This is a computer-generated receipt and does not require a signature.'
+      : 'This is a computer-generated receipt and does not require a signature.',
+    { align: 'center' }
+  );
+
+  doc.end();
+});
+
+module.exports = generateReceiptPdf;
@@ -0,0 +1,95 @@
+const PDFDocument = require('pdfkit');
+
+// Column layout of the donations table (x offsets and widths in points)
+const COLUMNS = [
+  { key: 'date', label: 'Date', x: 50, width: 65 },
+  { key: 'receipt', label: 'Receipt No.', x: 115, width: 105 },
+  { key: 'campaign', label: 'Campaign', x: 220, width: 125 },
+  { key: 'amount', label: 'Donated', x: 345, width: 60, align: 'right' },
+  { key: 'refunded', label: 'Refunded', x: 405, width: 55, align: 'right' },
+  { key: 'net', label: 'Net', x: 460, width: 50, align: 'right' },
+  { key: 'eligible80G', label: '80G', x: 515, width: 30, align: 'center' },
+];
+
+const money = (amount) => Number(amount).toFixed(2);
+
+// Amounts paid in another currency than the statement's are shown with their currency code
+const paid = (amount, donation, statement) => (donation.currency && donation.currency !== statement.currency
+  ? `${donation.currency} ${money(amount)}`
+  : money(amount));
+
+const drawRow = (doc, values, font) => {
+  const y = doc.y;
+  doc.font(font).fontSize(9);
+
+  const heights = COLUMNS.map(column => doc.heightOfString(String(values[column.key]), { width: column.width }));
+  COLUMNS.forEach(column => {
+    doc.text(String(values[column.key]), column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+
+  doc.y = y + Math.max(...heights) + 4;
+  doc.x = 50;
+};
+
+/**
+ * Render a donor's annual donation statement
+ * @param {Object} statement - Data from StatementService.buildAnnualStatement
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const generateStatementPdf = (statement) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { donor, financialYear, donations, totals } = statement;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Annual Donation Statement', { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(`Financial year ${financialYear} (1 April - 31 March)`, { align: 'center' });
+  doc.moveDown(1.5);
+
+  doc.fontSize(11);
+  doc.font('Helvetica-Bold').text('Donor: ', { continued: true }).font('Helvetica').text(donor.name);
+  doc.font('Helvetica-Bold').text('Email: ', { continued: true }).font('Helvetica').text(donor.email);
+  doc.font('Helvetica-Bold').text('PAN: ', { continued: true }).font('Helvetica').text(donor.pan || 'Not provided');
+  doc.moveDown();
+
+  drawRow(doc, Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), 'Helvetica-Bold');
+
+  if (donations.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No donations in this financial year.');
+  }
+
+  donations.forEach(donation => {
+    if (doc.y > doc.page.height - 100) {
+      doc.addPage();
+    }
+    drawRow(doc, {
+      ...donation,
+      amount: paid(donation.amount, donation, statement),
+      refunded: paid(donation.refunded, donation, statement),
+      net: paid(donation.net, donation, statement),
+      eligible80G: donation.eligible80G ? 'Yes' : 'No',
+    }, 'Helvetica');
+  });
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11);
+  doc.text(`Total donated: ${statement.currency} ${money(totals.donated)}`);
+  doc.text(`Total refunded: ${statement.currency} ${money(totals.refunded)}`);
+  doc.text(`Net donations: ${statement.currency} ${money(totals.net)}`);
+  doc.text(`Eligible for 80G deduction: ${statement.currency} ${money(totals.eligible80G)}`);
+  doc.moveDown(2);
+
+  doc.font('Helvetica-Oblique').fontSize(9).text(
+    'This statement summarises your donations for the year. Individual receipts, including the '
+      + 'organisation PAN and 80G registration numbers, can be downloaded for each donation.',
+    { align: 'center' }
+  );
+
+  doc.end();
+});
+
+module.exports = generateStatementPdf;
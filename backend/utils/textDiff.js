@@ -0,0 +1,84 @@
+// Largest inputs (rows x columns) compared token by token; bigger ones are treated as fully changed
+const MAX_CELLS = 4000000;
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+const splitWords = (text) => (text ? String(text).toLowerCase().match(/\S+/g) || [] : []);
+
+// Longest common subsequence table for two token lists
+const lcsTable = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  return table;
+};
+
+// Length of the longest common subsequence, in linear memory
+const lcsLength = (a, b) => {
+  let previous = new Uint32Array(b.length + 1);
+  let current = new Uint32Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Line-by-line diff of two texts
+ * @returns {Array} [{ type: 'equal' | 'added' | 'removed', value }]
+ */
+const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...a.map(value => ({ type: 'removed', value })),
+      ...b.map(value => ({ type: 'added', value })),
+    ];
+  }
+
+  const table = lcsTable(a, b);
+  const parts = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      parts.push({ type: 'removed', value: a[i++] });
+    } else {
+      parts.push({ type: 'added', value: b[j++] });
+    }
+  }
+  while (i < a.length) parts.push({ type: 'removed', value: a[i++] });
+  while (j < b.length) parts.push({ type: 'added', value: b[j++] });
+
+  return parts;
+};
+
+/**
+ * How much of two texts is the same, by words in order
+ * @returns {Number} 0 (nothing in common) to 1 (identical)
+ */
+const similarity = (before, after) => {
+  const a = splitWords(before);
+  const b = splitWords(after);
+
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length * b.length > MAX_CELLS * 4) return 0;
+
+  return (2 * lcsLength(a, b)) / (a.length + b.length);
+};
+
+module.exports = { diffLines, similarity };